@@ -0,0 +1,36 @@
+'use strict';
+
+const CONSTANTS = require('../../domain/constants');
+const { AuthenticationError, AuthorizationError } = require('../../domain/errors');
+const roleHelp = require('../../util/role.helper.js');
+
+/**
+ * Admin Middleware
+ * Only lets requests through whose JWT role is one of the admin roles
+ * 
+ * @param {Object} config - Configuration object
+ * @param {string} config.adminRoles - Comma separated JWT roles allowed to use the admin API
+ * @param {string} config.roleClaim - Path of the role claim (default: role)
+ * @returns {Function} Express middleware function
+ */
+function createAdminMiddleware(config) {
+  const adminRoles = String((config && config.adminRoles) || '').split(',').map(r => r.trim()).filter(r => r);
+  if (adminRoles.length === 0) {
+    throw new Error('Admin roles are required for admin middleware');
+  }
+
+  return function adminMiddleware(req, res, next) {
+    // Anonymous requests carry no claims, they never reach the admin API
+    if (!req.user || Object.keys(req.user).length === 0) {
+      return next(new AuthenticationError(CONSTANTS.ERROR_MESSAGES.UNAUTHORIZED_TOKEN_REQUIRED));
+    }
+    if (!adminRoles.includes(roleHelp.getRole(req.user, { roleClaim: config.roleClaim }))) {
+      return next(new AuthorizationError(CONSTANTS.ERROR_MESSAGES.ADMIN_ROLE_REQUIRED, {
+        code: CONSTANTS.POSTGREST.ERROR_INSUFFICIENT_PRIVILEGE
+      }));
+    }
+    next();
+  };
+}
+
+module.exports = createAdminMiddleware;
@@ -0,0 +1,115 @@
+'use strict';
+
+const CONSTANTS = require('../../domain/constants');
+const { AuthorizationError } = require('../../domain/errors');
+const tableScope = require('../../util/tableScope.helper.js');
+
+/**
+ * Gets the tables of the route of a request
+ * /api/<table>/... routes use their table (both tables for relational routes),
+ * /api/_batch the tables of its operations. Metadata paths use none.
+ * Embedded tables are checked when the query is built, see tableScope.helper.
+ *
+ * @param {Object} req - Express request
+ * @returns {Array|null} Table names, null for paths that are not table routes
+ */
+function getRequestTables(req) {
+  const path = req.originalUrl.split('?')[0];
+  if (CONSTANTS.API_KEYS_TABLE.METADATA_PATHS.includes(path)) {
+    return [];
+  }
+  if (path === CONSTANTS.API_PATHS.BATCH) {
+    const operations = Array.isArray(req.body) ? req.body : (req.body && req.body.operations) || [];
+    return operations.map(operation => String(operation && operation.table));
+  }
+
+  const parts = path.split('/');
+  if (parts[1] !== 'api' || !parts[2]) {
+    return null;
+  }
+  const isRelational = parts.length >= 5 && parts[4] !== CONSTANTS.ROUTE_TYPES.EXISTS;
+  return isRelational ? [parts[2], parts[4]] : [parts[2]];
+}
+
+/**
+ * Gets the methods a request uses, the methods of its operations for /api/_batch
+ *
+ * @param {Object} req - Express request
+ * @returns {Array} HTTP methods
+ */
+function getRequestMethods(req) {
+  if (req.originalUrl.split('?')[0] === CONSTANTS.API_PATHS.BATCH) {
+    const operations = Array.isArray(req.body) ? req.body : (req.body && req.body.operations) || [];
+    return operations.map(operation => String(operation && operation.method).toUpperCase());
+  }
+  return [req.method];
+}
+
+/**
+ * API Key Authentication Middleware
+ * Authenticates requests with an `apikey` header or `?apikey=` query parameter
+ *
+ * The claims of the key (its role and claims) become req.user, like the claims of
+ * a JWT, so RLS, column grants and session variables apply unchanged. Requests with
+ * a Bearer token are left to the JWT middleware. Keys scoped to tables or methods
+ * are refused with 403 outside their scope, the tables also limit the claims so
+ * embedded and nested tables are refused too.
+ *
+ * @param {Object} config - Configuration object
+ * @param {boolean} config.jwtRequired - Whether requests without credentials are refused
+ * @param {ApiKeyService} apiKeyService - Looks up the keys
+ * @returns {Function} Express middleware function
+ */
+function createApiKeyMiddleware(config, apiKeyService) {
+  if (!apiKeyService) {
+    throw new Error('API key service is required for API key middleware');
+  }
+  const jwtConfigured = !!(config && (config.jwtSecret || config.jwksUri || config.jwksFile));
+
+  return function apiKeyMiddleware(req, res, next) {
+    const authHeader = req.headers[CONSTANTS.HEADERS.AUTHORIZATION];
+    if (authHeader && authHeader.split(' ')[0] === 'Bearer') {
+      return next();
+    }
+
+    const key = req.headers[CONSTANTS.HEADERS.API_KEY] || (req.query && req.query[CONSTANTS.HEADERS.API_KEY]);
+    if (req.query) {
+      // Not a filter on an apikey column
+      delete req.query[CONSTANTS.HEADERS.API_KEY];
+    }
+
+    if (!key) {
+      // Without JWT middleware, --jwtRequired requires a key
+      if (config && config.jwtRequired && !jwtConfigured) {
+        return res.status(CONSTANTS.HTTP_STATUS.UNAUTHORIZED).json({
+          error: CONSTANTS.ERROR_MESSAGES.UNAUTHORIZED_TOKEN_REQUIRED
+        });
+      }
+      return next();
+    }
+
+    apiKeyService.authenticate(key)
+      .then(apiKey => {
+        if (!apiKey) {
+          return res.status(CONSTANTS.HTTP_STATUS.UNAUTHORIZED).json({
+            error: CONSTANTS.ERROR_MESSAGES.API_KEY_INVALID
+          });
+        }
+
+        const tables = getRequestTables(req);
+        const refused = getRequestMethods(req).find(method => !apiKeyService.isAllowed(apiKey, tables, method));
+        if (refused) {
+          return next(new AuthorizationError(
+            CONSTANTS.ERROR_MESSAGES.API_KEY_SCOPE.replace('{0}', refused).replace('{1}', req.originalUrl.split('?')[0]),
+            { code: CONSTANTS.POSTGREST.ERROR_INSUFFICIENT_PRIVILEGE }
+          ));
+        }
+
+        req.user = tableScope.restrict(apiKeyService.buildClaims(apiKey), apiKeyService.getAllowedTables(apiKey));
+        next();
+      })
+      .catch(next);
+  };
+}
+
+module.exports = createApiKeyMiddleware;
@@ -49,6 +49,14 @@ function errorMiddleware(err, req, res, next) {
       message: err.message
     };
 
+    // PostgREST style error code and hint, when the error carries them
+    if (err.details && err.details.code) {
+      response.code = err.details.code;
+    }
+    if (err.details && err.details.hint) {
+      response.hint = err.details.hint;
+    }
+
     // Include details in development mode
     if (process.env.NODE_ENV === 'development') {
       response.details = err.details;
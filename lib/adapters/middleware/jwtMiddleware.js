@@ -2,19 +2,68 @@
 
 const jwt = require('jsonwebtoken');
 const CONSTANTS = require('../../domain/constants');
+const JwksRepository = require('../../domain/repositories/JwksRepository');
+
+/**
+ * Splits a comma separated option
+ *
+ * @param {string} value - Option value
+ * @returns {Array} Trimmed non-empty items
+ */
+function parseList(value) {
+  return String(value || '').split(',').map(v => v.trim()).filter(v => v);
+}
 
 /**
  * JWT Authentication Middleware
  * Validates JWT tokens and attaches decoded user to request
  * 
+ * HS256/384/512 tokens are verified with jwtSecret. RS, PS and ES tokens are
+ * verified with the key of their kid in the JWKS of jwksUri or jwksFile.
+ * 
  * @param {Object} config - Configuration object
  * @param {string} config.jwtSecret - Secret key for JWT verification
+ * @param {string} config.jwksUri - URL of the JSON Web Key Set of the identity provider
+ * @param {string} config.jwksFile - Local JWKS file, used when no jwksUri is given
+ * @param {string} config.jwtIssuer - Comma separated accepted iss values
+ * @param {string} config.jwtAudience - Comma separated accepted aud values
+ * @param {number} config.jwtClockSkew - Seconds of tolerance on exp and nbf
+ * @param {string} config.jwtRequiredClaims - Comma separated claims every token must carry
  * @param {boolean} config.jwtRequired - Whether JWT is required for all requests
  * @returns {Function} Express middleware function
  */
 function createJwtMiddleware(config) {
-  if (!config || !config.jwtSecret) {
-    throw new Error('JWT secret is required for JWT middleware');
+  if (!config || (!config.jwtSecret && !config.jwksUri && !config.jwksFile)) {
+    throw new Error('JWT secret or JWKS is required for JWT middleware');
+  }
+
+  const jwks = config.jwksUri || config.jwksFile
+    ? new JwksRepository({ jwksUri: config.jwksUri, jwksFile: config.jwksFile })
+    : null;
+  const requiredClaims = parseList(config.jwtRequiredClaims);
+  const issuers = parseList(config.jwtIssuer);
+  const audiences = parseList(config.jwtAudience);
+
+  const verifyOptions = {
+    algorithms: [].concat(
+      config.jwtSecret ? CONSTANTS.JWT.HMAC_ALGORITHMS : [],
+      jwks ? CONSTANTS.JWT.JWKS_ALGORITHMS : []
+    ),
+    clockTolerance: Number(config.jwtClockSkew) || 0
+  };
+  if (issuers.length > 0) {
+    verifyOptions.issuer = issuers;
+  }
+  if (audiences.length > 0) {
+    verifyOptions.audience = audiences;
+  }
+
+  // HMAC tokens never use JWKS keys, so a public key cannot be abused as HMAC secret
+  function getKey(header, callback) {
+    if (!jwks || CONSTANTS.JWT.HMAC_ALGORITHMS.includes(header.alg)) {
+      return callback(null, config.jwtSecret);
+    }
+    jwks.getKey(header.kid, header.alg).then(key => callback(null, key), callback);
   }
 
   return function jwtMiddleware(req, res, next) {
@@ -24,9 +73,10 @@ function createJwtMiddleware(config) {
     if (authHeader && authHeader.split(' ')[0] === 'Bearer') {
       const token = authHeader.split(' ')[1];
       
-      jwt.verify(token, config.jwtSecret, (err, decoded) => {
-        if (err) {
-          console.error('JWT verification failed:', err.message);
+      jwt.verify(token, getKey, verifyOptions, (err, decoded) => {
+        const missingClaim = !err && requiredClaims.find(claim => decoded[claim] === undefined);
+        if (err || missingClaim) {
+          console.error('JWT verification failed:', err ? err.message : CONSTANTS.ERROR_MESSAGES.JWT_CLAIM_REQUIRED.replace('{0}', missingClaim));
           return res.status(CONSTANTS.HTTP_STATUS.UNAUTHORIZED).json({ 
             error: CONSTANTS.ERROR_MESSAGES.UNAUTHORIZED_INVALID_TOKEN 
           });
@@ -37,8 +87,8 @@ function createJwtMiddleware(config) {
         next();
       });
     } else {
-      // No token provided
-      if (config.jwtRequired) {
+      // No token provided, requests authenticated with an API key pass
+      if (config.jwtRequired && !req.user) {
         return res.status(CONSTANTS.HTTP_STATUS.UNAUTHORIZED).json({ 
           error: CONSTANTS.ERROR_MESSAGES.UNAUTHORIZED_TOKEN_REQUIRED 
         });
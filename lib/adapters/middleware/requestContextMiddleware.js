@@ -0,0 +1,42 @@
+'use strict';
+
+const CONSTANTS = require('../../domain/constants');
+
+/**
+ * Request Context Middleware
+ * Gives every request a JWT context carrying the request metadata
+ *
+ * Internal queries (schema, policies, grants) run without context on the main pool.
+ * Requests without a JWT get an empty claim set instead, so they run as --anonRole
+ * for RLS, column grants and the database user of that role. The method, path and
+ * headers are attached under CONSTANTS.REQUEST_CONTEXT.METADATA and become session
+ * variables next to the claims.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+function requestContextMiddleware(req, res, next) {
+  if (!req.user) {
+    req.user = {};
+  }
+
+  const headers = {};
+  for (const name of Object.keys(req.headers)) {
+    if (!CONSTANTS.REQUEST_CONTEXT.EXCLUDED_HEADERS.includes(name)) {
+      headers[name] = req.headers[name];
+    }
+  }
+
+  // Not enumerable, so it is neither a claim nor part of @request_jwt_claims
+  Object.defineProperty(req.user, CONSTANTS.REQUEST_CONTEXT.METADATA, {
+    value: {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      headers: headers
+    }
+  });
+  next();
+}
+
+module.exports = requestContextMiddleware;
@@ -10,25 +10,49 @@ module.exports = {
   PAGINATION: {
     DEFAULT_PAGE_SIZE: 20,
     MAX_PAGE_SIZE: 100,
-    DEFAULT_OFFSET: 0
+    DEFAULT_OFFSET: 0,
+    // Prefer: count=estimated counts exactly below this planned row count
+    ESTIMATED_COUNT_THRESHOLD: 10000,
+    CURSOR_COLUMN_PREFIX: '_cursor_'
   },
 
   // HTTP Headers
   HEADERS: {
     AUTHORIZATION: 'authorization',
+    API_KEY: 'apikey',
     PREFER: 'Prefer',
     ACCEPT: 'Accept',
     RESOLUTION: 'Resolution',
-    CONTENT_RANGE: 'Content-Range'
+    CONTENT_RANGE: 'Content-Range',
+    RANGE: 'Range',
+    RANGE_UNIT: 'Range-Unit',
+    LINK: 'Link',
+    LOCATION: 'Location'
   },
 
   // PostgREST Header Values
   POSTGREST: {
     PREFER_COUNT_EXACT: 'count=exact',
+    PREFER_COUNT_PLANNED: 'count=planned',
+    PREFER_COUNT_ESTIMATED: 'count=estimated',
+    RANGE_UNIT_ITEMS: 'items',
     PREFER_RETURN_REPRESENTATION: 'return=representation',
+    PREFER_RETURN_HEADERS_ONLY: 'return=headers-only',
+    PREFER_HANDLING_STRICT: 'handling=strict',
+    PREFER_MAX_AFFECTED: 'max-affected',
+    PREFER_RESOLUTION: 'resolution',
     ACCEPT_SINGULAR: 'application/vnd.pgrst.object+json',
     RESOLUTION_MERGE: 'merge-duplicates',
-    RESOLUTION_IGNORE: 'ignore-duplicates'
+    RESOLUTION_IGNORE: 'ignore-duplicates',
+    ERROR_PARSE: 'PGRST100',
+    ERROR_UNDEFINED_COLUMN: '42703',
+    ERROR_RANGE: 'PGRST103',
+    ERROR_AMBIGUOUS_EMBED: 'PGRST201',
+    ERROR_MAX_AFFECTED: 'PGRST124',
+    ERROR_UNFILTERED_WRITE: '21000',
+    ERROR_NO_UNIQUE_CONSTRAINT: '42P10',
+    ERROR_INSUFFICIENT_PRIVILEGE: '42501',
+    ERROR_UNIQUE_VIOLATION: '23505'
   },
 
   // RLS Operations
@@ -40,6 +64,16 @@ module.exports = {
     ALL: 'ALL'
   },
 
+  // RLS policy combination, as in PostgreSQL: permissive policies are
+  // combined with OR, restrictive policies with AND
+  RLS_POLICY_TYPES: {
+    PERMISSIVE: 'PERMISSIVE',
+    RESTRICTIVE: 'RESTRICTIVE'
+  },
+
+  // JWT role that is not subject to RLS policies, unless --bypassRlsRoles is set
+  RLS_BYPASS_ROLE: 'bypass_rls',
+
   // RLS Table Configuration
   RLS_TABLE: {
     NAME: '_rls_policies',
@@ -48,6 +82,8 @@ module.exports = {
       table_name VARCHAR(255) NOT NULL,
       policy_name VARCHAR(255) NOT NULL,
       operation ENUM('SELECT', 'INSERT', 'UPDATE', 'DELETE', 'ALL') DEFAULT 'ALL',
+      roles VARCHAR(1024) DEFAULT NULL,
+      permissive ENUM('PERMISSIVE', 'RESTRICTIVE') NOT NULL DEFAULT 'PERMISSIVE',
       using_expression TEXT NOT NULL,
       check_expression TEXT DEFAULT NULL,
       enabled BOOLEAN DEFAULT TRUE,
@@ -55,9 +91,159 @@ module.exports = {
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       UNIQUE KEY unique_policy (table_name, policy_name),
       INDEX idx_table_operation (table_name, operation, enabled)
+    )`,
+    // Columns added after the first release, created on startup when missing
+    MIGRATIONS: {
+      roles: 'ALTER TABLE _rls_policies ADD COLUMN roles VARCHAR(1024) DEFAULT NULL AFTER operation',
+      permissive: "ALTER TABLE _rls_policies ADD COLUMN permissive ENUM('PERMISSIVE', 'RESTRICTIVE') NOT NULL DEFAULT 'PERMISSIVE' AFTER roles"
+    },
+    // Columns that can be set through the admin API
+    EDITABLE_COLUMNS: ['table_name', 'policy_name', 'operation', 'roles', 'permissive', 'using_expression', 'check_expression', 'enabled']
+  },
+
+  // Audit trail of policy changes made through the admin API
+  RLS_AUDIT_TABLE: {
+    NAME: '_rls_policy_audit',
+    SCHEMA: `CREATE TABLE IF NOT EXISTS _rls_policy_audit (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      policy_id INT NOT NULL,
+      table_name VARCHAR(255) NOT NULL,
+      policy_name VARCHAR(255) NOT NULL,
+      action ENUM('CREATE', 'UPDATE', 'DELETE') NOT NULL,
+      actor VARCHAR(255) DEFAULT NULL,
+      actor_role VARCHAR(255) DEFAULT NULL,
+      old_value JSON DEFAULT NULL,
+      new_value JSON DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_policy (policy_id, created_at)
+    )`,
+    ACTIONS: {
+      CREATE: 'CREATE',
+      UPDATE: 'UPDATE',
+      DELETE: 'DELETE'
+    },
+    DEFAULT_LIMIT: 100
+  },
+
+  // JWT verification: HMAC algorithms use --jwtSecret, the others keys of a JWKS.
+  // ROLE_CLAIM is the default path of the role claim, see --roleClaim
+  JWT: {
+    HMAC_ALGORITHMS: ['HS256', 'HS384', 'HS512'],
+    JWKS_ALGORITHMS: ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'],
+    ROLE_CLAIM: 'role'
+  },
+
+  // JWKS key cache: keys are refetched after CACHE_MAX_AGE, or on an unknown kid
+  // at most once per REFRESH_COOLDOWN so random kids cannot flood the key server
+  JWKS: {
+    CACHE_MAX_AGE: 10 * 60 * 1000,
+    REFRESH_COOLDOWN: 30 * 1000,
+    FETCH_TIMEOUT: 5000
+  },
+
+  // Request metadata attached to the JWT context and exposed as session variables like
+  // PostgREST's request.method, request.path and request.headers. METADATA is a symbol
+  // so it is not mistaken for a claim; tokens and API keys are not copied into the headers
+  REQUEST_CONTEXT: {
+    METADATA: Symbol('requestMetadata'),
+    // Tables a scoped API key may use, see tableScope.helper
+    TABLES: Symbol('requestTables'),
+    EXCLUDED_HEADERS: ['authorization', 'apikey']
+  },
+
+  // Column privileges per role, as in PostgreSQL GRANT SELECT (column) ON table TO role.
+  // A table without grants is unrestricted; once it has grants, a role only sees and
+  // writes the columns granted to it or to every role ('*')
+  COLUMN_GRANTS_TABLE: {
+    NAME: '_column_grants',
+    SCHEMA: `CREATE TABLE IF NOT EXISTS _column_grants (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      role VARCHAR(255) NOT NULL,
+      table_name VARCHAR(255) NOT NULL,
+      column_name VARCHAR(255) NOT NULL,
+      can_select BOOLEAN NOT NULL DEFAULT TRUE,
+      can_insert BOOLEAN NOT NULL DEFAULT FALSE,
+      can_update BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_grant (role, table_name, column_name),
+      INDEX idx_table (table_name)
+    )`,
+    // role and column_name value matching every role or every column of the table
+    ALL: '*'
+  },
+
+  COLUMN_PRIVILEGES: {
+    SELECT: 'SELECT',
+    INSERT: 'INSERT',
+    UPDATE: 'UPDATE'
+  },
+
+  // Built-in token endpoint (--authUsersTable): users are looked up in the configured
+  // table, refresh tokens are stored as SHA-256 hashes and rotated on every use
+  AUTH: {
+    USERNAME_COLUMN: 'username',
+    PASSWORD_COLUMN: 'password_hash',
+    CLAIMS: 'id:sub,role',
+    TOKEN_EXPIRY: 3600,
+    REFRESH_EXPIRY: 30 * 24 * 3600,
+    REFRESH_TOKEN_BYTES: 32,
+    GRANT_TYPES: {
+      PASSWORD: 'password',
+      REFRESH_TOKEN: 'refresh_token'
+    }
+  },
+
+  // API keys (--apiKeys) for server-to-server consumers: keys are stored as SHA-256
+  // hashes and carry a role, claims and optionally the tables and methods they may use
+  API_KEYS_TABLE: {
+    NAME: '_api_keys',
+    SCHEMA: `CREATE TABLE IF NOT EXISTS _api_keys (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(255) NOT NULL,
+      key_prefix VARCHAR(32) NOT NULL,
+      key_hash CHAR(64) NOT NULL,
+      role VARCHAR(255) NULL,
+      claims TEXT NULL,
+      allowed_tables TEXT NULL,
+      allowed_methods VARCHAR(255) NULL,
+      expires_at DATETIME NULL,
+      revoked_at DATETIME NULL,
+      last_used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_name (name),
+      UNIQUE KEY unique_key_hash (key_hash)
+    )`,
+    // Columns shown by list, never the hash
+    COLUMNS: ['id', 'name', 'key_prefix', 'role', 'claims', 'allowed_tables', 'allowed_methods',
+      'expires_at', 'revoked_at', 'last_used_at', 'created_at'],
+    KEY_PREFIX: 'myrest_',
+    KEY_BYTES: 24,
+    // Visible part of a key, to tell keys apart in lists and logs
+    DISPLAY_LENGTH: 12,
+    // last_used_at is written at most once per interval and key
+    LAST_USED_INTERVAL: 60,
+    // Paths scoped keys may use besides /api/<table>: metadata without rows
+    METADATA_PATHS: ['/api/tables', '/api/openapi.json']
+  },
+
+  AUTH_REFRESH_TOKENS_TABLE: {
+    NAME: '_auth_refresh_tokens',
+    SCHEMA: `CREATE TABLE IF NOT EXISTS _auth_refresh_tokens (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      token_hash CHAR(64) NOT NULL,
+      username VARCHAR(255) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_token_hash (token_hash),
+      INDEX idx_username (username)
     )`
   },
 
+  // myrest's own tables, left out of the schema cache so no route, _batch operation,
+  // embed or OpenAPI path reaches them
+  INTERNAL_TABLES: ['_rls_policies', '_rls_policy_audit', '_column_grants', '_auth_refresh_tokens', '_api_keys'],
+
   // Route Types
   ROUTE_TYPES: {
     LIST: 'list',
@@ -102,10 +288,43 @@ module.exports = {
     JSON: 'json'
   },
 
+  // Casts allowed in select (column::type), PostgreSQL name -> MySQL CAST type
+  SELECT_CASTS: {
+    text: 'CHAR',
+    varchar: 'CHAR',
+    char: 'CHAR',
+    int: 'SIGNED',
+    integer: 'SIGNED',
+    smallint: 'SIGNED',
+    bigint: 'SIGNED',
+    unsigned: 'UNSIGNED',
+    numeric: 'DECIMAL(65,10)',
+    decimal: 'DECIMAL(65,10)',
+    float: 'DOUBLE',
+    double: 'DOUBLE',
+    real: 'DOUBLE',
+    date: 'DATE',
+    time: 'TIME',
+    timestamp: 'DATETIME',
+    datetime: 'DATETIME',
+    json: 'JSON',
+    jsonb: 'JSON'
+  },
+
+  // Transactional batch endpoint
+  BATCH: {
+    METHODS: ['POST', 'PUT', 'PATCH', 'DELETE'],
+    MAX_OPERATIONS: 100
+  },
+
   // API Paths
   API_PATHS: {
     PREFIX: '/api',
     TABLES: '/api/tables',
+    BATCH: '/api/_batch',
+    ADMIN_POLICIES: '/admin/policies',
+    AUTH_TOKEN: '/auth/token',
+    AUTH_LOGOUT: '/auth/logout',
     RPC: '/rpc/:procName',
     OPENAPI: '/api/openapi.json',
     DYNAMIC: '/dynamic*',
@@ -124,7 +343,8 @@ module.exports = {
     PAGE: '_p',
     SIZE: '_size',
     LIMIT: 'limit',
-    OFFSET: 'offset'
+    OFFSET: 'offset',
+    CURSOR: 'cursor'
   },
 
   // Error Messages
@@ -132,11 +352,28 @@ module.exports = {
     COMPOSITE_KEY_MISSING: 'Table is made of composite primary keys - all keys were not in input',
     UNAUTHORIZED_INVALID_TOKEN: 'Unauthorized: Invalid token',
     UNAUTHORIZED_TOKEN_REQUIRED: 'Unauthorized: Token required',
+    JWT_CLAIM_REQUIRED: 'jwt claim {0} required',
+    JWKS_KEY_NOT_FOUND: 'No JWKS key matches kid {0}',
     FUNCTION_NOT_FOUND: 'Function {0} not found',
     MISSING_FIELDS_PARAM: 'Missing _fields query params eg: /api/tableName/groupby?_fields=column1',
     MISSING_NUMERIC_FIELDS: 'Missing _fields in query params eg: /api/tableName/groupby?_fields=numericColumn1',
     UPLOAD_FAILED: 'upload failed',
     SINGULAR_RESPONSE_ERROR: 'JSON object requested, multiple (or no) rows returned',
+    UNFILTERED_WRITE: '{0} requires a filter - unfiltered bulk writes are disabled',
+    MAX_AFFECTED_EXCEEDED: 'Query result exceeds max-affected preference constraint',
+    RLS_CHECK_VIOLATION: 'new row violates row-level security policy for table "{0}"',
+    RLS_USING_VIOLATION: 'new row violates row-level security policy (USING expression) for table "{0}"',
+    UPSERT_KEY_CONFLICT: 'duplicate key value violates unique constraint "{0}" of table "{1}", the upsert conflicts on ({2})',
+    RLS_DYNAMIC_QUERY: 'Dynamic queries are disabled while row-level security policies or column grants are active',
+    ADMIN_ROLE_REQUIRED: 'An admin role is required to manage policies',
+    COLUMN_PERMISSION_DENIED: 'permission denied to {0} column "{1}" of table "{2}"',
+    AUTH_INVALID_CREDENTIALS: 'Invalid username or password',
+    AUTH_INVALID_REFRESH_TOKEN: 'Invalid or expired refresh token',
+    AUTH_UNSUPPORTED_GRANT: 'Unsupported grant_type {0}',
+    AUTH_FIELD_REQUIRED: '{0} is required',
+    API_KEY_INVALID: 'Unauthorized: Invalid API key',
+    API_KEY_SCOPE: 'API key is not allowed to {0} {1}',
+    API_KEY_TABLE_SCOPE: 'API key is not allowed to use table {0}',
     INTERNAL_SERVER_ERROR: 'Internal server error : {0}'
   },
 
@@ -145,10 +382,12 @@ module.exports = {
     OK: 200,
     CREATED: 201,
     NO_CONTENT: 204,
+    PARTIAL_CONTENT: 206,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
     NOT_FOUND: 404,
     NOT_ACCEPTABLE: 406,
+    RANGE_NOT_SATISFIABLE: 416,
     INTERNAL_SERVER_ERROR: 500
   }
 };
@@ -84,6 +84,16 @@ class BadRequestError extends BaseError {
   }
 }
 
+/**
+ * RangeNotSatisfiableError
+ * Thrown when a requested range lies outside the result
+ */
+class RangeNotSatisfiableError extends BaseError {
+  constructor(message, details = {}) {
+    super(message, 416, details);
+  }
+}
+
 /**
  * ServiceUnavailableError
  * Thrown when a service is temporarily unavailable
@@ -137,6 +147,7 @@ module.exports = {
   AuthorizationError,
   ConflictError,
   BadRequestError,
+  RangeNotSatisfiableError,
   ServiceUnavailableError,
   TimeoutError,
   FileError,
@@ -1,5 +1,7 @@
 'use strict';
 
+const CONSTANTS = require('../constants');
+
 /**
  * Database Connection Manager
  * Handles connection pooling, query execution, and context injection
@@ -9,11 +11,22 @@
  * - Session variable injection (for RLS)
  * - Transaction support
  * - Query execution with context
+ * - A separate pool per role, so the GRANTs of the role's database user apply
  */
 class DatabaseConnectionManager {
   
-  constructor(pool) {
+  /**
+   * @param {Object} pool - Main MySQL pool, used for internal queries and roles without a pool
+   * @param {Object} options - Role options
+   * @param {Object} options.rolePools - MySQL pools by role name
+   * @param {Function} options.getRole - Resolves the role of a context
+   */
+  constructor(pool, options = {}) {
     this.pool = pool;
+    this.rolePools = options.rolePools || {};
+    this.getRole = options.getRole || null;
+    // Session variables set on each checked out connection, reset before it is released
+    this.sessionVariables = new WeakMap();
   }
 
   /**
@@ -27,9 +40,11 @@ class DatabaseConnectionManager {
    */
   executeQuery(query, params = [], context = null) {
     return new Promise((resolve, reject) => {
+      const pool = this._getPool(context);
+
       // Simple case: no context, use pool directly
-      if (!context || Object.keys(context).length === 0) {
-        this.pool.query(query, params, (error, rows) => {
+      if (!this._hasSessionVariables(context)) {
+        pool.query(query, params, (error, rows) => {
           if (error) {
             console.error('Database query error:', error);
             return reject(error);
@@ -40,7 +55,7 @@ class DatabaseConnectionManager {
       }
 
       // Complex case: context provided, need session variables
-      this.pool.getConnection((err, connection) => {
+      pool.getConnection((err, connection) => {
         if (err) {
           console.error('Database connection error:', err);
           return reject(err);
@@ -51,7 +66,7 @@ class DatabaseConnectionManager {
           .then(() => {
             // Execute main query
             connection.query(query, params, (error, rows) => {
-              connection.release();
+              this._releaseConnection(connection);
               if (error) {
                 console.error('Database query error:', error);
                 return reject(error);
@@ -60,7 +75,7 @@ class DatabaseConnectionManager {
             });
           })
           .catch(error => {
-            connection.release();
+            this._releaseConnection(connection);
             console.error('Session variable error:', error);
             return reject(error);
           });
@@ -78,7 +93,7 @@ class DatabaseConnectionManager {
    */
   executeWithConnection(callback, context = null) {
     return new Promise((resolve, reject) => {
-      this.pool.getConnection((err, connection) => {
+      this._getPool(context).getConnection((err, connection) => {
         if (err) {
           console.error('Database connection error:', err);
           return reject(err);
@@ -89,17 +104,17 @@ class DatabaseConnectionManager {
         Promise.resolve()
           .then(() => {
             // Set session variables if context provided
-            if (context && Object.keys(context).length > 0) {
+            if (this._hasSessionVariables(context)) {
               return this._setSessionVariables(connection, context);
             }
           })
           .then(() => callback(wrappedConnection))
           .then(result => {
-            connection.release();
+            this._releaseConnection(connection);
             resolve(result);
           })
           .catch(error => {
-            connection.release();
+            this._releaseConnection(connection);
             console.error('Execute with connection error:', error);
             reject(error);
           });
@@ -117,7 +132,7 @@ class DatabaseConnectionManager {
    */
   executeInTransaction(callback, context = null) {
     return new Promise((resolve, reject) => {
-      this.pool.getConnection((err, connection) => {
+      this._getPool(context).getConnection((err, connection) => {
         if (err) {
           console.error('Database connection error:', err);
           return reject(err);
@@ -135,7 +150,7 @@ class DatabaseConnectionManager {
           Promise.resolve()
             .then(() => {
               // Set session variables if context provided
-              if (context && Object.keys(context).length > 0) {
+              if (this._hasSessionVariables(context)) {
                 return this._setSessionVariables(connection, context);
               }
             })
@@ -144,19 +159,19 @@ class DatabaseConnectionManager {
               connection.commit(commitErr => {
                 if (commitErr) {
                   connection.rollback(() => {
-                    connection.release();
+                    this._releaseConnection(connection);
                     console.error('Transaction commit error:', commitErr);
                     reject(commitErr);
                   });
                 } else {
-                  connection.release();
+                  this._releaseConnection(connection);
                   resolve(result);
                 }
               });
             })
             .catch(error => {
               connection.rollback(() => {
-                connection.release();
+                this._releaseConnection(connection);
                 console.error('Transaction error:', error);
                 reject(error);
               });
@@ -166,9 +181,39 @@ class DatabaseConnectionManager {
     });
   }
 
+  /**
+   * Picks the pool of the role of a request
+   * Queries without context are internal and always use the main pool.
+   * 
+   * @private
+   * @param {Object} context - Context object, empty for anonymous requests
+   * @returns {Object} MySQL pool
+   */
+  _getPool(context) {
+    if (!context || !this.getRole) {
+      return this.pool;
+    }
+    return this.rolePools[this.getRole(context)] || this.pool;
+  }
+
+  /**
+   * Checks whether a context has claims or request metadata to set
+   * 
+   * @private
+   * @param {Object} context - Context object
+   * @returns {boolean} True when session variables must be set
+   */
+  _hasSessionVariables(context) {
+    return !!context && (Object.keys(context).length > 0 || !!context[CONSTANTS.REQUEST_CONTEXT.METADATA]);
+  }
+
   /**
    * Sets MySQL session variables from context object
-   * Variables are prefixed with @request_jwt_claim_
+   * Each top-level claim is set as @request_jwt_claim_<name>, nested claims as JSON.
+   * The whole claim set is @request_jwt_claims, for JSON_EXTRACT(@request_jwt_claims, '$.a.b').
+   * Request metadata is set as @request_method, @request_path and @request_headers (JSON).
+   * The variables are recorded for the connection and reset to NULL when it is
+   * released, see _releaseConnection.
    * 
    * @private
    * @param {Object} connection - MySQL connection
@@ -177,7 +222,7 @@ class DatabaseConnectionManager {
    */
   _setSessionVariables(connection, context) {
     return new Promise((resolve, reject) => {
-      if (!context || Object.keys(context).length === 0) {
+      if (!this._hasSessionVariables(context)) {
         return resolve();
       }
 
@@ -197,9 +242,17 @@ class DatabaseConnectionManager {
         setParams.push(val);
       }
 
-      if (setStatements.length === 0) {
-        return resolve();
-      }
+      const claimCount = Object.keys(context).length;
+      const metadata = context[CONSTANTS.REQUEST_CONTEXT.METADATA] || {};
+      setStatements.push('@request_jwt_claims = ?', '@request_method = ?', '@request_path = ?', '@request_headers = ?');
+      setParams.push(
+        claimCount > 0 ? JSON.stringify(context) : null,
+        metadata.method || null,
+        metadata.path || null,
+        metadata.headers ? JSON.stringify(metadata.headers) : null
+      );
+
+      this.sessionVariables.set(connection, setStatements.map(statement => statement.replace(' = ?', '')));
 
       let setQuery = 'SET ' + setStatements.join(', ');
       connection.query(setQuery, setParams, (error) => {
@@ -212,6 +265,31 @@ class DatabaseConnectionManager {
     });
   }
 
+  /**
+   * Releases a connection to its pool
+   * The session variables set on it are reset to NULL first, so a later request on
+   * the same pooled connection, with other claims or without context, cannot read
+   * them. A connection whose variables cannot be reset is destroyed instead.
+   * 
+   * @private
+   * @param {Object} connection - MySQL connection
+   */
+  _releaseConnection(connection) {
+    const variables = this.sessionVariables.get(connection);
+    if (!variables) {
+      return connection.release();
+    }
+
+    this.sessionVariables.delete(connection);
+    connection.query('SET ' + variables.map(variable => `${variable} = NULL`).join(', '), [], (error) => {
+      if (error) {
+        console.error('Reset session variables error:', error);
+        return connection.destroy();
+      }
+      connection.release();
+    });
+  }
+
   /**
    * Wraps a connection object to provide promise-based query method
    * 
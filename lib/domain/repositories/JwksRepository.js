@@ -0,0 +1,183 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const CONSTANTS = require('../constants');
+
+/**
+ * JWKS Repository
+ * Loads the public keys of a JSON Web Key Set from a URL or a local file
+ *
+ * This repository provides:
+ * - Key lookup by kid, as KeyObjects accepted by jsonwebtoken
+ * - A cache refreshed after cacheMaxAge
+ * - A refresh on an unknown kid (key rotation), at most once per refreshCooldown
+ */
+class JwksRepository {
+
+  /**
+   * @param {Object} options - JWKS options
+   * @param {string} options.jwksUri - http(s) URL of the key set
+   * @param {string} options.jwksFile - Path of a key set file, used when no jwksUri is given
+   * @param {number} options.cacheMaxAge - Milliseconds the keys are cached
+   * @param {number} options.refreshCooldown - Minimum milliseconds between refreshes on an unknown kid
+   */
+  constructor(options) {
+    if (!options || (!options.jwksUri && !options.jwksFile)) {
+      throw new Error('A JWKS URL or file is required');
+    }
+
+    this.jwksUri = options.jwksUri;
+    this.jwksFile = options.jwksFile;
+    this.cacheMaxAge = options.cacheMaxAge || CONSTANTS.JWKS.CACHE_MAX_AGE;
+    this.refreshCooldown = options.refreshCooldown !== undefined ? options.refreshCooldown : CONSTANTS.JWKS.REFRESH_COOLDOWN;
+    this.keys = new Map(); // kid => { key, alg }
+    this.loadedAt = 0; // Last successful load
+    this.attemptedAt = 0; // Last load attempt, for the cooldown
+    this.pending = null;
+  }
+
+  /**
+   * Gets the verification key of a token
+   * A token without kid is accepted when the key set has a single key
+   *
+   * @param {string} kid - Key id from the token header
+   * @param {string} alg - Algorithm from the token header, must match the alg of the key if it has one
+   * @returns {Promise<KeyObject>} Public key
+   * @throws {Error} When no key matches, even after a refresh
+   */
+  async getKey(kid, alg) {
+    if (Date.now() - this.loadedAt > this.cacheMaxAge) {
+      try {
+        await this.refresh();
+      } catch (err) {
+        // An unreachable key server should not lock out tokens signed with cached keys
+        if (this.keys.size === 0) {
+          throw err;
+        }
+        console.error('JWKS refresh failed, using cached keys:', err.message);
+      }
+    }
+
+    let entry = this._findKey(kid);
+    if (!entry && Date.now() - this.attemptedAt >= this.refreshCooldown) {
+      // The identity provider may have rotated its keys since the last load
+      await this.refresh();
+      entry = this._findKey(kid);
+    }
+
+    if (!entry || (entry.alg && alg && entry.alg !== alg)) {
+      throw new Error(CONSTANTS.ERROR_MESSAGES.JWKS_KEY_NOT_FOUND.replace('{0}', kid));
+    }
+    return entry.key;
+  }
+
+  /**
+   * Reloads the key set, concurrent callers share one request
+   *
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.pending) {
+      this.attemptedAt = Date.now();
+      this.pending = this._load()
+        .then(jwks => {
+          this.keys = this._parseKeys(jwks);
+          this.loadedAt = Date.now();
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * @private
+   * @param {string} kid - Key id, undefined when the token has none
+   * @returns {Object|undefined} Cache entry
+   */
+  _findKey(kid) {
+    if (kid === undefined || kid === null) {
+      return this.keys.size === 1 ? this.keys.values().next().value : undefined;
+    }
+    return this.keys.get(kid);
+  }
+
+  /**
+   * Converts the signing keys of a key set, encryption keys and keys
+   * Node cannot import are skipped
+   *
+   * @private
+   * @param {Object} jwks - { keys: [...] }
+   * @returns {Map} kid => { key, alg }
+   * @throws {Error} When the document is not a key set
+   */
+  _parseKeys(jwks) {
+    if (!jwks || !Array.isArray(jwks.keys)) {
+      throw new Error('JWKS document has no keys array');
+    }
+
+    const keys = new Map();
+    jwks.keys.forEach((jwk, i) => {
+      if (jwk.use === 'enc') {
+        return;
+      }
+      try {
+        keys.set(jwk.kid !== undefined ? jwk.kid : String(i), {
+          key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+          alg: jwk.alg
+        });
+      } catch (err) {
+        console.error(`Skipping JWKS key ${jwk.kid}:`, err.message);
+      }
+    });
+    return keys;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object>} Parsed key set
+   */
+  async _load() {
+    if (this.jwksUri) {
+      return this._fetch(this.jwksUri);
+    }
+    return JSON.parse(await fs.promises.readFile(this.jwksFile, 'utf8'));
+  }
+
+  /**
+   * @private
+   * @param {string} uri - http(s) URL
+   * @returns {Promise<Object>} Parsed response body
+   */
+  _fetch(uri) {
+    const client = uri.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.get(uri, { timeout: CONSTANTS.JWKS.FETCH_TIMEOUT }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          body += chunk;
+        });
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            return reject(new Error(`JWKS request to ${uri} failed with status ${res.statusCode}`));
+          }
+          try {
+            resolve(JSON.parse(body));
+          } catch (err) {
+            reject(new Error(`JWKS response of ${uri} is not JSON`));
+          }
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error(`JWKS request to ${uri} timed out`)));
+      req.on('error', reject);
+    });
+  }
+}
+
+module.exports = JwksRepository;
@@ -1,6 +1,7 @@
 'use strict';
 
 const dataHelp = require('../../util/data.helper.js');
+const CONSTANTS = require('../constants.js');
 
 /**
  * Schema Repository
@@ -13,9 +14,15 @@ const dataHelp = require('../../util/data.helper.js');
  */
 class SchemaRepository {
   
-  constructor(databaseConnectionManager, databaseName) {
+  /**
+   * @param {Object} databaseConnectionManager - Connection manager
+   * @param {string} databaseName - Schema to load
+   * @param {Array<string>} hiddenTables - Tables left out of the metadata (default: the internal tables)
+   */
+  constructor(databaseConnectionManager, databaseName, hiddenTables = CONSTANTS.INTERNAL_TABLES) {
     this.connectionManager = databaseConnectionManager;
     this.databaseName = databaseName;
+    this.hiddenTables = hiddenTables;
     this.metaDb = {
       tables: {},
       routines: {}
@@ -31,12 +38,13 @@ class SchemaRepository {
   async loadDatabaseSchema() {
     try {
       // Load table schema
-      const schemaResults = await this._querySchema();
+      const schemaResults = this._withoutHiddenTables(await this._querySchema());
       
       this._initializeTables(schemaResults);
       this._loadTableColumns(schemaResults);
       this._loadPrimaryKeys(schemaResults);
       this._loadForeignKeys(schemaResults);
+      this._loadIndexes(schemaResults);
       
       // Load stored procedures and functions
       const procedureResults = await this._queryProcedures();
@@ -139,6 +147,22 @@ class SchemaRepository {
     return await this.connectionManager.executeQuery(query, params);
   }
 
+  /**
+   * Drops the rows of hidden tables from the schema results, foreign keys
+   * referencing a hidden table are kept as plain columns
+   * 
+   * @private
+   * @param {Array} schemaResults - Results from schema query
+   * @returns {Array} Results without hidden tables
+   */
+  _withoutHiddenTables(schemaResults) {
+    return schemaResults
+      .filter(schemaRow => !this.hiddenTables.includes(schemaRow['table_name'] || schemaRow['TABLE_NAME']))
+      .map(schemaRow => this.hiddenTables.includes(schemaRow['referenced_table_name'] || schemaRow['REFERENCED_TABLE_NAME'])
+        ? Object.assign({}, schemaRow, { referenced_table_name: null, REFERENCED_TABLE_NAME: null })
+        : schemaRow);
+  }
+
   /**
    * Initializes empty table structures in metaDb
    * 
@@ -179,7 +203,8 @@ class SchemaRepository {
         data_type: schemaRow['data_type'] || schemaRow['DATA_TYPE'],
         column_type: schemaRow['column_type'] || schemaRow['COLUMN_TYPE'],
         is_nullable: schemaRow['is_nullable'] || schemaRow['IS_NULLABLE'],
-        column_default: schemaRow['column_default'] || schemaRow['COLUMN_DEFAULT']
+        column_default: schemaRow['column_default'] || schemaRow['COLUMN_DEFAULT'],
+        extra: schemaRow['extra'] || schemaRow['EXTRA']
       };
 
       dataHelp.findOrInsertObjectArrayByKey(
@@ -221,7 +246,9 @@ class SchemaRepository {
   }
 
   /**
-   * Loads foreign key information into table metadata
+   * Loads foreign key information into table metadata, grouped by
+   * constraint with the column pairs in constraint order. The first pair
+   * is also exposed as column_name/referenced_column_name
    * 
    * @private
    * @param {Array} schemaResults - Results from schema query
@@ -233,20 +260,63 @@ class SchemaRepository {
       const referencedTableName = schemaRow['referenced_table_name'] || schemaRow['REFERENCED_TABLE_NAME'];
 
       if (referencedTableName) {
-        const fk = {
-          column_name: schemaRow['column_name'] || schemaRow['COLUMN_NAME'],
-          table_name: tableName,
-          referenced_table_name: referencedTableName,
+        const columnName = schemaRow['column_name'] || schemaRow['COLUMN_NAME'];
+        const fk = dataHelp.findOrInsertObjectArrayByKey(
+          {
+            constraint_name: schemaRow['constraint_name'] || schemaRow['CONSTRAINT_NAME'] || columnName,
+            table_name: tableName,
+            referenced_table_name: referencedTableName,
+            columns: []
+          },
+          'constraint_name',
+          this.metaDb.tables[tableName]['foreignKeys']
+        );
+
+        // ordinal_position of key_column_usage is 1-based
+        const position = schemaRow['constraint_ordinal_position'] || schemaRow['CONSTRAINT_ORDINAL_POSITION'] || 1;
+        fk.columns[position - 1] = {
+          column_name: columnName,
           referenced_column_name: schemaRow['referenced_column_name'] || schemaRow['REFERENCED_COLUMN_NAME'],
           data_type: schemaRow['data_type'] || schemaRow['DATA_TYPE'],
           column_type: schemaRow['column_type'] || schemaRow['COLUMN_TYPE']
         };
 
-        dataHelp.findOrInsertObjectArrayByKey(
-          fk, 
-          'column_name', 
-          this.metaDb.tables[tableName]['foreignKeys']
+        if (fk.columns[0]) {
+          Object.assign(fk, fk.columns[0]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Loads index information (name, type, uniqueness, ordered columns)
+   * into table metadata
+   * 
+   * @private
+   * @param {Array} schemaResults - Results from schema query
+   */
+  _loadIndexes(schemaResults) {
+    for (let i = 0; i < schemaResults.length; ++i) {
+      const schemaRow = schemaResults[i];
+      const tableName = schemaRow['table_name'] || schemaRow['TABLE_NAME'];
+      const indexName = schemaRow['index_name'] || schemaRow['INDEX_NAME'];
+
+      if (indexName) {
+        const nonUnique = schemaRow['non_unique'] !== undefined ? schemaRow['non_unique'] : schemaRow['NON_UNIQUE'];
+        const index = dataHelp.findOrInsertObjectArrayByKey(
+          {
+            index_name: indexName,
+            index_type: schemaRow['index_type'] || schemaRow['INDEX_TYPE'],
+            non_unique: Number(nonUnique) === 1,
+            columns: []
+          },
+          'index_name',
+          this.metaDb.tables[tableName]['indicies']
         );
+
+        // Keep columns in index order (seq_in_index is 1-based)
+        const seqInIndex = schemaRow['seq_in_index'] || schemaRow['SEQ_IN_INDEX'];
+        index.columns[seqInIndex - 1] = schemaRow['column_name'] || schemaRow['COLUMN_NAME'];
       }
     }
   }
@@ -349,6 +419,17 @@ class SchemaRepository {
     return table ? table.foreignKeys : [];
   }
 
+  /**
+   * Gets indexes for a specific table
+   * 
+   * @param {string} tableName - Table name
+   * @returns {Array} Array of index objects
+   */
+  getIndexes(tableName) {
+    const table = this.metaDb.tables[tableName];
+    return table ? table.indicies : [];
+  }
+
   /**
    * Gets columns for a specific table
    * 
@@ -1,6 +1,7 @@
 'use strict';
 
 const CONSTANTS = require('../constants.js');
+const { BadRequestError } = require('../errors');
 
 /**
  * Aggregation Service
@@ -13,8 +14,10 @@ const CONSTANTS = require('../constants.js');
  */
 class AggregationService {
   
-  constructor(xsql) {
+  constructor(xsql, rlsService, columnGrantService = null) {
     this.xsql = xsql;
+    this.rlsService = rlsService;
+    this.columnGrantService = columnGrantService;
   }
 
   /**
@@ -24,6 +27,7 @@ class AggregationService {
    * @param {Object} queryParams - Query parameters
    * @param {Object} context - JWT context for RLS
    * @returns {Promise<Array>} Grouped results with counts
+   * @throws {BadRequestError} When a field is not a column of the table
    */
   async groupBy(tableName, queryParams, context = null) {
     // Validate required fields parameter
@@ -31,9 +35,13 @@ class AggregationService {
       throw new Error(CONSTANTS.ERROR_MESSAGES.MISSING_FIELDS_PARAM);
     }
 
-    const fields = queryParams._fields || queryParams.fields;
-    let query = 'SELECT ' + fields + ', COUNT(*) as count FROM ?? GROUP BY ' + fields;
-    let params = [tableName];
+    const fields = (queryParams._fields || queryParams.fields).split(',').map(f => f.trim());
+    this._assertColumns(tableName, fields);
+    this._assertSelectable(tableName, fields, context);
+    const whereObj = this._getWhere(tableName, null, context);
+    const columns = fields.map(() => '??').join(', ');
+    let query = 'SELECT ' + columns + ', COUNT(*) as count FROM ??' + whereObj.query + ' GROUP BY ' + columns;
+    let params = [...fields, tableName, ...whereObj.params, ...fields];
 
     // Replicate original logic exactly:
     // Mutate queryParams directly if needed (like original code)
@@ -43,7 +51,7 @@ class AggregationService {
       queryParams._sort = queryParams.sort;
     }
     
-    query += this.xsql.getOrderByClause(queryParams, tableName);
+    query += this.xsql.getOrderByClause(queryParams, tableName, ['count'], context);
 
     // Execute query
     const results = await this.xsql.exec(query, params, context);
@@ -67,6 +75,7 @@ class AggregationService {
 
     const fieldsParam = queryParams._fields || queryParams.fields;
     const fields = fieldsParam.split(',');
+    this._assertSelectable(tableName, fields, context);
 
     let query = 'SELECT ';
     let params = [];
@@ -101,6 +110,7 @@ class AggregationService {
 
     query += ' FROM ??';
     params.push(tableName);
+    query += this._getWhere(tableName, null, context).query;
 
     // Execute query
     const results = await this.xsql.exec(query, params, context);
@@ -119,6 +129,7 @@ class AggregationService {
    * @returns {Promise<Array>} Custom grouped and aggregated results
    */
   async customGroupBy(tableName, groupFields, aggregates, options = {}, context = null) {
+    this._assertSelectable(tableName, groupFields.concat((aggregates || []).map(agg => agg.field)), context);
     let query = 'SELECT ';
     let params = [];
 
@@ -140,11 +151,10 @@ class AggregationService {
     query += ' FROM ??';
     params.push(tableName);
 
-    // Add WHERE clause if provided
-    if (options.where) {
-      query += ' WHERE ' + options.where.query;
-      params.push(...options.where.params);
-    }
+    // Add WHERE clause if provided, limited by the table's SELECT policies
+    const whereObj = this._getWhere(tableName, options.where, context);
+    query += whereObj.query;
+    params.push(...whereObj.params);
 
     // Add GROUP BY
     query += ' GROUP BY ' + groupFields.map(f => '??').join(', ');
@@ -182,14 +192,14 @@ class AggregationService {
    * @returns {Promise<Array>} Distinct values
    */
   async distinct(tableName, fieldName, options = {}, context = null) {
+    this._assertSelectable(tableName, [fieldName], context);
     let query = 'SELECT DISTINCT ?? FROM ??';
     let params = [fieldName, tableName];
 
-    // Add WHERE clause if provided
-    if (options.where) {
-      query += ' WHERE ' + options.where.query;
-      params.push(...options.where.params);
-    }
+    // Add WHERE clause if provided, limited by the table's SELECT policies
+    const whereObj = this._getWhere(tableName, options.where, context);
+    query += whereObj.query;
+    params.push(...whereObj.params);
 
     // Add ORDER BY if provided
     if (options.orderBy) {
@@ -221,19 +231,71 @@ class AggregationService {
    * @returns {Promise<number>} Count of distinct values
    */
   async countDistinct(tableName, fieldName, options = {}, context = null) {
+    this._assertSelectable(tableName, [fieldName], context);
     let query = 'SELECT COUNT(DISTINCT ??) as distinct_count FROM ??';
     let params = [fieldName, tableName];
 
-    // Add WHERE clause if provided
-    if (options.where) {
-      query += ' WHERE ' + options.where.query;
-      params.push(...options.where.params);
-    }
+    // Add WHERE clause if provided, limited by the table's SELECT policies
+    const whereObj = this._getWhere(tableName, options.where, context);
+    query += whereObj.query;
+    params.push(...whereObj.params);
 
     // Execute query
     const results = await this.xsql.exec(query, params, context);
     return results[0].distinct_count;
   }
+
+  /**
+   * Builds the WHERE clause of an aggregation, combining the optional
+   * condition with the RLS SELECT policies of the table
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Object} where - Optional { query, params } condition
+   * @param {Object} context - JWT context for RLS
+   * @returns {Object} { query, params } with query '' or ' WHERE ...'
+   */
+  _getWhere(tableName, where = null, context = null) {
+    const whereObj = where
+      ? { query: ' WHERE ' + where.query, params: where.params.slice() }
+      : { query: '', params: [] };
+    this.rlsService.injectPolicyIntoWhere(whereObj, tableName, CONSTANTS.RLS_OPERATIONS.SELECT, ' WHERE ', context);
+    return whereObj;
+  }
+
+  /**
+   * Fails when a field is not a column of the table
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Array<string>} fields - Field names
+   * @throws {BadRequestError} On unknown columns
+   */
+  _assertColumns(tableName, fields) {
+    const columns = this.xsql.metaDb.tables[tableName].columns;
+    for (const field of fields) {
+      if (!columns.find(c => c.column_name === field)) {
+        throw new BadRequestError(`Cannot group '${tableName}' by unknown column '${field}'`, {
+          code: CONSTANTS.POSTGREST.ERROR_UNDEFINED_COLUMN
+        });
+      }
+    }
+  }
+
+  /**
+   * Fails when a grouped or aggregated field is not a column granted to the role
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Array<string>} fields - Field names
+   * @param {Object} context - JWT context carrying the role claim
+   * @throws {AuthorizationError} When a field is not granted
+   */
+  _assertSelectable(tableName, fields, context) {
+    if (this.columnGrantService) {
+      this.columnGrantService.assertAllowed(tableName, fields.map(f => f.trim()), CONSTANTS.COLUMN_PRIVILEGES.SELECT, context);
+    }
+  }
 }
 
 module.exports = AggregationService;
@@ -0,0 +1,229 @@
+'use strict';
+
+const crypto = require('crypto');
+const CONSTANTS = require('../constants.js');
+const roleHelp = require('../../util/role.helper.js');
+const { BadRequestError, ConflictError } = require('../errors');
+
+/**
+ * API Key Service
+ * Manages the API keys of the API keys table and authenticates requests with them
+ *
+ * A key is only shown when it is created; the table keeps its SHA-256 hash and
+ * a short prefix to recognize it. Each key carries the role and claims its
+ * requests run with, and optionally the tables and methods it may use.
+ */
+class ApiKeyService {
+
+  /**
+   * @param {Object} xsql - Database access, queries run on the main pool
+   * @param {Object} config - Configuration object
+   * @param {string} config.roleClaim - Path the role of a key is set at in its claims (default: role)
+   */
+  constructor(xsql, config = {}) {
+    this.xsql = xsql;
+    this.roleClaim = config.roleClaim || CONSTANTS.JWT.ROLE_CLAIM;
+  }
+
+  /**
+   * Creates the API keys table if it doesn't exist
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureApiKeysTable() {
+    try {
+      await this.xsql.exec(CONSTANTS.API_KEYS_TABLE.SCHEMA, []);
+      console.log('API keys table ready');
+    } catch (err) {
+      console.error(`Failed to create ${CONSTANTS.API_KEYS_TABLE.NAME} table:`, err.message);
+      // Don't block startup - API key requests will fail instead
+    }
+  }
+
+  /**
+   * Creates a key
+   *
+   * @param {Object} options - Key options
+   * @param {string} options.name - Unique name
+   * @param {string} options.role - Role of the requests
+   * @param {Object|string} options.claims - Further claims, as object or JSON
+   * @param {string|Array} options.tables - Tables the key may use (default: all)
+   * @param {string|Array} options.methods - HTTP methods the key may use (default: all)
+   * @param {number} options.expiresIn - Seconds until the key expires (default: never)
+   * @returns {Promise<Object>} Key row with the plain key in `key`, shown only now
+   * @throws {BadRequestError} On a missing name or invalid claims
+   * @throws {ConflictError} When a key with that name exists
+   */
+  async create(options = {}) {
+    if (!options.name) {
+      throw new BadRequestError(CONSTANTS.ERROR_MESSAGES.AUTH_FIELD_REQUIRED.replace('{0}', 'name'));
+    }
+
+    const key = CONSTANTS.API_KEYS_TABLE.KEY_PREFIX + crypto.randomBytes(CONSTANTS.API_KEYS_TABLE.KEY_BYTES).toString('base64url');
+    const tables = this._parseList(options.tables);
+    const methods = this._parseList(options.methods).map(m => m.toUpperCase());
+    const expiresIn = options.expiresIn !== undefined ? Number(options.expiresIn) : null;
+    if (expiresIn !== null && !(expiresIn > 0)) {
+      throw new BadRequestError('expiresIn must be a positive number of seconds');
+    }
+
+    let result;
+    try {
+      result = await this.xsql.exec(
+        'INSERT INTO ?? (name, key_prefix, key_hash, role, claims, allowed_tables, allowed_methods, expires_at) ' +
+        'VALUES (?, ?, ?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? SECOND)))',
+        [CONSTANTS.API_KEYS_TABLE.NAME, String(options.name), key.slice(0, CONSTANTS.API_KEYS_TABLE.DISPLAY_LENGTH),
+          this._hash(key), options.role || null, this._serializeClaims(options.claims),
+          tables.length ? tables.join(',') : null, methods.length ? methods.join(',') : null, expiresIn, expiresIn]
+      );
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        throw new ConflictError('An API key with this name already exists', {
+          code: CONSTANTS.POSTGREST.ERROR_UNIQUE_VIOLATION
+        });
+      }
+      throw err;
+    }
+
+    const rows = await this.xsql.exec('SELECT ?? FROM ?? WHERE id = ?',
+      [CONSTANTS.API_KEYS_TABLE.COLUMNS, CONSTANTS.API_KEYS_TABLE.NAME, result.insertId]);
+    return Object.assign({ key: key }, rows[0]);
+  }
+
+  /**
+   * Revokes a key
+   *
+   * @param {string|number} idOrName - Key id or name
+   * @returns {Promise<boolean>} False when no active key matched
+   */
+  async revoke(idOrName) {
+    const result = await this.xsql.exec(
+      'UPDATE ?? SET revoked_at = NOW() WHERE (id = ? OR name = ?) AND revoked_at IS NULL',
+      [CONSTANTS.API_KEYS_TABLE.NAME, /^\d+$/.test(String(idOrName)) ? Number(idOrName) : null, String(idOrName)]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Lists the keys, without their hashes
+   *
+   * @returns {Promise<Array>} Key rows ordered by id
+   */
+  async list() {
+    return this.xsql.exec('SELECT ?? FROM ?? ORDER BY id', [CONSTANTS.API_KEYS_TABLE.COLUMNS, CONSTANTS.API_KEYS_TABLE.NAME]);
+  }
+
+  /**
+   * Finds the active key of a request and records its use
+   *
+   * @param {string} key - Plain key from the request
+   * @returns {Promise<Object|null>} Key row or null when unknown, revoked or expired
+   */
+  async authenticate(key) {
+    const rows = await this.xsql.exec(
+      'SELECT * FROM ?? WHERE key_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())',
+      [CONSTANTS.API_KEYS_TABLE.NAME, this._hash(String(key))]
+    );
+    if (rows.length === 0) {
+      return null;
+    }
+
+    // Not awaited: tracking must not slow down or fail the request
+    this.xsql.exec(
+      'UPDATE ?? SET last_used_at = NOW() WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL ? SECOND)',
+      [CONSTANTS.API_KEYS_TABLE.NAME, rows[0].id, CONSTANTS.API_KEYS_TABLE.LAST_USED_INTERVAL]
+    ).catch(err => console.error('Failed to record API key use:', err.message));
+
+    return rows[0];
+  }
+
+  /**
+   * Gets the claims requests with a key run with: its claims plus its role at the role claim path
+   *
+   * @param {Object} apiKey - Key row
+   * @returns {Object} Claims
+   */
+  buildClaims(apiKey) {
+    const claims = apiKey.claims ? JSON.parse(apiKey.claims) : {};
+    if (apiKey.role) {
+      roleHelp.setClaim(claims, this.roleClaim, apiKey.role);
+    }
+    return claims;
+  }
+
+  /**
+   * Gets the tables a key may use
+   *
+   * @param {Object} apiKey - Key row
+   * @returns {Array} Table names, empty for all
+   */
+  getAllowedTables(apiKey) {
+    return this._parseList(apiKey.allowed_tables);
+  }
+
+  /**
+   * Checks the table and method scope of a key
+   *
+   * @param {Object} apiKey - Key row
+   * @param {Array|null} tables - Tables the request uses, null for requests outside /api/<table>
+   * @param {string} method - HTTP method
+   * @returns {boolean} True when the key may make the request
+   */
+  isAllowed(apiKey, tables, method) {
+    const allowedMethods = this._parseList(apiKey.allowed_methods);
+    if (allowedMethods.length > 0 && !allowedMethods.includes(String(method).toUpperCase())) {
+      return false;
+    }
+
+    const allowedTables = this.getAllowedTables(apiKey);
+    if (allowedTables.length === 0) {
+      return true;
+    }
+    return tables !== null && tables.every(table => allowedTables.includes(table));
+  }
+
+  /**
+   * @private
+   * @param {Object|string} claims - Claims object or JSON
+   * @returns {string|null} JSON object
+   * @throws {BadRequestError} When the claims are not a JSON object
+   */
+  _serializeClaims(claims) {
+    if (claims === undefined || claims === null || claims === '') {
+      return null;
+    }
+
+    let parsed = claims;
+    if (typeof claims === 'string') {
+      try {
+        parsed = JSON.parse(claims);
+      } catch (err) {
+        parsed = null;
+      }
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new BadRequestError('claims must be a JSON object');
+    }
+    return JSON.stringify(parsed);
+  }
+
+  /**
+   * @private
+   * @param {string|Array} value - Comma separated list or array
+   * @returns {Array} Trimmed non-empty items
+   */
+  _parseList(value) {
+    return (Array.isArray(value) ? value : String(value || '').split(',')).map(v => String(v).trim()).filter(v => v);
+  }
+
+  /**
+   * @private
+   * @param {string} key - Plain key
+   * @returns {string} SHA-256 hex digest
+   */
+  _hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,280 @@
+'use strict';
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const CONSTANTS = require('../constants.js');
+const roleHelp = require('../../util/role.helper.js');
+const { AuthenticationError, BadRequestError } = require('../errors');
+
+// Compared when the user does not exist, so unknown usernames take as long as wrong passwords
+const DUMMY_HASH = '$2b$10$TQHOlTaTTTaSL2TNgQXMD.3Uk8NSVK6VDDXM1yMdU1jbFz709zm1y';
+
+/**
+ * Auth Service
+ * Issues the JWTs verified by jwtMiddleware for the users of a table
+ *
+ * Access tokens are signed with --jwtSecret and carry the claims mapped from the
+ * user's columns. Refresh tokens are random strings, stored as SHA-256 hashes in
+ * the refresh tokens table; each one is revoked when used or on logout.
+ */
+class AuthService {
+
+  /**
+   * @param {Object} xsql - Database access, queries run on the main pool
+   * @param {Object} config - Configuration object
+   * @param {string} config.jwtSecret - Secret the access tokens are signed with
+   * @param {string} config.jwtIssuer - Comma separated accepted iss values, the first one is issued
+   * @param {string} config.jwtAudience - Comma separated accepted aud values, the first one is issued
+   * @param {string} config.authUsersTable - Table holding the users
+   * @param {string} config.authUsernameColumn - Column matched against the username (default: username)
+   * @param {string} config.authPasswordColumn - Column holding bcrypt or argon2 hashes (default: password_hash)
+   * @param {string} config.authClaims - Comma separated column:claim mappings (default: id:sub,role)
+   * @param {number} config.authTokenExpiry - Access token lifetime in seconds
+   * @param {number} config.authRefreshExpiry - Refresh token lifetime in seconds
+   * @throws {Error} When no secret or users table is configured
+   */
+  constructor(xsql, config) {
+    if (!config || !config.jwtSecret) {
+      throw new Error('JWT secret is required to issue tokens');
+    }
+    if (!config.authUsersTable) {
+      throw new Error('A users table is required to issue tokens');
+    }
+
+    this.xsql = xsql;
+    this.secret = config.jwtSecret;
+    this.issuer = this._first(config.jwtIssuer);
+    this.audience = this._first(config.jwtAudience);
+    this.usersTable = config.authUsersTable;
+    this.usernameColumn = config.authUsernameColumn || CONSTANTS.AUTH.USERNAME_COLUMN;
+    this.passwordColumn = config.authPasswordColumn || CONSTANTS.AUTH.PASSWORD_COLUMN;
+    this.claims = this.parseClaims(config.authClaims || CONSTANTS.AUTH.CLAIMS);
+    this.tokenExpiry = Number(config.authTokenExpiry) || CONSTANTS.AUTH.TOKEN_EXPIRY;
+    this.refreshExpiry = Number(config.authRefreshExpiry) || CONSTANTS.AUTH.REFRESH_EXPIRY;
+  }
+
+  /**
+   * Creates the refresh tokens table if it doesn't exist
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureRefreshTokensTable() {
+    try {
+      await this.xsql.exec(CONSTANTS.AUTH_REFRESH_TOKENS_TABLE.SCHEMA, []);
+      console.log('Refresh tokens table ready');
+    } catch (err) {
+      console.error(`Failed to create ${CONSTANTS.AUTH_REFRESH_TOKENS_TABLE.NAME} table:`, err.message);
+      // Don't block startup - token requests will fail instead
+    }
+  }
+
+  /**
+   * Handles a token request, like the OAuth 2 token endpoint
+   *
+   * @param {Object} body - { grant_type: 'password', username, password }
+   *                        or { grant_type: 'refresh_token', refresh_token }
+   * @returns {Promise<Object>} { access_token, token_type, expires_in, refresh_token }
+   * @throws {BadRequestError} On a missing field or an unsupported grant type
+   * @throws {AuthenticationError} On wrong credentials or an unusable refresh token
+   */
+  async token(body = {}) {
+    const grantType = body.grant_type || CONSTANTS.AUTH.GRANT_TYPES.PASSWORD;
+
+    if (grantType === CONSTANTS.AUTH.GRANT_TYPES.PASSWORD) {
+      this._assertFields(body, ['username', 'password']);
+      return this.issueTokens(await this._authenticate(String(body.username), String(body.password)));
+    }
+    if (grantType === CONSTANTS.AUTH.GRANT_TYPES.REFRESH_TOKEN) {
+      this._assertFields(body, ['refresh_token']);
+      return this.issueTokens(await this._useRefreshToken(String(body.refresh_token)));
+    }
+    throw new BadRequestError(CONSTANTS.ERROR_MESSAGES.AUTH_UNSUPPORTED_GRANT.replace('{0}', grantType));
+  }
+
+  /**
+   * Revokes a refresh token, unknown or already revoked tokens are ignored
+   * Access tokens stay valid until they expire
+   *
+   * @param {Object} body - { refresh_token }
+   * @returns {Promise<void>}
+   * @throws {BadRequestError} When no refresh token is given
+   */
+  async logout(body = {}) {
+    this._assertFields(body, ['refresh_token']);
+    await this.xsql.exec(
+      'UPDATE ?? SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL',
+      [CONSTANTS.AUTH_REFRESH_TOKENS_TABLE.NAME, this._hash(String(body.refresh_token))]
+    );
+  }
+
+  /**
+   * Signs an access token and stores a new refresh token for a user
+   *
+   * @param {Object} user - Row of the users table
+   * @returns {Promise<Object>} Token response
+   */
+  async issueTokens(user) {
+    const refreshToken = crypto.randomBytes(CONSTANTS.AUTH.REFRESH_TOKEN_BYTES).toString('base64url');
+    await this.xsql.exec(
+      'INSERT INTO ?? (token_hash, username, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))',
+      [CONSTANTS.AUTH_REFRESH_TOKENS_TABLE.NAME, this._hash(refreshToken), String(user[this.usernameColumn]), this.refreshExpiry]
+    );
+
+    const options = { algorithm: 'HS256', expiresIn: this.tokenExpiry };
+    if (this.issuer) {
+      options.issuer = this.issuer;
+    }
+    if (this.audience) {
+      options.audience = this.audience;
+    }
+
+    return {
+      access_token: jwt.sign(this.buildClaims(user), this.secret, options),
+      token_type: 'bearer',
+      expires_in: this.tokenExpiry,
+      refresh_token: refreshToken
+    };
+  }
+
+  /**
+   * Maps the columns of a user to token claims, NULL columns are left out
+   *
+   * @param {Object} user - Row of the users table
+   * @returns {Object} Claims
+   */
+  buildClaims(user) {
+    const claims = {};
+    for (const { column, claim } of this.claims) {
+      if (user[column] !== undefined && user[column] !== null) {
+        roleHelp.setClaim(claims, claim, user[column]);
+      }
+    }
+    return claims;
+  }
+
+  /**
+   * Parses the column to claim mappings
+   * Example: 'id:sub,role,tenant_id:app_metadata.tenant_id'
+   *
+   * @param {string} mappings - Comma separated column or column:claim items
+   * @returns {Array} [{ column, claim }]
+   */
+  parseClaims(mappings) {
+    return String(mappings).split(',').map(m => m.trim()).filter(m => m).map(mapping => {
+      const separator = mapping.indexOf(':');
+      return separator === -1
+        ? { column: mapping, claim: mapping }
+        : { column: mapping.slice(0, separator).trim(), claim: mapping.slice(separator + 1).trim() };
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} User row
+   * @throws {AuthenticationError} When the user does not exist or the password is wrong
+   */
+  async _authenticate(username, password) {
+    const user = await this._findUser(username);
+    const hash = user ? String(user[this.passwordColumn] || '') : DUMMY_HASH;
+
+    if (!(await this._verifyPassword(password, hash)) || !user) {
+      throw new AuthenticationError(CONSTANTS.ERROR_MESSAGES.AUTH_INVALID_CREDENTIALS);
+    }
+    return user;
+  }
+
+  /**
+   * Revokes a refresh token and returns its user, a token can only be used once
+   *
+   * @private
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} User row
+   * @throws {AuthenticationError} When the token is unknown, expired, revoked or its user is gone
+   */
+  async _useRefreshToken(refreshToken) {
+    const tokenHash = this._hash(refreshToken);
+    const rows = await this.xsql.exec(
+      'SELECT username FROM ?? WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()',
+      [CONSTANTS.AUTH_REFRESH_TOKENS_TABLE.NAME, tokenHash]
+    );
+
+    // The conditional update lets only one of two concurrent requests use the token
+    const result = rows.length === 0 ? null : await this.xsql.exec(
+      'UPDATE ?? SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL',
+      [CONSTANTS.AUTH_REFRESH_TOKENS_TABLE.NAME, tokenHash]
+    );
+    const user = result && result.affectedRows === 1 ? await this._findUser(rows[0].username) : null;
+
+    if (!user) {
+      throw new AuthenticationError(CONSTANTS.ERROR_MESSAGES.AUTH_INVALID_REFRESH_TOKEN);
+    }
+    return user;
+  }
+
+  /**
+   * @private
+   * @param {string} username - Value of the username column
+   * @returns {Promise<Object|null>} User row
+   */
+  async _findUser(username) {
+    const rows = await this.xsql.exec('SELECT * FROM ?? WHERE ?? = ? LIMIT 1', [this.usersTable, this.usernameColumn, username]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Checks a password against a bcrypt ($2a$, $2b$, $2y$) or argon2 ($argon2...) hash
+   *
+   * @private
+   * @param {string} password - Password
+   * @param {string} hash - Stored hash
+   * @returns {Promise<boolean>} True when the password matches
+   */
+  async _verifyPassword(password, hash) {
+    if (/^\$2[aby]\$/.test(hash)) {
+      return bcrypt.compare(password, hash);
+    }
+    if (hash.startsWith('$argon2')) {
+      // Native optional dependency, only needed for argon2 hashes
+      return require('argon2').verify(hash, password);
+    }
+    console.error(`Unsupported password hash in ${this.usersTable}.${this.passwordColumn}`);
+    return false;
+  }
+
+  /**
+   * @private
+   * @param {Object} body - Request body
+   * @param {Array} fields - Required fields
+   * @throws {BadRequestError} On the first missing field
+   */
+  _assertFields(body, fields) {
+    for (const field of fields) {
+      if (body[field] === undefined || body[field] === null || body[field] === '') {
+        throw new BadRequestError(CONSTANTS.ERROR_MESSAGES.AUTH_FIELD_REQUIRED.replace('{0}', field));
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} token - Refresh token
+   * @returns {string} SHA-256 hex digest
+   */
+  _hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * @private
+   * @param {string} list - Comma separated option
+   * @returns {string|undefined} First item
+   */
+  _first(list) {
+    return String(list || '').split(',').map(v => v.trim()).filter(v => v)[0];
+  }
+}
+
+module.exports = AuthService;
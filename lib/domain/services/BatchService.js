@@ -0,0 +1,279 @@
+'use strict';
+
+const CONSTANTS = require('../constants.js');
+const CrudService = require('./CrudService.js');
+const { BaseError, BadRequestError, NotFoundError } = require('../errors');
+
+/**
+ * Batch Service
+ * Runs an ordered list of write operations across tables in one transaction
+ *
+ * Each operation is { method, table, id?, query?, body?, ref? }:
+ * - method: POST, PUT, PATCH or DELETE
+ * - id: primary key of the row (pk1___pk2 for composite keys), required by PUT
+ * - query: PostgREST filters for PATCH/DELETE without id
+ * - ref: name under which the returned rows can be referenced
+ *
+ * Values of body, id and query may be { "$ref": "name.column" } (or "name.N.column"
+ * for the Nth returned row, the operation index works as name too) and are replaced
+ * with the value returned by that earlier operation.
+ * Any failing operation rolls back the whole batch.
+ */
+class BatchService {
+
+  constructor(xsql, rlsService) {
+    this.xsql = xsql;
+    this.rlsService = rlsService;
+  }
+
+  /**
+   * Executes the operations in order inside one transaction
+   *
+   * @param {Array} operations - Batch operations
+   * @param {Object} context - JWT context for RLS
+   * @returns {Promise<Array>} One { status, body } per operation
+   * @throws {BadRequestError} When the batch is malformed or an operation fails
+   */
+  async execute(operations, context = null) {
+    this._validate(operations);
+
+    return this.xsql.connectionManager.executeInTransaction(async connection => {
+      const crudService = new CrudService(this.xsql, this.rlsService, this.xsql.columnGrantService).forConnection(connection);
+      const refs = {};
+      const results = [];
+
+      for (let i = 0; i < operations.length; ++i) {
+        const operation = operations[i];
+        let result;
+        try {
+          result = await this._executeOperation(crudService, operation, refs, context);
+        } catch (err) {
+          throw this._operationError(err, i, operation);
+        }
+
+        results.push(result);
+        refs[i] = result.body;
+        if (operation.ref) {
+          refs[operation.ref] = result.body;
+        }
+      }
+      return results;
+    }, context);
+  }
+
+  /**
+   * Checks the shape of the batch before anything is executed
+   *
+   * @private
+   * @param {Array} operations - Batch operations
+   * @throws {BadRequestError|NotFoundError} On malformed operations or unknown tables
+   */
+  _validate(operations) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new BadRequestError('Batch requires a non-empty array of operations');
+    }
+    if (operations.length > CONSTANTS.BATCH.MAX_OPERATIONS) {
+      throw new BadRequestError(`Batch is limited to ${CONSTANTS.BATCH.MAX_OPERATIONS} operations`);
+    }
+
+    const refNames = new Set();
+    operations.forEach((operation, i) => {
+      const method = operation && typeof operation.method === 'string' ? operation.method.toUpperCase() : null;
+      if (!CONSTANTS.BATCH.METHODS.includes(method)) {
+        throw new BadRequestError(`Operation ${i} has an unsupported method, use one of ${CONSTANTS.BATCH.METHODS.join(', ')}`);
+      }
+      if (!operation.table || !this.xsql.metaDb.tables[operation.table]) {
+        throw new NotFoundError('Table', operation.table);
+      }
+      if (method === 'PUT' && operation.id === undefined) {
+        throw new BadRequestError(`Operation ${i} (PUT ${operation.table}) requires an id`);
+      }
+      if (operation.ref) {
+        if (refNames.has(operation.ref) || /^\d+$/.test(operation.ref)) {
+          throw new BadRequestError(`Operation ${i} uses the duplicate or numeric ref '${operation.ref}'`);
+        }
+        refNames.add(operation.ref);
+      }
+    });
+  }
+
+  /**
+   * Executes one operation through the transaction bound CrudService
+   *
+   * @private
+   * @param {CrudService} crudService - CrudService bound to the transaction
+   * @param {Object} operation - Batch operation
+   * @param {Object} refs - Rows returned by earlier operations, by ref and index
+   * @param {Object} context - JWT context for RLS
+   * @returns {Promise<Object>} { status, body }
+   */
+  async _executeOperation(crudService, operation, refs, context) {
+    const table = operation.table;
+    const body = this._resolveRefs(operation.body || {}, refs);
+    const id = operation.id !== undefined ? this._resolveRefs(operation.id, refs) : undefined;
+    const pkValues = id !== undefined ? String(id).split('___') : null;
+    const query = pkValues ? this._getPrimaryKeyQuery(table, pkValues) : this._resolveQuery(operation.query || {}, refs);
+
+    switch (operation.method.toUpperCase()) {
+      case 'POST': {
+        const result = await crudService.create(table, body, { returnRepresentation: true }, context);
+        return { status: CONSTANTS.HTTP_STATUS.CREATED, body: result.results };
+      }
+
+      case 'PUT': {
+        const result = await crudService.update(table, pkValues, body, context);
+        this._assertFound(result.affectedRows, table, id);
+        return { status: CONSTANTS.HTTP_STATUS.OK, body: await crudService.read(table, pkValues, context) };
+      }
+
+      case 'PATCH': {
+        const result = await crudService.patch(table, query, body, { returnRepresentation: true }, context);
+        if (pkValues) {
+          this._assertFound(result.affectedRows, table, id);
+        }
+        return { status: CONSTANTS.HTTP_STATUS.OK, body: result.results };
+      }
+
+      case 'DELETE': {
+        const result = await crudService.delete(table, null, query, { returnRepresentation: true }, context);
+        if (pkValues) {
+          this._assertFound(result.affectedRows, table, id);
+        }
+        return { status: CONSTANTS.HTTP_STATUS.OK, body: result.results };
+      }
+    }
+  }
+
+  /**
+   * Turns primary key values into eq. filters so id based operations share the filter code path
+   *
+   * @private
+   * @param {string} table - Table name
+   * @param {Array} pkValues - Primary key values
+   * @returns {Object} Query parameters
+   * @throws {BadRequestError} When not all key columns have a value
+   */
+  _getPrimaryKeyQuery(table, pkValues) {
+    const pks = this.xsql.metaDb.tables[table].primaryKeys;
+    if (pks.length === 0 || pks.length !== pkValues.length) {
+      throw new BadRequestError(CONSTANTS.ERROR_MESSAGES.COMPOSITE_KEY_MISSING);
+    }
+
+    const query = {};
+    pks.forEach((pk, i) => {
+      query[pk.column_name] = 'eq.' + pkValues[i];
+    });
+    return query;
+  }
+
+  /**
+   * Replaces { "$ref": ... } values, recursing into objects and arrays
+   *
+   * @private
+   * @param {any} value - Body or id value
+   * @param {Object} refs - Rows returned by earlier operations
+   * @returns {any} Resolved value
+   */
+  _resolveRefs(value, refs) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._resolveRefs(item, refs));
+    }
+    if (value && typeof value === 'object') {
+      if (this._isRef(value)) {
+        return this._resolveRef(value.$ref, refs);
+      }
+      const resolved = {};
+      for (const key of Object.keys(value)) {
+        resolved[key] = this._resolveRefs(value[key], refs);
+      }
+      return resolved;
+    }
+    return value;
+  }
+
+  /**
+   * Resolves references in filters, a referenced value becomes an eq. filter
+   *
+   * @private
+   * @param {Object} query - PostgREST filters
+   * @param {Object} refs - Rows returned by earlier operations
+   * @returns {Object} Query parameters
+   */
+  _resolveQuery(query, refs) {
+    const resolved = {};
+    for (const key of Object.keys(query)) {
+      resolved[key] = this._isRef(query[key]) ? 'eq.' + this._resolveRef(query[key].$ref, refs) : query[key];
+    }
+    return resolved;
+  }
+
+  /**
+   * @private
+   * @param {any} value - Value to check
+   * @returns {boolean} Whether the value is a { "$ref": "..." } object
+   */
+  _isRef(value) {
+    return value !== null && typeof value === 'object' && Object.keys(value).length === 1 && typeof value.$ref === 'string';
+  }
+
+  /**
+   * Looks up name.column or name.N.column in the rows of an earlier operation
+   *
+   * @private
+   * @param {string} path - Reference path
+   * @param {Object} refs - Rows returned by earlier operations
+   * @returns {any} Referenced value
+   * @throws {BadRequestError} When the reference does not match a returned column
+   */
+  _resolveRef(path, refs) {
+    const parts = path.split('.');
+    const rows = refs[parts[0]];
+    const rowIndex = parts.length === 3 ? parseInt(parts[1]) : 0;
+    const column = parts[parts.length - 1];
+
+    if (parts.length < 2 || parts.length > 3 || !Array.isArray(rows)) {
+      throw new BadRequestError(`Reference '${path}' does not name an earlier operation`);
+    }
+    const row = rows[rowIndex];
+    if (!row || !Object.prototype.hasOwnProperty.call(row, column)) {
+      throw new BadRequestError(`Reference '${path}' does not match a returned column`);
+    }
+    return row[column];
+  }
+
+  /**
+   * Fails an id based operation that matched no row, e.g. because RLS hides it
+   *
+   * @private
+   * @param {number} affectedRows - Rows affected by the operation
+   * @param {string} table - Table name
+   * @param {any} id - Primary key
+   * @throws {NotFoundError} When no row was affected
+   */
+  _assertFound(affectedRows, table, id) {
+    if (!affectedRows) {
+      throw new NotFoundError(table, id);
+    }
+  }
+
+  /**
+   * Prefixes an operation failure with its position so the client knows what was rolled back
+   *
+   * @private
+   * @param {Error} err - Original error
+   * @param {number} index - Operation index
+   * @param {Object} operation - Batch operation
+   * @returns {BaseError} Error carrying the operation index in its details
+   */
+  _operationError(err, index, operation) {
+    const prefix = `Operation ${index} (${operation.method.toUpperCase()} ${operation.table}) failed: `;
+    if (err instanceof BaseError) {
+      err.message = prefix + err.message;
+      err.details = Object.assign({}, err.details, { operation: index });
+      return err;
+    }
+    return new BadRequestError(prefix + (err.sqlMessage || err.message), { code: err.code, operation: index });
+  }
+}
+
+module.exports = BatchService;
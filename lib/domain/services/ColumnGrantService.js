@@ -0,0 +1,209 @@
+'use strict';
+
+const mysql = require('mysql2');
+const CONSTANTS = require('../constants');
+const { AuthorizationError } = require('../errors');
+
+/**
+ * Column Grant Service
+ * Loads and applies the column privileges of the column grants table
+ *
+ * RLS decides which rows a role sees, column grants decide which columns.
+ * A table without grants is unrestricted. Once a table has grants, a role can only
+ * select, insert or update the columns granted to it or to every role ('*').
+ * Roles that bypass RLS also bypass column grants.
+ */
+class ColumnGrantService {
+
+  /**
+   * @param {Object} connectionManager - Database connection manager
+   * @param {RlsService} rlsService - Resolves the role of a request and its bypass
+   */
+  constructor(connectionManager, rlsService) {
+    this.connectionManager = connectionManager;
+    this.rlsService = rlsService;
+    this.columnGrants = {}; // Grants by table name
+  }
+
+  /**
+   * Creates the column grants table if it doesn't exist
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureColumnGrantsTable() {
+    try {
+      await this.connectionManager.executeQuery(CONSTANTS.COLUMN_GRANTS_TABLE.SCHEMA, []);
+      console.log('Column grants table ready');
+    } catch (err) {
+      console.error(`Failed to create ${CONSTANTS.COLUMN_GRANTS_TABLE.NAME} table:`, err.message);
+      // Don't block startup - gracefully degrade
+    }
+  }
+
+  /**
+   * Loads the grants into memory, grouped by table
+   *
+   * @returns {Promise<void>}
+   */
+  async loadColumnGrants() {
+    try {
+      const results = await this.connectionManager.executeQuery('SELECT * FROM ??', [CONSTANTS.COLUMN_GRANTS_TABLE.NAME]);
+
+      this.columnGrants = {};
+      for (const grant of results) {
+        if (!this.columnGrants[grant.table_name]) {
+          this.columnGrants[grant.table_name] = [];
+        }
+        this.columnGrants[grant.table_name].push(grant);
+      }
+
+      console.log('Column grants loaded:', Object.keys(this.columnGrants).length, 'tables with grants');
+    } catch (err) {
+      console.error('Failed to load column grants:', err.message);
+    }
+  }
+
+  /**
+   * Reloads the grants, e.g. after they were changed with SQL
+   *
+   * @returns {Promise<void>}
+   */
+  async reloadGrants() {
+    return this.loadColumnGrants();
+  }
+
+  /**
+   * Checks whether any table has column grants restricting the role of the request
+   *
+   * @param {Object} context - JWT context, a bypass role is never restricted
+   * @returns {boolean} True if at least one table has grants and the role does not bypass them
+   */
+  hasGrants(context = null) {
+    return Object.keys(this.columnGrants).length > 0 && !this.rlsService.isBypassed(context);
+  }
+
+  /**
+   * Checks whether the columns of a table are restricted for the role of the request
+   *
+   * @param {string} tableName - Table name
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {boolean} True when the table has grants and the role does not bypass them
+   */
+  isRestricted(tableName, context = null) {
+    return !!this.columnGrants[tableName] && !this.rlsService.isBypassed(context);
+  }
+
+  /**
+   * Checks one privilege on one column
+   *
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @param {string} privilege - SELECT, INSERT or UPDATE
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {boolean} True if the role may use the column
+   */
+  isAllowed(tableName, columnName, privilege, context = null) {
+    if (!this.isRestricted(tableName, context)) {
+      return true;
+    }
+
+    const role = this.rlsService.getRole(context);
+    const flag = 'can_' + privilege.toLowerCase();
+    return this.columnGrants[tableName].some(grant =>
+      (grant.role === CONSTANTS.COLUMN_GRANTS_TABLE.ALL || grant.role === role) &&
+      (grant.column_name === CONSTANTS.COLUMN_GRANTS_TABLE.ALL || grant.column_name === columnName) &&
+      !!grant[flag]
+    );
+  }
+
+  /**
+   * Gets the privileges of the role of the request on one column
+   *
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {Object} { select, insert, update } booleans
+   */
+  getPrivileges(tableName, columnName, context = null) {
+    return {
+      select: this.isAllowed(tableName, columnName, CONSTANTS.COLUMN_PRIVILEGES.SELECT, context),
+      insert: this.isAllowed(tableName, columnName, CONSTANTS.COLUMN_PRIVILEGES.INSERT, context),
+      update: this.isAllowed(tableName, columnName, CONSTANTS.COLUMN_PRIVILEGES.UPDATE, context)
+    };
+  }
+
+  /**
+   * Keeps the columns the role may use
+   *
+   * @param {string} tableName - Table name
+   * @param {Array} columns - Column metadata ({ column_name }) or column names
+   * @param {string} privilege - SELECT, INSERT or UPDATE
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {Array} Allowed columns, in their original form
+   */
+  filterColumns(tableName, columns, privilege, context = null) {
+    if (!this.isRestricted(tableName, context)) {
+      return columns;
+    }
+    return columns.filter(column =>
+      this.isAllowed(tableName, typeof column === 'string' ? column : column.column_name, privilege, context)
+    );
+  }
+
+  /**
+   * Fails on the first column the role may not use
+   *
+   * @param {string} tableName - Table name
+   * @param {Array} columnNames - Column names
+   * @param {string} privilege - SELECT, INSERT or UPDATE
+   * @param {Object} context - JWT context carrying the role claim
+   * @throws {AuthorizationError} On a column without the privilege
+   */
+  assertAllowed(tableName, columnNames, privilege, context = null) {
+    for (const columnName of columnNames) {
+      if (!this.isAllowed(tableName, columnName, privilege, context)) {
+        throw this._permissionDenied(tableName, columnName, privilege);
+      }
+    }
+  }
+
+  /**
+   * Gets the select list of statements returning whole rows (read, return=representation)
+   *
+   * @param {string} tableName - Table name
+   * @param {Array} tableColumns - Column metadata of the table
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {string} '*' when unrestricted, otherwise the escaped selectable columns
+   * @throws {AuthorizationError} When the role may not select any column
+   */
+  getSelectList(tableName, tableColumns, context = null) {
+    if (!this.isRestricted(tableName, context)) {
+      return '*';
+    }
+
+    const columns = this.filterColumns(tableName, tableColumns, CONSTANTS.COLUMN_PRIVILEGES.SELECT, context);
+    if (columns.length === 0) {
+      throw this._permissionDenied(tableName, CONSTANTS.COLUMN_GRANTS_TABLE.ALL, CONSTANTS.COLUMN_PRIVILEGES.SELECT);
+    }
+    return columns.map(c => mysql.escapeId(c.column_name)).join(', ');
+  }
+
+  /**
+   * @private
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @param {string} privilege - SELECT, INSERT or UPDATE
+   * @returns {AuthorizationError} Error with the PostgreSQL insufficient privilege code
+   */
+  _permissionDenied(tableName, columnName, privilege) {
+    return new AuthorizationError(
+      CONSTANTS.ERROR_MESSAGES.COLUMN_PERMISSION_DENIED
+        .replace('{0}', privilege.toLowerCase())
+        .replace('{1}', columnName)
+        .replace('{2}', tableName),
+      { code: CONSTANTS.POSTGREST.ERROR_INSUFFICIENT_PRIVILEGE }
+    );
+  }
+}
+
+module.exports = ColumnGrantService;
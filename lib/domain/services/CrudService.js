@@ -1,7 +1,10 @@
 'use strict';
 
+const crypto = require('crypto');
 const CONSTANTS = require('../constants.js');
 const dataHelper = require('../../util/data.helper.js');
+const tableScope = require('../../util/tableScope.helper.js');
+const { AuthorizationError, BadRequestError, ConflictError } = require('../errors');
 
 /**
  * CRUD Service
@@ -14,9 +17,10 @@ const dataHelper = require('../../util/data.helper.js');
  */
 class CrudService {
   
-  constructor(xsql, rlsService) {
+  constructor(xsql, rlsService, columnGrantService = null) {
     this.xsql = xsql;
     this.rlsService = rlsService;
+    this.columnGrantService = columnGrantService;
   }
 
   /**
@@ -27,105 +31,132 @@ class CrudService {
    * @param {Object} options - Creation options
    * @param {boolean} options.isUpsert - Use ON DUPLICATE KEY UPDATE
    * @param {boolean} options.isIgnore - Use INSERT IGNORE
+   * @param {Array} options.onConflict - Unique key columns of the upsert (primary key by default)
+   * @param {Array} options.columns - Columns to insert, missing keys take their DEFAULT
    * @param {boolean} options.returnRepresentation - Return created records
+   * @param {boolean} options.returnHeadersOnly - Only the primary keys of created records are needed
+   * @param {Object} options.queryParams - Request query parameters, select= shapes the returned records
    * @param {Object} context - JWT context for RLS
    * @returns {Promise<Object>} Creation result
+   * @throws {BadRequestError} On unknown columns or on_conflict not matching a unique index
+   * @throws {AuthorizationError} When a written column is not granted to the role or a written row violates a policy
    */
   async create(tableName, data, options = {}, context = null) {
-    const { isUpsert, isIgnore, returnRepresentation } = options;
-    let results;
+    const { isUpsert, isIgnore, returnRepresentation, returnHeadersOnly } = options;
+    const columns = options.columns ? this._validateColumns(tableName, options.columns) : null;
+    const conflictColumns = isUpsert && !isIgnore ? this._getConflictColumns(tableName, options.onConflict) : null;
+    const isBulk = Array.isArray(data);
 
-    if (Array.isArray(data)) {
-      // Bulk Insert
-      if (data.length === 0) {
-        return { results: [], insertId: null, affectedRows: 0 };
-      }
+    if (isBulk && data.length === 0) {
+      return { results: [], insertId: null, affectedRows: 0 };
+    }
 
-      // Serialize JSON columns for each object
-      let processedBody = data.map(obj => 
-        dataHelper.serializeJsonColumns(tableName, obj, this.xsql.metaDb)
-      );
-
-      // Build query
-      let keys = Object.keys(processedBody[0]);
-      let values = processedBody.map(obj => keys.map(key => obj[key]));
-      let query = 'INSERT ' + (isIgnore ? 'IGNORE ' : '') + 'INTO ?? (??) VALUES ?';
-      let params = [tableName, keys, values];
-
-      if (isUpsert && !isIgnore) {
-        query += ' ON DUPLICATE KEY UPDATE ';
-        let updateParts = keys.map(key => 
-          `${this.xsql.pool.escapeId(key)} = VALUES(${this.xsql.pool.escapeId(key)})`
-        );
-        query += updateParts.join(', ');
-      }
+    // Embedded children ({ name, projects: [...] }) are written with their parent in one transaction
+    const nested = this._splitNestedRows(tableName, isBulk ? data : [data]);
+    if (nested) {
+      return this._createNested(tableName, nested, options, context);
+    }
 
-      results = await this.xsql.exec(query, params, context);
-
-      // Fetch inserted rows if requested
-      if (returnRepresentation && results.insertId) {
-        let pks = this.xsql.metaDb.tables[tableName].primaryKeys;
-        if (pks.length === 1) {
-          let pkCol = pks[0].column_name;
-          let firstId = results.insertId;
-          let count = results.affectedRows;
-          let lastId = firstId + count - 1;
-
-          let selectQuery = 'SELECT * FROM ?? WHERE ?? BETWEEN ? AND ?';
-          let selectParams = [tableName, pkCol, firstId, lastId];
-          let rows = await this.xsql.exec(selectQuery, selectParams, context);
-          return { results: rows, insertId: results.insertId, affectedRows: results.affectedRows };
-        }
-      }
-    } else {
-      // Single Insert
-      let processedBody = dataHelper.serializeJsonColumns(tableName, data, this.xsql.metaDb);
-      
-      let query = 'INSERT ' + (isIgnore ? 'IGNORE ' : '') + 'INTO ?? SET ?';
-      let params = [tableName, processedBody];
-
-      if (isUpsert && !isIgnore) {
-        query += ' ON DUPLICATE KEY UPDATE ';
-        let keys = Object.keys(processedBody);
-        let updateParts = keys.map(key => 
-          `${this.xsql.pool.escapeId(key)} = VALUES(${this.xsql.pool.escapeId(key)})`
-        );
-        query += updateParts.join(', ');
-      }
+    // Serialize JSON columns for each object
+    let rows = (isBulk ? data : [data]).map(obj =>
+      dataHelper.serializeJsonColumns(tableName, obj, this.xsql.metaDb)
+    );
+    if (columns) {
+      rows = rows.map(obj => this._pickColumns(obj, columns));
+    }
 
-      results = await this.xsql.exec(query, params, context);
+    let writtenColumns = columns || [...new Set([].concat(...rows.map(obj => Object.keys(obj))))];
+    this._assertWritable(tableName, writtenColumns, CONSTANTS.COLUMN_PRIVILEGES.INSERT, context);
+    if (conflictColumns) {
+      // The upsert merges the columns outside the conflict key into an existing row
+      this._assertWritable(tableName, writtenColumns.filter(c => !conflictColumns.includes(c)), CONSTANTS.COLUMN_PRIVILEGES.UPDATE, context);
+    }
 
-      // Fetch inserted row if requested
-      if (returnRepresentation) {
-        let pks = this.xsql.metaDb.tables[tableName].primaryKeys;
-        let whereParts = [];
-        let selectParams = [tableName];
-        let canFetch = true;
+    // New rows must satisfy the INSERT check, rows an upsert merges into the UPDATE check
+    const insertCheck = this.rlsService.getPolicyCheckClause(tableName, CONSTANTS.RLS_OPERATIONS.INSERT, context);
+    const updateCheck = conflictColumns ? this.rlsService.getPolicyCheckClause(tableName, CONSTANTS.RLS_OPERATIONS.UPDATE, context) : null;
+    // The existing rows an upsert merges into must be ones the role may update, like ON CONFLICT DO UPDATE
+    const updateUsing = conflictColumns ? this.rlsService.getPolicyWhereClause(tableName, CONSTANTS.RLS_OPERATIONS.UPDATE, context) : null;
+
+    // The inserted rows can only be read back, and checked as written, when each one can be identified
+    let identity = null;
+    if (returnRepresentation || returnHeadersOnly || insertCheck || updateCheck || updateUsing) {
+      rows = rows.map(obj => this._fillGeneratedKeys(tableName, obj));
+      identity = this._getRowIdentity(tableName, rows);
+    }
+    const checkWritten = !!(identity && (insertCheck || updateCheck || updateUsing));
 
-        if (pks.length === 1 && results.insertId) {
-          whereParts.push('?? = ?');
-          selectParams.push(pks[0].column_name, results.insertId);
-        } else {
-          // Composite key
-          for (let pk of pks) {
-            let val = data[pk.column_name];
-            if (val === undefined) {
-              canFetch = false;
-              break;
+    let keys = columns ? this._withGeneratedKeys(columns, rows) : Object.keys(rows[0]);
+    let results;
+    let keyValues = [];
+
+    if (identity && (identity.autoIncrement || checkWritten)) {
+      results = await this.xsql.connectionManager.executeInTransaction(async connection => {
+        // Rows whose key already exists are merged by an upsert, or skipped by INSERT IGNORE
+        const existingColumns = conflictColumns || (isIgnore && !identity.autoIncrement ? identity.columns : null);
+        const existingKeys = checkWritten ? await this._getExistingKeys(connection, tableName, existingColumns, rows) : [];
+        const existing = new Set(existingKeys.map(values => JSON.stringify(values.map(String))));
+        const isExisting = row => existing.has(JSON.stringify(existingColumns.map(column => String(row[column]))));
+        if (conflictColumns) {
+          await this._assertRowsByKey(connection, tableName, conflictColumns, existingKeys, updateUsing, CONSTANTS.ERROR_MESSAGES.RLS_USING_VIOLATION);
+          // ON DUPLICATE KEY UPDATE would merge into rows found on any other unique key, unchecked
+          await this._assertNoOtherKeyConflicts(connection, tableName, conflictColumns, rows);
+        }
+        const inserted = [];
+        const merged = [];
+        let result;
+
+        if (identity.autoIncrement) {
+          // Insert row by row so every row reports its own id, the same transaction keeps the batch atomic
+          result = { insertId: null, affectedRows: 0 };
+          for (const row of rows) {
+            const insert = this._buildInsert(tableName, [row], Object.keys(row), false, isIgnore, conflictColumns, identity.columns[0]);
+            const rowResult = await connection.query(insert.query, insert.params);
+            result.affectedRows += rowResult.affectedRows;
+            if (rowResult.insertId) {
+              keyValues.push([rowResult.insertId]);
+              result.insertId = result.insertId || rowResult.insertId;
+              (existing.size > 0 && isExisting(row) ? merged : inserted).push([rowResult.insertId]);
             }
-            whereParts.push('?? = ?');
-            selectParams.push(pk.column_name, val);
           }
+        } else {
+          const insert = this._buildInsert(tableName, rows, keys, isBulk, isIgnore, conflictColumns, null, !!columns);
+          result = await connection.query(insert.query, insert.params);
+          keyValues = rows.map(row => identity.columns.map(column => row[column]));
+          rows.forEach((row, i) => {
+            if (existing.size === 0 || !isExisting(row)) {
+              inserted.push(keyValues[i]);
+            } else if (conflictColumns) {
+              merged.push(conflictColumns.map(column => row[column]));
+            }
+          });
         }
 
-        if (canFetch && whereParts.length > 0) {
-          let selectQuery = 'SELECT * FROM ?? WHERE ' + whereParts.join(' AND ');
-          let rows = await this.xsql.exec(selectQuery, selectParams, context);
-          return { results: rows, insertId: results.insertId, affectedRows: results.affectedRows };
+        // Checked after the write, so DEFAULTs, triggers and generated columns are part of the rows
+        if (checkWritten) {
+          await this._assertRowsByKey(connection, tableName, identity.columns, inserted, insertCheck);
+          await this._assertRowsByKey(connection, tableName, identity.autoIncrement ? identity.columns : conflictColumns, merged, updateCheck);
         }
+        return result;
+      }, context);
+    } else {
+      // Rows that cannot be identified are checked as proposed, before the insert
+      const policyCheck = insertCheck ? this._getInsertPolicyCheck(tableName, rows, insertCheck) : null;
+      const insert = this._buildInsert(tableName, rows, keys, isBulk, isIgnore, conflictColumns, null, !!columns);
+      results = await this._execWrite(insert.query, insert.params, { policyCheck }, context);
+      if (identity) {
+        keyValues = rows.map(row => identity.columns.map(column => row[column]));
       }
     }
 
+    // Fetch inserted rows if requested, rows of tables without any key cannot be found again
+    if (returnRepresentation || returnHeadersOnly) {
+      let fetched = keyValues.length > 0
+        ? await this._fetchByKeys(tableName, identity.columns, keyValues, context, options.queryParams)
+        : [];
+      return { results: fetched, insertId: results.insertId, affectedRows: results.affectedRows };
+    }
+
     return { results, insertId: results.insertId, affectedRows: results.affectedRows };
   }
 
@@ -136,41 +167,53 @@ class CrudService {
    * @param {Object} queryParams - Query parameters
    * @param {Object} options - List options
    * @param {boolean} options.countTotal - Include total count
+   * @param {string} options.countMethod - 'exact' (default), 'planned' or 'estimated'
+   * @param {Object} options.range - { offset, limit } from the Range header
    * @param {Object} context - JWT context for RLS
    * @returns {Promise<Object>} List result with rows and metadata
    */
   async list(tableName, queryParams, options = {}, context = null) {
     let queryParamsObj = { query: '', params: [] };
     
-    // Get columns
-    let cols = this.xsql.getColumnsForSelectStmt(tableName, queryParams);
+    // Get columns (select=status,amount.sum() groups by the non-aggregated columns)
+    let cols = this.xsql.getColumnsForSelectStmt(tableName, queryParams, context);
+    let groupBy = this.xsql.getGroupByClause(tableName, queryParams);
+    let cursor = this.xsql.getCursorPagination(queryParams, tableName, context);
 
     // Build WHERE clause
     let whereObj = { query: '', params: [] };
-    this.xsql.getWhereClause(queryParams, tableName, whereObj, ' where ');
+    this.xsql.getWhereClause(queryParams, tableName, whereObj, ' where ', context);
 
     // Apply RLS
-    this.rlsService.injectPolicyIntoWhere(whereObj, tableName, CONSTANTS.RLS_OPERATIONS.SELECT, ' where ');
+    this.rlsService.injectPolicyIntoWhere(whereObj, tableName, CONSTANTS.RLS_OPERATIONS.SELECT, ' where ', context);
 
     // Count if requested
     let totalCount = null;
     if (options.countTotal) {
-      let countQuery = 'SELECT count(1) as no_of_rows FROM ?? ' + whereObj.query;
+      let countQuery = groupBy
+        ? 'SELECT count(1) as no_of_rows FROM (SELECT 1 FROM ?? ' + whereObj.query + groupBy + ') AS grouped_rows'
+        : 'SELECT count(1) as no_of_rows FROM ?? ' + whereObj.query;
       let countParams = [tableName].concat(whereObj.params);
-      let countResults = await this.xsql.exec(countQuery, countParams, context);
-      totalCount = countResults[0].no_of_rows;
+      totalCount = await this._countRows(tableName, countQuery, countParams, options.countMethod, context);
+    }
+
+    if (cursor) {
+      this._applyCursorSeek(whereObj, cursor);
+      queryParamsObj.query = 'select ' + cols + cursor.columns + ' from ?? ' + whereObj.query;
+      queryParamsObj.params = [tableName].concat(whereObj.params);
+      return await this._listCursorPage(queryParamsObj, cursor, totalCount, context);
     }
 
     // Build main query
-    queryParamsObj.query = 'select ' + cols + ' from ?? ' + whereObj.query;
+    queryParamsObj.query = 'select ' + cols + ' from ?? ' + whereObj.query + groupBy;
     queryParamsObj.params.push(tableName);
     queryParamsObj.params = queryParamsObj.params.concat(whereObj.params);
 
     // Add ORDER BY
-    queryParamsObj.query += this.xsql.getOrderByClause(queryParams, tableName);
+    queryParamsObj.query += this.xsql.getOrderByClause(queryParams, tableName, [], context);
 
     // Add LIMIT
-    let limitClause = this.xsql.getLimitClause(queryParams);
+    let limitClause = this.xsql.getLimitClause(queryParams, options.range);
     queryParamsObj.query += ' limit ?,? ';
     queryParamsObj.params.push(limitClause[0], limitClause[1]);
 
@@ -193,7 +236,7 @@ class CrudService {
    * @returns {Promise<Array>} Single record (as array for consistency)
    */
   async read(tableName, pkValues, context = null) {
-    let query = 'select * from ?? where ';
+    let query = 'select ' + this._getSelectList(tableName, context) + ' from ?? where ';
     let params = [tableName];
 
     let clause = this.xsql.getPrimaryKeyWhereClause(tableName, pkValues);
@@ -202,7 +245,7 @@ class CrudService {
     }
 
     // Apply RLS
-    let rlsClause = this.rlsService.getPolicyWhereClause(tableName, CONSTANTS.RLS_OPERATIONS.SELECT);
+    let rlsClause = this.rlsService.getPolicyWhereClause(tableName, CONSTANTS.RLS_OPERATIONS.SELECT, context);
     if (rlsClause) {
       query += `(${rlsClause}) AND ${clause}`;
     } else {
@@ -223,7 +266,7 @@ class CrudService {
    * @returns {Promise<Array>} Result array
    */
   async exists(tableName, pkValues, context = null) {
-    let query = 'select * from ?? where ';
+    let query = 'select ' + this._getSelectList(tableName, context) + ' from ?? where ';
     let params = [tableName];
 
     let clause = this.xsql.getPrimaryKeyWhereClause(tableName, pkValues);
@@ -231,7 +274,7 @@ class CrudService {
       throw new Error(CONSTANTS.ERROR_MESSAGES.COMPOSITE_KEY_MISSING);
     }
 
-    query += clause + ' LIMIT 1';
+    query += this.rlsService.buildWhereWithPolicy(tableName, CONSTANTS.RLS_OPERATIONS.SELECT, clause, context) + ' LIMIT 1';
 
     return await this.xsql.exec(query, params, context);
   }
@@ -244,15 +287,16 @@ class CrudService {
    * @param {Object} data - Update data
    * @param {Object} context - JWT context for RLS
    * @returns {Promise<Object>} Update result
+   * @throws {AuthorizationError} When an updated column is not granted to the role
    */
   async update(tableName, pkValues, data, context = null) {
     let processedBody = dataHelper.serializeJsonColumns(tableName, data, this.xsql.metaDb);
     let keys = Object.keys(processedBody);
+    this._assertWritable(tableName, keys, CONSTANTS.COLUMN_PRIVILEGES.UPDATE, context);
 
     // Build SET clause
     let query = 'UPDATE ?? SET ';
     let updateKeys = keys.map(key => `${key} = ?`).join(', ');
-    query += updateKeys + ' where ';
 
     let clause = this.xsql.getPrimaryKeyWhereClause(tableName, pkValues);
     if (!clause) {
@@ -260,16 +304,17 @@ class CrudService {
     }
 
     // Apply RLS
-    let rlsClause = this.rlsService.getPolicyWhereClause(tableName, CONSTANTS.RLS_OPERATIONS.UPDATE);
+    let whereObj = { query: ' where ' + clause, params: [] };
+    let rlsClause = this.rlsService.getPolicyWhereClause(tableName, CONSTANTS.RLS_OPERATIONS.UPDATE, context);
     if (rlsClause) {
-      query += `(${rlsClause}) AND ${clause}`;
-    } else {
-      query += clause;
+      whereObj.query = ` where (${rlsClause}) AND ${clause}`;
     }
+    query += updateKeys + whereObj.query;
 
     let params = [tableName].concat(Object.values(processedBody));
+    let policyCheck = this._getUpdatePolicyCheck(tableName, processedBody, whereObj, context);
 
-    return await this.xsql.exec(query, params, context);
+    return await this._execWrite(query, params, { policyCheck }, context);
   }
 
   /**
@@ -280,12 +325,16 @@ class CrudService {
    * @param {Object} data - Update data
    * @param {Object} options - Patch options
    * @param {boolean} options.returnRepresentation - Return updated records
+   * @param {number} options.maxAffected - Roll back when more rows would be updated
    * @param {Object} context - JWT context for RLS
    * @returns {Promise<Object>} Patch result
+   * @throws {BadRequestError} When no filter is given or max-affected is exceeded
+   * @throws {AuthorizationError} When an updated column is not granted to the role
    */
   async patch(tableName, queryParams, data, options = {}, context = null) {
     let processedBody = dataHelper.serializeJsonColumns(tableName, data, this.xsql.metaDb);
     let keys = Object.keys(processedBody);
+    this._assertWritable(tableName, keys, CONSTANTS.COLUMN_PRIVILEGES.UPDATE, context);
 
     if (keys.length === 0) {
       return { results: [], affectedRows: 0 };
@@ -293,10 +342,11 @@ class CrudService {
 
     // Build WHERE clause
     let whereObj = { query: '', params: [] };
-    this.xsql.getWhereClause(queryParams, tableName, whereObj, ' where ');
+    const filtered = this.xsql.getWhereClause(queryParams, tableName, whereObj, ' where ', context);
+    this._assertFiltered(filtered, 'UPDATE');
 
     // Apply RLS
-    this.rlsService.injectPolicyIntoWhere(whereObj, tableName, CONSTANTS.RLS_OPERATIONS.UPDATE, ' where ');
+    this.rlsService.injectPolicyIntoWhere(whereObj, tableName, CONSTANTS.RLS_OPERATIONS.UPDATE, ' where ', context);
 
     let rowsToUpdate = [];
     if (options.returnRepresentation) {
@@ -320,7 +370,8 @@ class CrudService {
     query += updateKeys + whereObj.query;
     params = params.concat(whereObj.params);
 
-    let results = await this.xsql.exec(query, params, context);
+    let policyCheck = this._getUpdatePolicyCheck(tableName, processedBody, whereObj, context);
+    let results = await this._execWrite(query, params, { maxAffected: options.maxAffected, policyCheck }, context);
 
     // Fetch updated rows if requested
     if (options.returnRepresentation && rowsToUpdate.length > 0) {
@@ -342,7 +393,7 @@ class CrudService {
         fetchParams.push(ids);
       }
 
-      let fetchQuery = 'SELECT * FROM ?? WHERE ' + pkWhere;
+      let fetchQuery = 'SELECT ' + this._getSelectList(tableName, context) + ' FROM ?? WHERE ' + pkWhere;
       let finalRows = await this.xsql.exec(fetchQuery, fetchParams, context);
       return { results: finalRows, affectedRows: results.affectedRows };
     }
@@ -358,8 +409,10 @@ class CrudService {
    * @param {Object} queryParams - Filter parameters (for bulk delete)
    * @param {Object} options - Delete options
    * @param {boolean} options.returnRepresentation - Return deleted records
+   * @param {number} options.maxAffected - Roll back when more rows would be deleted
    * @param {Object} context - JWT context for RLS
    * @returns {Promise<Object>} Delete result
+   * @throws {BadRequestError} When a bulk delete has no filter or max-affected is exceeded
    */
   async delete(tableName, pkValues, queryParams, options = {}, context = null) {
     let query = 'DELETE FROM ?? ';
@@ -374,7 +427,7 @@ class CrudService {
         throw new Error(CONSTANTS.ERROR_MESSAGES.COMPOSITE_KEY_MISSING);
       }
       
-      let rlsClause = this.rlsService.getPolicyWhereClause(tableName, CONSTANTS.RLS_OPERATIONS.DELETE);
+      let rlsClause = this.rlsService.getPolicyWhereClause(tableName, CONSTANTS.RLS_OPERATIONS.DELETE, context);
       if (rlsClause) {
         whereClause = `WHERE (${rlsClause}) AND ${clause}`;
       } else {
@@ -383,9 +436,10 @@ class CrudService {
     } else {
       // Bulk delete
       let whereObj = { query: '', params: [] };
-      this.xsql.getWhereClause(queryParams, tableName, whereObj, ' WHERE ');
+      const filtered = this.xsql.getWhereClause(queryParams, tableName, whereObj, ' WHERE ', context);
+      this._assertFiltered(filtered, 'DELETE');
 
-      this.rlsService.injectPolicyIntoWhere(whereObj, tableName, CONSTANTS.RLS_OPERATIONS.DELETE, ' WHERE ');
+      this.rlsService.injectPolicyIntoWhere(whereObj, tableName, CONSTANTS.RLS_OPERATIONS.DELETE, ' WHERE ', context);
 
       if (whereObj.query) {
         whereClause = whereObj.query;
@@ -395,7 +449,7 @@ class CrudService {
 
     let rowsToDelete = [];
     if (options.returnRepresentation) {
-      let selectQuery = 'SELECT * FROM ?? ' + whereClause;
+      let selectQuery = 'SELECT ' + this._getSelectList(tableName, context) + ' FROM ?? ' + whereClause;
       let selectParams = [tableName].concat(whereParams);
       rowsToDelete = await this.xsql.exec(selectQuery, selectParams, context);
     }
@@ -403,7 +457,7 @@ class CrudService {
     query += whereClause;
     params = params.concat(whereParams);
 
-    let results = await this.xsql.exec(query, params, context);
+    let results = await this._execWrite(query, params, { maxAffected: options.maxAffected }, context);
 
     return {
       results: options.returnRepresentation ? rowsToDelete : results,
@@ -411,6 +465,620 @@ class CrudService {
     };
   }
 
+  /**
+   * Returns a CrudService whose statements all run on the given transaction connection,
+   * statements that need their own transaction join it
+   * 
+   * @param {Object} connection - Wrapped connection from executeInTransaction
+   * @returns {CrudService} Service bound to the connection
+   */
+  forConnection(connection) {
+    const bound = Object.create(this.xsql);
+    bound.exec = (query, params) => connection.query(query, params);
+    bound.connectionManager = { executeInTransaction: callback => callback(connection) };
+    return new CrudService(bound, this.rlsService, this.columnGrantService);
+  }
+
+  /**
+   * Separates embedded child rows from the columns of each row, keys named after a
+   * table referencing this one (optionally table!hint) hold the children
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Array} rows - Request rows
+   * @returns {Array|null} [{ row, children: [{ table, relation, rows }] }] or null without children
+   * @throws {BadRequestError} When an embedded table is not a child of this table
+   */
+  _splitNestedRows(tableName, rows) {
+    const tableMeta = this.xsql.metaDb.tables[tableName];
+    let hasChildren = false;
+
+    const nested = rows.map(row => {
+      const parentRow = {};
+      const children = [];
+
+      for (const key of Object.keys(row || {})) {
+        const value = row[key];
+        const [childTable, hint] = key.split('!');
+        const isColumn = tableMeta.columns.some(c => c.column_name === key);
+
+        if (isColumn || value === null || typeof value !== 'object' || !this.xsql.metaDb.tables[childTable]) {
+          parentRow[key] = value;
+          continue;
+        }
+
+        const relation = this.xsql.resolveRelation(tableName, childTable, hint);
+        if (!relation || relation.type !== '1:N') {
+          throw new BadRequestError(`Cannot write '${childTable}' embedded in '${tableName}', only rows referencing '${tableName}' can be embedded`);
+        }
+        children.push({ table: childTable, relation, rows: Array.isArray(value) ? value : [value] });
+        hasChildren = true;
+      }
+
+      return { row: parentRow, children };
+    });
+
+    return hasChildren ? nested : null;
+  }
+
+  /**
+   * Creates parent rows and their embedded children in one transaction, children get
+   * the foreign key columns of the relation filled from the created parent
+   * 
+   * @private
+   * @param {string} tableName - Parent table name
+   * @param {Array} nested - Rows from _splitNestedRows
+   * @param {Object} options - Creation options of the parent rows
+   * @param {Object} context - JWT context for RLS
+   * @returns {Promise<Object>} Creation result
+   * @throws {BadRequestError} When a created parent cannot be read back
+   * @throws {AuthorizationError} When a child table is outside the scope of an API key
+   */
+  async _createNested(tableName, nested, options, context) {
+    nested.forEach(({ children }) => children.forEach(child => tableScope.assertAllowed(context, child.table)));
+    const parentOptions = Object.assign({}, options, { returnRepresentation: true, returnHeadersOnly: false, queryParams: null });
+    const wantRows = options.returnRepresentation || options.returnHeadersOnly;
+
+    return this.xsql.connectionManager.executeInTransaction(async connection => {
+      const tx = this.forConnection(connection);
+      const parents = [];
+      let affectedRows = 0;
+
+      for (const { row, children } of nested) {
+        const created = await tx.create(tableName, row, parentOptions, context);
+        const parent = created.results[0];
+        if (!parent) {
+          throw new BadRequestError(`Cannot link embedded rows to the created '${tableName}' row, it cannot be read back`);
+        }
+        affectedRows += created.affectedRows;
+
+        for (const child of children) {
+          const fkValues = {};
+          for (const col of dataHelper.getForeignKeyColumns(child.relation.fk)) {
+            fkValues[col.column_name] = parent[col.referenced_column_name];
+          }
+          const childResult = await tx.create(child.table, child.rows.map(childRow => Object.assign({}, childRow, fkValues)), {}, context);
+          affectedRows += childResult.affectedRows;
+        }
+        parents.push(parent);
+      }
+
+      const pkColumns = this.xsql.metaDb.tables[tableName].primaryKeys.map(pk => pk.column_name);
+      const insertId = pkColumns.length === 1 ? parents[0][pkColumns[0]] : null;
+      if (!wantRows) {
+        return { results: { affectedRows, insertId }, insertId, affectedRows };
+      }
+
+      // Read the parents again so select= can embed the children just written
+      let results = parents;
+      if (options.queryParams && options.queryParams.select && pkColumns.length > 0) {
+        const keyValues = parents.map(parent => pkColumns.map(column => parent[column]));
+        results = await tx._fetchByKeys(tableName, pkColumns, keyValues, context, options.queryParams);
+      }
+      return { results, insertId, affectedRows };
+    }, context);
+  }
+
+  /**
+   * Fails when a written column is not granted to the role
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Array} columns - Written column names
+   * @param {string} privilege - INSERT or UPDATE
+   * @param {Object} context - JWT context carrying the role claim
+   * @throws {AuthorizationError} When a column is not granted
+   */
+  _assertWritable(tableName, columns, privilege, context) {
+    if (this.columnGrantService) {
+      this.columnGrantService.assertAllowed(tableName, columns, privilege, context);
+    }
+  }
+
+  /**
+   * Gets the select list of statements returning whole rows, so columns that are
+   * not granted to the role are never returned
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {string} '*' unless the columns of the table are restricted
+   */
+  _getSelectList(tableName, context) {
+    return this.columnGrantService
+      ? this.columnGrantService.getSelectList(tableName, this.xsql.metaDb.tables[tableName].columns, context)
+      : '*';
+  }
+
+  /**
+   * Checks the columns listed in ?columns= against the table metadata
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Array} columns - Column names
+   * @returns {Array} The same columns
+   * @throws {BadRequestError} When a column does not exist
+   */
+  _validateColumns(tableName, columns) {
+    const tableColumns = this.xsql.metaDb.tables[tableName].columns;
+    for (const column of columns) {
+      if (!tableColumns.find(c => c.column_name === column)) {
+        throw new BadRequestError(`Cannot insert unknown column '${column}' into '${tableName}'`, {
+          code: CONSTANTS.POSTGREST.ERROR_UNDEFINED_COLUMN
+        });
+      }
+    }
+    return columns;
+  }
+
+  /**
+   * Gets the columns an upsert conflicts on, the primary key unless on_conflict names
+   * the columns of another unique index (in any order)
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Array} onConflict - Columns from ?on_conflict=
+   * @returns {Array} Conflict column names
+   * @throws {BadRequestError} When no unique index has exactly these columns
+   */
+  _getConflictColumns(tableName, onConflict) {
+    const tableMeta = this.xsql.metaDb.tables[tableName];
+    if (!onConflict || onConflict.length === 0) {
+      return tableMeta.primaryKeys.map(pk => pk.column_name);
+    }
+
+    const wanted = [...onConflict].sort().join(',');
+    const uniqueIndex = (tableMeta.indicies || []).find(idx =>
+      !idx.non_unique && [...idx.columns].sort().join(',') === wanted
+    );
+    if (!uniqueIndex) {
+      throw new BadRequestError(`on_conflict columns (${onConflict.join(', ')}) do not match a unique index of '${tableName}'`, {
+        code: CONSTANTS.POSTGREST.ERROR_NO_UNIQUE_CONSTRAINT
+      });
+    }
+    return onConflict;
+  }
+
+  /**
+   * Builds the ON DUPLICATE KEY UPDATE clause of an upsert
+   * Conflict columns are left untouched, only the other inserted columns are updated
+   * 
+   * @private
+   * @param {Array} keys - Inserted column names
+   * @param {Array} conflictColumns - Columns the upsert conflicts on
+   * @param {string} idColumn - AUTO_INCREMENT column to report the id of an updated row with
+   * @returns {string} SQL clause
+   */
+  _getUpsertClause(keys, conflictColumns, idColumn = null) {
+    const escapeId = key => this.xsql.pool.escapeId(key);
+    const updateParts = keys
+      .filter(key => !conflictColumns.includes(key) && key !== idColumn)
+      .map(key => `${escapeId(key)} = VALUES(${escapeId(key)})`);
+
+    if (idColumn) {
+      updateParts.push(`${escapeId(idColumn)} = LAST_INSERT_ID(${escapeId(idColumn)})`);
+    }
+    if (updateParts.length === 0) {
+      // Nothing to merge, a no-op assignment keeps the existing row
+      return ` ON DUPLICATE KEY UPDATE ${escapeId(keys[0])} = ${escapeId(keys[0])}`;
+    }
+    return ' ON DUPLICATE KEY UPDATE ' + updateParts.join(', ');
+  }
+
+  /**
+   * Builds an INSERT statement for one (SET ?) or more (VALUES) rows
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Array} rows - Serialized rows
+   * @param {Array} keys - Inserted column names
+   * @param {boolean} isBulk - Use the multi-row VALUES form
+   * @param {boolean} isIgnore - Use INSERT IGNORE
+   * @param {Array|null} conflictColumns - Upsert conflict columns, null for a plain insert
+   * @param {string} idColumn - AUTO_INCREMENT column, see _getUpsertClause
+   * @param {boolean} useDefaults - Keys missing from a row take the column DEFAULT
+   * @returns {Object} { query, params }
+   */
+  _buildInsert(tableName, rows, keys, isBulk, isIgnore, conflictColumns, idColumn = null, useDefaults = false) {
+    let query = 'INSERT ' + (isIgnore ? 'IGNORE ' : '') + 'INTO ?? ';
+    let params = [tableName];
+
+    if (!isBulk) {
+      query += 'SET ?';
+      params.push(rows[0]);
+    } else if (useDefaults) {
+      // Rows may have different keys, the ones they lack fall back to the column DEFAULT
+      query += '(??) VALUES ';
+      params.push(keys);
+      query += rows.map(obj => '(' + keys.map(key => {
+        if (!obj.hasOwnProperty(key)) {
+          return 'DEFAULT';
+        }
+        params.push(obj[key]);
+        return '?';
+      }).join(', ') + ')').join(', ');
+    } else {
+      query += '(??) VALUES ?';
+      params.push(keys, rows.map(obj => keys.map(key => obj[key])));
+    }
+
+    if (conflictColumns) {
+      query += this._getUpsertClause(keys, conflictColumns, idColumn);
+    }
+    return { query, params };
+  }
+
+  /**
+   * Keeps only the listed columns of a row
+   * 
+   * @private
+   * @param {Object} row - Row data
+   * @param {Array} columns - Column names
+   * @returns {Object} Row with the listed columns it has
+   */
+  _pickColumns(row, columns) {
+    return columns.reduce((picked, key) => {
+      if (row.hasOwnProperty(key)) {
+        picked[key] = row[key];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Generates missing primary key values whose column DEFAULT is UUID(),
+   * so the row can be found again after the insert
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Object} row - Row data
+   * @returns {Object} Row with generated keys
+   */
+  _fillGeneratedKeys(tableName, row) {
+    const tableMeta = this.xsql.metaDb.tables[tableName];
+    let filled = row;
+    for (const pk of tableMeta.primaryKeys) {
+      const column = tableMeta.columns.find(c => c.column_name === pk.column_name);
+      if (row[pk.column_name] === undefined && column && /^\(?uuid\(\)\)?$/i.test(String(column.column_default || ''))) {
+        filled = Object.assign({}, filled, { [pk.column_name]: crypto.randomUUID() });
+      }
+    }
+    return filled;
+  }
+
+  /**
+   * Adds generated key columns to an explicit ?columns= list
+   * 
+   * @private
+   * @param {Array} columns - Listed columns
+   * @param {Array} rows - Rows after _fillGeneratedKeys
+   * @returns {Array} Column names
+   */
+  _withGeneratedKeys(columns, rows) {
+    const extra = Object.keys(rows[0]).filter(key => !columns.includes(key) && rows.every(row => row.hasOwnProperty(key)));
+    return columns.concat(extra);
+  }
+
+  /**
+   * Finds how inserted rows can be read back: a primary key or unique index whose
+   * values every row carries, otherwise a single AUTO_INCREMENT primary key
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Array} rows - Rows to insert
+   * @returns {Object|null} { columns, autoIncrement } or null when rows cannot be identified
+   */
+  _getRowIdentity(tableName, rows) {
+    const tableMeta = this.xsql.metaDb.tables[tableName];
+    const pkColumns = tableMeta.primaryKeys.map(pk => pk.column_name);
+    const uniqueKeys = [pkColumns].concat(
+      (tableMeta.indicies || []).filter(idx => !idx.non_unique && idx.index_name !== 'PRIMARY').map(idx => idx.columns)
+    );
+
+    const present = uniqueKeys.find(key => key.length > 0 && rows.every(row =>
+      key.every(column => row[column] !== undefined && row[column] !== null)
+    ));
+    if (present) {
+      return { columns: present, autoIncrement: false };
+    }
+
+    if (pkColumns.length === 1) {
+      const column = tableMeta.columns.find(c => c.column_name === pkColumns[0]);
+      if (column && column.extra && column.extra.includes('auto_increment')) {
+        return { columns: pkColumns, autoIncrement: true };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reads rows back by a list of key tuples, limited to the rows the
+   * SELECT policies let the role see
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Array} keyColumns - Key column names
+   * @param {Array} keyValues - One array of values per row
+   * @param {Object} context - JWT context for RLS
+   * @param {Object} queryParams - Request query parameters, select= picks columns and embeds
+   * @returns {Promise<Array>} Rows
+   */
+  async _fetchByKeys(tableName, keyColumns, keyValues, context, queryParams = null) {
+    let cols = queryParams && queryParams.select
+      ? this.xsql.getColumnsForSelectStmt(tableName, queryParams, context)
+      : this._getSelectList(tableName, context);
+    const keys = this._getKeysWhere(keyColumns, keyValues);
+    const rlsClause = this.rlsService.getPolicyWhereClause(tableName, CONSTANTS.RLS_OPERATIONS.SELECT, context);
+    const where = rlsClause ? `(${rlsClause}) AND ${keys.where}` : keys.where;
+
+    return this.xsql.exec('SELECT ' + cols + ' FROM ?? WHERE ' + where, [tableName].concat(keys.params), context);
+  }
+
+  /**
+   * Builds the condition matching a list of key tuples
+   * 
+   * @private
+   * @param {Array} keyColumns - Key column names
+   * @param {Array} keyValues - One array of values per row
+   * @returns {Object} { where, params }
+   */
+  _getKeysWhere(keyColumns, keyValues) {
+    if (keyColumns.length === 1) {
+      return { where: '?? IN (?)', params: [keyColumns[0], keyValues.map(values => values[0])] };
+    }
+    return {
+      where: '(' + keyColumns.map(() => '??').join(',') + ') IN (?)',
+      params: keyColumns.concat([keyValues])
+    };
+  }
+
+  /**
+   * Finds which rows to insert already exist, locking them until the transaction ends
+   * 
+   * @private
+   * @param {Object} connection - Transaction connection
+   * @param {string} tableName - Table name
+   * @param {Array|null} keyColumns - Unique key the rows are matched on
+   * @param {Array} rows - Rows to insert
+   * @param {Array} valueColumns - Columns returned for each existing row, the key by default
+   * @returns {Promise<Array>} Values of the existing rows
+   */
+  async _getExistingKeys(connection, tableName, keyColumns, rows, valueColumns = keyColumns) {
+    const keyValues = keyColumns
+      ? rows.filter(row => keyColumns.every(column => row[column] !== undefined && row[column] !== null))
+        .map(row => keyColumns.map(column => row[column]))
+      : [];
+    if (keyValues.length === 0) {
+      return [];
+    }
+
+    const keys = this._getKeysWhere(keyColumns, keyValues);
+    const found = await connection.query('SELECT * FROM ?? WHERE ' + keys.where + ' FOR UPDATE', [tableName].concat(keys.params));
+    return found.map(row => valueColumns.map(column => row[column]));
+  }
+
+  /**
+   * Refuses upsert rows colliding on a unique key other than the conflict key,
+   * with an existing row or with another row of the payload. MySQL would merge
+   * them into that row, like PostgreSQL they are a unique violation instead
+   * 
+   * @private
+   * @param {Object} connection - Transaction connection
+   * @param {string} tableName - Table name
+   * @param {Array} conflictColumns - Columns the upsert conflicts on
+   * @param {Array} rows - Rows to insert
+   * @throws {ConflictError} When a row collides on another unique key
+   */
+  async _assertNoOtherKeyConflicts(connection, tableName, conflictColumns, rows) {
+    const signature = columns => [...columns].sort().join(',');
+    const toKey = (row, columns) => JSON.stringify(columns.map(column => String(row[column])));
+    const otherKeys = (this.xsql.metaDb.tables[tableName].indicies || []).filter(idx =>
+      !idx.non_unique && signature(idx.columns) !== signature(conflictColumns)
+    );
+
+    for (const index of otherKeys) {
+      const conflict = () => new ConflictError(CONSTANTS.ERROR_MESSAGES.UPSERT_KEY_CONFLICT
+        .replace('{0}', index.index_name).replace('{1}', tableName).replace('{2}', conflictColumns.join(', ')), {
+        code: CONSTANTS.POSTGREST.ERROR_UNIQUE_VIOLATION
+      });
+      const candidates = rows.filter(row => index.columns.every(column => row[column] !== undefined && row[column] !== null));
+
+      // Rows of the payload sharing the key are merged into each other
+      const payload = new Map();
+      for (const row of candidates) {
+        const key = toKey(row, index.columns);
+        if (payload.has(key) && payload.get(key) !== toKey(row, conflictColumns)) {
+          throw conflict();
+        }
+        payload.set(key, toKey(row, conflictColumns));
+      }
+
+      // An existing row sharing the key is only fine when it is the row merged on the conflict key
+      const columns = index.columns.concat(conflictColumns);
+      const existing = await this._getExistingKeys(connection, tableName, index.columns, candidates, columns);
+      for (const values of existing) {
+        const row = Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+        if (payload.get(toKey(row, index.columns)) !== toKey(row, conflictColumns)) {
+          throw conflict();
+        }
+      }
+    }
+  }
+
+  /**
+   * Refuses bulk writes without a client filter unless allowUnfilteredWrites is configured
+   * Must run before RLS policies are injected, they do not count as a filter
+   * 
+   * @private
+   * @param {boolean} filtered - Whether the request has column filters, _where or logic trees
+   * @param {string} operation - 'UPDATE' or 'DELETE'
+   * @throws {BadRequestError} When the request has no filter
+   */
+  _assertFiltered(filtered, operation) {
+    if (filtered || (this.xsql.sqlConfig && this.xsql.sqlConfig.allowUnfilteredWrites)) {
+      return;
+    }
+    throw new BadRequestError(CONSTANTS.ERROR_MESSAGES.UNFILTERED_WRITE.replace('{0}', operation), {
+      code: CONSTANTS.POSTGREST.ERROR_UNFILTERED_WRITE,
+      hint: 'Add a filter such as ?id=eq.1 to the request'
+    });
+  }
+
+  /**
+   * Executes an INSERT/UPDATE/DELETE, inside a transaction when max-affected is set
+   * or RLS policies have to check the new rows
+   * The transaction is rolled back when more rows than allowed were affected
+   * 
+   * @private
+   * @param {string} query - SQL statement
+   * @param {Array} params - Statement parameters
+   * @param {Object} options - Write options
+   * @param {number|null} options.maxAffected - Maximum number of affected rows
+   * @param {Object|null} options.policyCheck - Check from _getInsertPolicyCheck/_getUpdatePolicyCheck
+   * @param {Object} context - JWT context for RLS
+   * @returns {Promise<Object>} Statement result
+   * @throws {BadRequestError} When the limit is exceeded
+   * @throws {AuthorizationError} When a new row violates a policy
+   */
+  async _execWrite(query, params, options, context) {
+    const { maxAffected, policyCheck } = options;
+    const limited = maxAffected !== undefined && maxAffected !== null;
+    if (!limited && !policyCheck) {
+      return this.xsql.exec(query, params, context);
+    }
+
+    return this.xsql.connectionManager.executeInTransaction(async connection => {
+      if (policyCheck) {
+        await this._assertPolicyCheck(connection, policyCheck);
+      }
+      let results = await connection.query(query, params);
+      if (limited && results.affectedRows > maxAffected) {
+        throw new BadRequestError(CONSTANTS.ERROR_MESSAGES.MAX_AFFECTED_EXCEEDED, {
+          code: CONSTANTS.POSTGREST.ERROR_MAX_AFFECTED,
+          details: `The query affects ${results.affectedRows} rows`
+        });
+      }
+      return results;
+    }, context);
+  }
+
+  /**
+   * Builds the RLS WITH CHECK of an INSERT whose rows cannot be read back: the proposed
+   * rows become a derived table with every column of the table, columns they do not set are NULL
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Array} rows - Serialized rows to insert
+   * @param {string} clause - INSERT check condition
+   * @returns {Object} { tableName, clause, source, params }
+   */
+  _getInsertPolicyCheck(tableName, rows, clause) {
+    const columns = this.xsql.metaDb.tables[tableName].columns.map(col => col.column_name);
+    const params = [];
+    const source = rows.map(row => 'SELECT ' + columns.map(column => {
+      params.push(row[column] === undefined ? null : row[column], column);
+      return '? AS ??';
+    }).join(', ')).join(' UNION ALL ');
+
+    return { tableName, clause, source, params };
+  }
+
+  /**
+   * Builds the RLS WITH CHECK of an UPDATE: the rows it matches with the new values applied
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Object} data - Serialized new values
+   * @param {Object} whereObj - WHERE clause of the UPDATE, including RLS
+   * @param {Object} context - JWT context for RLS
+   * @returns {Object|null} { tableName, clause, source, params } or null without policies
+   */
+  _getUpdatePolicyCheck(tableName, data, whereObj, context) {
+    const clause = this.rlsService.getPolicyCheckClause(tableName, CONSTANTS.RLS_OPERATIONS.UPDATE, context);
+    if (!clause) {
+      return null;
+    }
+
+    const params = [];
+    const columns = this.xsql.metaDb.tables[tableName].columns.map(col => {
+      if (Object.prototype.hasOwnProperty.call(data, col.column_name)) {
+        params.push(data[col.column_name], col.column_name);
+        return '? AS ??';
+      }
+      params.push(col.column_name);
+      return '??';
+    });
+    const source = 'SELECT ' + columns.join(', ') + ' FROM ?? ' + whereObj.query;
+
+    return { tableName, clause, source, params: params.concat([tableName], whereObj.params) };
+  }
+
+  /**
+   * Checks rows of the transaction, read back by key: rows written, or existing rows before an upsert merges into them
+   * 
+   * @private
+   * @param {Object} connection - Transaction connection
+   * @param {string} tableName - Table name
+   * @param {Array} keyColumns - Key column names
+   * @param {Array} keyValues - One array of values per row
+   * @param {string|null} clause - Policy condition, null when unrestricted
+   * @param {string} message - Error message, RLS_CHECK_VIOLATION by default
+   * @throws {AuthorizationError} When a row fails the check
+   */
+  async _assertRowsByKey(connection, tableName, keyColumns, keyValues, clause, message = CONSTANTS.ERROR_MESSAGES.RLS_CHECK_VIOLATION) {
+    if (!clause || keyValues.length === 0) {
+      return;
+    }
+
+    const keys = this._getKeysWhere(keyColumns, keyValues);
+    await this._assertPolicyCheck(connection, {
+      tableName,
+      clause,
+      source: 'SELECT * FROM ?? WHERE ' + keys.where,
+      params: [tableName].concat(keys.params),
+      message
+    });
+  }
+
+  /**
+   * Counts the rows of a check failing it, a NULL result fails like in PostgreSQL
+   * 
+   * @private
+   * @param {Object} connection - Transaction connection
+   * @param {Object} policyCheck - Check from _getInsertPolicyCheck/_getUpdatePolicyCheck/_assertRowsByKey
+   * @throws {AuthorizationError} When a row fails the check
+   */
+  async _assertPolicyCheck(connection, policyCheck) {
+    const query = `SELECT COUNT(*) AS failed FROM (${policyCheck.source}) AS ?? WHERE NOT COALESCE((${policyCheck.clause}), FALSE)`;
+    const [row] = await connection.query(query, policyCheck.params.concat([policyCheck.tableName]));
+
+    if (row.failed > 0) {
+      throw new AuthorizationError((policyCheck.message || CONSTANTS.ERROR_MESSAGES.RLS_CHECK_VIOLATION).replace('{0}', policyCheck.tableName), {
+        code: CONSTANTS.POSTGREST.ERROR_INSUFFICIENT_PRIVILEGE
+      });
+    }
+  }
+
   /**
    * Counts records in a table
    * 
@@ -419,7 +1087,10 @@ class CrudService {
    * @returns {Promise<Array>} Count result
    */
   async count(tableName, context = null) {
-    let query = 'select count(1) as no_of_rows from ??';
+    let whereObj = { query: '', params: [] };
+    this.rlsService.injectPolicyIntoWhere(whereObj, tableName, CONSTANTS.RLS_OPERATIONS.SELECT, ' where ', context);
+
+    let query = 'select count(1) as no_of_rows from ??' + whereObj.query;
     let params = [tableName];
 
     return await this.xsql.exec(query, params, context);
@@ -434,12 +1105,16 @@ class CrudService {
    * @param {Object} queryParams - Query parameters
    * @param {Object} options - List options
    * @param {boolean} options.countTotal - Include total count
+   * @param {string} options.countMethod - 'exact' (default), 'planned' or 'estimated'
+   * @param {Object} options.range - { offset, limit } from the Range header
    * @param {Object} context - JWT context for RLS
    * @returns {Promise<Object>} Nested list result
    */
   async nestedList(parentTable, parentId, childTable, queryParams, options = {}, context = null) {
     let queryParamsObj = { query: '', params: [] };
-    let cols = this.xsql.getColumnsForSelectStmt(childTable, queryParams);
+    let cols = this.xsql.getColumnsForSelectStmt(childTable, queryParams, context);
+    let groupBy = this.xsql.getGroupByClause(childTable, queryParams);
+    let cursor = this.xsql.getCursorPagination(queryParams, childTable, context);
 
     // Build WHERE with FK
     let whereObj = { query: '', params: [] };
@@ -450,10 +1125,10 @@ class CrudService {
     }
     
     whereObj.query = fkWhere;
-    this.xsql.getWhereClause(queryParams, childTable, whereObj, ' and ');
+    this.xsql.getWhereClause(queryParams, childTable, whereObj, ' and ', context);
 
     // Apply RLS
-    let rlsClause = this.rlsService.getPolicyWhereClause(childTable, CONSTANTS.RLS_OPERATIONS.SELECT);
+    let rlsClause = this.rlsService.getPolicyWhereClause(childTable, CONSTANTS.RLS_OPERATIONS.SELECT, context);
     if (rlsClause) {
       whereObj.query += ` and (${rlsClause})`;
     }
@@ -461,20 +1136,28 @@ class CrudService {
     // Count if requested
     let totalCount = null;
     if (options.countTotal) {
-      let countQuery = 'SELECT count(1) as no_of_rows FROM ?? WHERE ' + whereObj.query;
+      let countQuery = groupBy
+        ? 'SELECT count(1) as no_of_rows FROM (SELECT 1 FROM ?? WHERE ' + whereObj.query + groupBy + ') AS grouped_rows'
+        : 'SELECT count(1) as no_of_rows FROM ?? WHERE ' + whereObj.query;
       let countParams = [childTable].concat(whereObj.params);
-      let countResults = await this.xsql.exec(countQuery, countParams, context);
-      totalCount = countResults[0].no_of_rows;
+      totalCount = await this._countRows(childTable, countQuery, countParams, options.countMethod, context);
+    }
+
+    if (cursor) {
+      this._applyCursorSeek(whereObj, cursor);
+      queryParamsObj.query = 'select ' + cols + cursor.columns + ' from ?? where ' + whereObj.query;
+      queryParamsObj.params = [childTable].concat(whereObj.params);
+      return await this._listCursorPage(queryParamsObj, cursor, totalCount, context);
     }
 
     // Build main query
-    queryParamsObj.query = 'select ' + cols + ' from ?? where ' + whereObj.query;
+    queryParamsObj.query = 'select ' + cols + ' from ?? where ' + whereObj.query + groupBy;
     queryParamsObj.params.push(childTable);
     queryParamsObj.params = queryParamsObj.params.concat(whereObj.params);
 
-    queryParamsObj.query += this.xsql.getOrderByClause(queryParams, childTable);
+    queryParamsObj.query += this.xsql.getOrderByClause(queryParams, childTable, [], context);
 
-    let limitClause = this.xsql.getLimitClause(queryParams);
+    let limitClause = this.xsql.getLimitClause(queryParams, options.range);
     queryParamsObj.query += ' limit ?,? ';
     queryParamsObj.params.push(limitClause[0], limitClause[1]);
 
@@ -487,6 +1170,83 @@ class CrudService {
       totalCount
     };
   }
+
+  /**
+   * Counts the rows of a list. count=planned reads the table statistics
+   * (information_schema.tables.table_rows, which ignores filters);
+   * count=estimated counts exactly unless the planned count is large
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {string} countQuery - Exact count query
+   * @param {Array} countParams - Exact count query params
+   * @param {string} countMethod - 'exact', 'planned' or 'estimated'
+   * @param {Object} context - JWT context for RLS
+   * @returns {Promise<number>} Row count
+   */
+  async _countRows(tableName, countQuery, countParams, countMethod, context) {
+    if (countMethod === 'planned' || countMethod === 'estimated') {
+      let planned = await this.xsql.exec(dataHelper.getPlannedRowCountQuery(), [tableName], context);
+      let plannedCount = planned.length ? Number(planned[0].no_of_rows) : 0;
+      if (countMethod === 'planned' || plannedCount > CONSTANTS.PAGINATION.ESTIMATED_COUNT_THRESHOLD) {
+        return plannedCount;
+      }
+    }
+
+    let countResults = await this.xsql.exec(countQuery, countParams, context);
+    return countResults[0].no_of_rows;
+  }
+
+  /**
+   * Adds the seek condition of a cursor page to a WHERE clause
+   * 
+   * @private
+   * @param {Object} whereObj - WHERE clause { query, params }, extended in place
+   * @param {Object} cursor - Cursor pagination from getCursorPagination
+   */
+  _applyCursorSeek(whereObj, cursor) {
+    if (!cursor.seek) {
+      return;
+    }
+    whereObj.query += (whereObj.query ? ' and ' : ' where ') + cursor.seek.query;
+    whereObj.params = whereObj.params.concat(cursor.seek.params);
+  }
+
+  /**
+   * Fetches one keyset page: one extra row tells whether a next page exists
+   * 
+   * @private
+   * @param {Object} queryParamsObj - SELECT without ORDER BY / LIMIT { query, params }
+   * @param {Object} cursor - Cursor pagination from getCursorPagination
+   * @param {number|null} totalCount - Total count, if requested
+   * @param {Object} context - JWT context for RLS
+   * @returns {Promise<Object>} List result with nextCursor (null on the last page)
+   */
+  async _listCursorPage(queryParamsObj, cursor, totalCount, context) {
+    let query = queryParamsObj.query + cursor.orderBy + ' limit ? ';
+    let params = queryParamsObj.params.concat([cursor.limit + 1]);
+
+    let rows = await this.xsql.exec(query, params, context);
+
+    let nextCursor = null;
+    if (rows.length > cursor.limit) {
+      rows = rows.slice(0, cursor.limit);
+      nextCursor = this.xsql.encodeCursor(cursor, rows[rows.length - 1]);
+    }
+
+    // Drop the internal key columns
+    for (const row of rows) {
+      cursor.keys.forEach((key, i) => delete row[CONSTANTS.PAGINATION.CURSOR_COLUMN_PREFIX + i]);
+    }
+
+    return {
+      rows,
+      offset: 0,
+      limit: cursor.limit,
+      totalCount,
+      nextCursor
+    };
+  }
 }
 
 module.exports = CrudService;
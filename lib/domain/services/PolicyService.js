@@ -0,0 +1,322 @@
+'use strict';
+
+const CONSTANTS = require('../constants.js');
+const { BadRequestError, ConflictError, NotFoundError } = require('../errors');
+
+/**
+ * Policy Service
+ * Manages the rows of the RLS policies table for the admin API
+ *
+ * Every change is validated, written together with its audit trail entry
+ * in one transaction and reloaded into the RlsService cache.
+ */
+class PolicyService {
+
+  constructor(xsql, rlsService) {
+    this.xsql = xsql;
+    this.rlsService = rlsService;
+  }
+
+  /**
+   * Lists policies, optionally filtered by table_name, operation or enabled
+   *
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Array>} Policies ordered by table and name
+   */
+  async list(query = {}) {
+    const conditions = [];
+    const params = [CONSTANTS.RLS_TABLE.NAME];
+
+    for (const column of ['table_name', 'operation', 'enabled']) {
+      if (query[column] !== undefined) {
+        conditions.push('?? = ?');
+        params.push(column, column === 'enabled' ? this._toBoolean(query[column]) : query[column]);
+      }
+    }
+
+    const where = conditions.length ? ' WHERE ' + conditions.join(' AND ') : '';
+    return this.xsql.exec('SELECT * FROM ??' + where + ' ORDER BY table_name, policy_name', params);
+  }
+
+  /**
+   * Gets one policy
+   *
+   * @param {number} id - Policy id
+   * @returns {Promise<Object>} Policy
+   * @throws {NotFoundError} When the policy does not exist
+   */
+  async get(id) {
+    const rows = await this.xsql.exec('SELECT * FROM ?? WHERE id = ?', [CONSTANTS.RLS_TABLE.NAME, id]);
+    if (rows.length === 0) {
+      throw new NotFoundError('Policy', id);
+    }
+    return rows[0];
+  }
+
+  /**
+   * Creates a policy
+   *
+   * @param {Object} data - Policy columns
+   * @param {Object} context - JWT context of the admin, recorded in the audit trail
+   * @returns {Promise<Object>} Created policy
+   * @throws {BadRequestError} When the policy is invalid
+   * @throws {ConflictError} When the table already has a policy with that name
+   */
+  async create(data, context = null) {
+    const policy = this._normalize(data);
+    this._assertRequired(policy);
+    await this._validateExpressions(policy, context);
+
+    const id = await this._write(async connection => {
+      const result = await connection.query('INSERT INTO ?? SET ?', [CONSTANTS.RLS_TABLE.NAME, policy]);
+      const created = await this._read(connection, result.insertId);
+      await this._audit(connection, CONSTANTS.RLS_AUDIT_TABLE.ACTIONS.CREATE, null, created, context);
+      return result.insertId;
+    });
+    return this.get(id);
+  }
+
+  /**
+   * Updates some columns of a policy, e.g. { "enabled": false } to disable it
+   *
+   * @param {number} id - Policy id
+   * @param {Object} data - Columns to change
+   * @param {Object} context - JWT context of the admin, recorded in the audit trail
+   * @returns {Promise<Object>} Updated policy
+   * @throws {NotFoundError} When the policy does not exist
+   * @throws {BadRequestError} When the resulting policy is invalid
+   */
+  async update(id, data, context = null) {
+    const changes = this._normalize(data);
+    if (Object.keys(changes).length === 0) {
+      throw new BadRequestError('No policy columns to update');
+    }
+
+    const existing = await this.get(id);
+    const policy = Object.assign({}, existing, changes);
+    this._assertRequired(policy);
+    await this._validateExpressions(policy, context);
+
+    await this._write(async connection => {
+      await connection.query('UPDATE ?? SET ? WHERE id = ?', [CONSTANTS.RLS_TABLE.NAME, changes, id]);
+      const updated = await this._read(connection, id);
+      await this._audit(connection, CONSTANTS.RLS_AUDIT_TABLE.ACTIONS.UPDATE, existing, updated, context);
+    });
+    return this.get(id);
+  }
+
+  /**
+   * Deletes a policy
+   *
+   * @param {number} id - Policy id
+   * @param {Object} context - JWT context of the admin, recorded in the audit trail
+   * @returns {Promise<Object>} Deleted policy
+   * @throws {NotFoundError} When the policy does not exist
+   */
+  async delete(id, context = null) {
+    const existing = await this.get(id);
+
+    await this._write(async connection => {
+      await connection.query('DELETE FROM ?? WHERE id = ?', [CONSTANTS.RLS_TABLE.NAME, id]);
+      await this._audit(connection, CONSTANTS.RLS_AUDIT_TABLE.ACTIONS.DELETE, existing, null, context);
+    });
+    return existing;
+  }
+
+  /**
+   * Lists audit trail entries, newest first
+   *
+   * @param {Object} query - Query parameters: policy_id, limit
+   * @returns {Promise<Array>} Audit entries
+   */
+  async listAudit(query = {}) {
+    const params = [CONSTANTS.RLS_AUDIT_TABLE.NAME];
+    let where = '';
+    if (query.policy_id !== undefined) {
+      where = ' WHERE policy_id = ?';
+      params.push(query.policy_id);
+    }
+
+    const limit = /^\d+$/.test(query.limit || '') ? parseInt(query.limit) : CONSTANTS.RLS_AUDIT_TABLE.DEFAULT_LIMIT;
+    params.push(limit);
+    return this.xsql.exec('SELECT * FROM ??' + where + ' ORDER BY id DESC LIMIT ?', params);
+  }
+
+  /**
+   * Reloads the policy and column grant caches, e.g. after they were changed with SQL
+   *
+   * @returns {Promise<Object>} { tables, grantTables } numbers of tables with policies and with column grants
+   */
+  async reload() {
+    await this.rlsService.reloadPolicies();
+    await this.xsql.columnGrantService.reloadGrants();
+    return {
+      tables: Object.keys(this.rlsService.rlsPolicies).length,
+      grantTables: Object.keys(this.xsql.columnGrantService.columnGrants).length
+    };
+  }
+
+  /**
+   * Runs a change and its audit entry in one transaction, then reloads the cache
+   *
+   * @private
+   * @param {Function} callback - Receives the transaction connection
+   * @returns {Promise<any>} Result of the callback
+   * @throws {ConflictError} On a duplicate policy name
+   */
+  async _write(callback) {
+    let result;
+    try {
+      result = await this.xsql.connectionManager.executeInTransaction(callback);
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        throw new ConflictError('A policy with this name already exists for the table', {
+          code: CONSTANTS.POSTGREST.ERROR_UNIQUE_VIOLATION
+        });
+      }
+      throw err;
+    }
+
+    await this.rlsService.reloadPolicies();
+    return result;
+  }
+
+  /**
+   * @private
+   * @param {Object} connection - Transaction connection
+   * @param {number} id - Policy id
+   * @returns {Promise<Object>} Policy row
+   */
+  async _read(connection, id) {
+    const rows = await connection.query('SELECT * FROM ?? WHERE id = ?', [CONSTANTS.RLS_TABLE.NAME, id]);
+    return rows[0];
+  }
+
+  /**
+   * Records a change in the audit trail
+   *
+   * @private
+   * @param {Object} connection - Transaction connection
+   * @param {string} action - CREATE, UPDATE or DELETE
+   * @param {Object|null} oldValue - Policy before the change
+   * @param {Object|null} newValue - Policy after the change
+   * @param {Object} context - JWT context of the admin
+   * @returns {Promise<void>}
+   */
+  async _audit(connection, action, oldValue, newValue, context) {
+    const policy = newValue || oldValue;
+    await connection.query('INSERT INTO ?? SET ?', [CONSTANTS.RLS_AUDIT_TABLE.NAME, {
+      policy_id: policy.id,
+      table_name: policy.table_name,
+      policy_name: policy.policy_name,
+      action: action,
+      actor: context && context.sub !== undefined ? String(context.sub) : null,
+      actor_role: this.rlsService.getRole(context),
+      old_value: oldValue ? JSON.stringify(oldValue) : null,
+      new_value: newValue ? JSON.stringify(newValue) : null
+    }]);
+  }
+
+  /**
+   * Keeps the editable columns of a request body and normalizes their values
+   *
+   * @private
+   * @param {Object} data - Request body
+   * @returns {Object} Policy columns
+   * @throws {BadRequestError} On unknown columns or invalid values
+   */
+  _normalize(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new BadRequestError('Policy must be a JSON object');
+    }
+
+    const policy = {};
+    for (const key of Object.keys(data)) {
+      if (!CONSTANTS.RLS_TABLE.EDITABLE_COLUMNS.includes(key)) {
+        throw new BadRequestError(`Unknown policy column '${key}'`, {
+          hint: `Use ${CONSTANTS.RLS_TABLE.EDITABLE_COLUMNS.join(', ')}`
+        });
+      }
+      policy[key] = data[key];
+    }
+
+    if (policy.operation !== undefined) {
+      policy.operation = String(policy.operation).toUpperCase();
+      if (!Object.values(CONSTANTS.RLS_OPERATIONS).includes(policy.operation)) {
+        throw new BadRequestError(`Invalid operation '${data.operation}', use one of ${Object.values(CONSTANTS.RLS_OPERATIONS).join(', ')}`);
+      }
+    }
+    if (policy.permissive !== undefined) {
+      policy.permissive = String(policy.permissive).toUpperCase();
+      if (!Object.values(CONSTANTS.RLS_POLICY_TYPES).includes(policy.permissive)) {
+        throw new BadRequestError(`Invalid permissive '${data.permissive}', use PERMISSIVE or RESTRICTIVE`);
+      }
+    }
+    if (policy.roles !== undefined) {
+      const roles = this.rlsService.parseRoles(policy.roles);
+      policy.roles = roles ? roles.join(',') : null;
+    }
+    if (policy.enabled !== undefined) {
+      policy.enabled = this._toBoolean(policy.enabled);
+    }
+    if (policy.check_expression === '') {
+      policy.check_expression = null;
+    }
+    return policy;
+  }
+
+  /**
+   * @private
+   * @param {Object} policy - Complete policy
+   * @throws {BadRequestError} When a required column is missing
+   */
+  _assertRequired(policy) {
+    for (const column of ['table_name', 'policy_name', 'using_expression']) {
+      if (typeof policy[column] !== 'string' || policy[column].trim() === '') {
+        throw new BadRequestError(`Policy requires a non-empty ${column}`);
+      }
+    }
+    if (!this.xsql.metaDb.tables[policy.table_name]) {
+      throw new NotFoundError('Table', policy.table_name);
+    }
+  }
+
+  /**
+   * Test-compiles the expressions against the table, so a broken policy
+   * is refused instead of failing every later request on the table
+   *
+   * @private
+   * @param {Object} policy - Complete policy
+   * @param {Object} context - JWT context, sets the claim variables used by the expressions
+   * @returns {Promise<void>}
+   * @throws {BadRequestError} When an expression does not compile
+   */
+  async _validateExpressions(policy, context) {
+    for (const column of ['using_expression', 'check_expression']) {
+      const expression = policy[column];
+      if (expression === null || expression === undefined) {
+        continue;
+      }
+      if (expression.includes(';')) {
+        throw new BadRequestError(`Invalid ${column}: a policy is a single SQL expression`);
+      }
+
+      try {
+        await this.xsql.exec(`SELECT 1 FROM ?? WHERE (${expression}) LIMIT 0`, [policy.table_name], context);
+      } catch (err) {
+        throw new BadRequestError(`Invalid ${column}: ${err.sqlMessage || err.message}`, { code: err.code });
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {any} value - true/false, 1/0 or their string forms
+   * @returns {boolean} Boolean value
+   */
+  _toBoolean(value) {
+    return value === true || value === 1 || value === '1' || value === 'true';
+  }
+}
+
+module.exports = PolicyService;
@@ -4,6 +4,9 @@ const mysql = require('mysql2');
 const CONSTANTS = require('../constants.js');
 const dataHelp = require('../../util/data.helper.js');
 const selectParser = require('../../util/selectParser.helper.js');
+const postgrestHelp = require('../../util/postgrestWhereClause.helper.js');
+const tableScope = require('../../util/tableScope.helper.js');
+const { BadRequestError } = require('../errors');
 const assert = require('assert');
 
 /**
@@ -19,21 +22,37 @@ const assert = require('assert');
  */
 class QueryBuilderService {
   
-  constructor(metaDb) {
+  constructor(metaDb, rlsService = null, columnGrantService = null) {
     this.metaDb = metaDb;
+    this.rlsService = rlsService;
+    this.columnGrantService = columnGrantService;
   }
 
   /**
    * Builds LIMIT clause with offset
    * 
    * @param {Object} reqParams - Request query parameters
+   * @param {Object} range - Optional { offset, limit } from the Range header, used
+   *   when the query string has no limit/offset/_p/_size
    * @returns {Array} [offset, limit]
    */
-  getLimitClause(reqParams) {
+  getLimitClause(reqParams, range = null) {
     // Set defaults
     reqParams._index = CONSTANTS.PAGINATION.DEFAULT_OFFSET;
     reqParams._len = CONSTANTS.PAGINATION.DEFAULT_PAGE_SIZE;
 
+    let paginationParams = [
+      CONSTANTS.QUERY_PARAMS.LIMIT, CONSTANTS.QUERY_PARAMS.OFFSET,
+      CONSTANTS.QUERY_PARAMS.PAGE, CONSTANTS.QUERY_PARAMS.SIZE
+    ];
+    if (range && !paginationParams.some(param => param in reqParams)) {
+      reqParams._index = range.offset;
+      if (range.limit !== null) {
+        reqParams._len = range.limit;
+      }
+      return [reqParams._index, reqParams._len];
+    }
+
     // Handle limit parameter
     if (CONSTANTS.QUERY_PARAMS.LIMIT in reqParams) {
       reqParams._len = parseInt(reqParams[CONSTANTS.QUERY_PARAMS.LIMIT]);
@@ -47,64 +66,362 @@ class QueryBuilderService {
       reqParams._index = parseInt(reqParams[CONSTANTS.QUERY_PARAMS.OFFSET]);
     } else if (CONSTANTS.QUERY_PARAMS.PAGE in reqParams && 
                parseInt(reqParams[CONSTANTS.QUERY_PARAMS.PAGE]) > 0) {
-      reqParams._index = (parseInt(reqParams[CONSTANTS.QUERY_PARAMS.PAGE]) - 1) * reqParams._len + 1;
+      reqParams._index = (parseInt(reqParams[CONSTANTS.QUERY_PARAMS.PAGE]) - 1) * reqParams._len;
     }
 
     return [reqParams._index, reqParams._len];
   }
 
   /**
-   * Builds ORDER BY clause
+   * Builds ORDER BY clause from _sort (-col,col2) or order (col.desc.nullslast,clients(name).asc).
+   * Columns are validated against the table metadata (or select aliases) and
+   * emitted as escaped identifiers
    * 
    * @param {Object} queryparams - Request query parameters
    * @param {string} tableName - Table name (for validation)
+   * @param {Array} aliases - Extra orderable names, e.g. computed columns of the query
+   * @param {Object} context - JWT context for RLS of embedded resources and column grants
    * @returns {string} ORDER BY clause
+   * @throws {BadRequestError} On unknown columns or malformed terms
+   * @throws {AuthorizationError} When an ordered column is not granted to the role
    */
-  getOrderByClause(queryparams, tableName) {
-    let orderBy = '';
+  getOrderByClause(queryparams, tableName, aliases = [], context = null) {
+    let terms = this._getOrderTerms(queryparams);
+
+    if (!terms.length) {
+      return '';
+    }
+
+    let selectAliases = this._getSelectAliases(queryparams).concat(aliases);
+    let columns = this.metaDb.tables[tableName].columns;
+
+    return ' ORDER BY ' + terms.map(term => {
+      let expression;
+      let embedded = term.target.match(/^([^()!]+)(?:!([^()]+))?\(([^()]+)\)$/);
+
+      if (embedded) {
+        expression = this._getEmbeddedOrderExpression(tableName, embedded[1], embedded[2], embedded[3], context);
+      } else if (columns.find(c => c.column_name === term.target)) {
+        this._assertSelectable(tableName, term.target, context);
+        expression = mysql.escapeId(`${tableName}.${term.target}`);
+      } else if (selectAliases.includes(term.target)) {
+        expression = mysql.escapeId(term.target);
+      } else {
+        throw new BadRequestError(`Cannot order '${tableName}' by unknown column '${term.target}'`, {
+          code: CONSTANTS.POSTGREST.ERROR_UNDEFINED_COLUMN
+        });
+      }
 
+      return this._getOrderTermSql(expression, term);
+    }).join(', ');
+  }
+
+  /**
+   * Parses the _sort (MyREST) or order (PostgREST) parameter into order terms
+   * 
+   * @private
+   * @param {Object} queryparams - Request query parameters
+   * @returns {Array} [{ target, direction, nulls }]
+   */
+  _getOrderTerms(queryparams) {
     // Handle _sort parameter (MyREST format)
     if (queryparams[CONSTANTS.QUERY_PARAMS.SORT]) {
-      orderBy += ' ORDER BY ';
-      let orderByCols = queryparams[CONSTANTS.QUERY_PARAMS.SORT].split(',');
+      return queryparams[CONSTANTS.QUERY_PARAMS.SORT].split(',').map(term => {
+        term = term.trim();
+        return term[0] === '-'
+          ? { target: term.substring(1), direction: 'DESC', nulls: null }
+          : { target: term, direction: 'ASC', nulls: null };
+      });
+    }
+    // Handle order parameter (PostgREST format)
+    if (queryparams[CONSTANTS.QUERY_PARAMS.ORDER]) {
+      return postgrestHelp.splitTopLevel(queryparams[CONSTANTS.QUERY_PARAMS.ORDER]).map(term => this._parseOrderTerm(term));
+    }
+    return [];
+  }
 
-      for (let i = 0; i < orderByCols.length; ++i) {
-        if (i) {
-          orderBy += ', ';
-        }
-        
-        // Check for descending order (prefix with -)
-        if (orderByCols[i][0] === '-') {
-          let len = orderByCols[i].length;
-          orderBy += orderByCols[i].substring(1, len) + ' DESC';
-        } else {
-          orderBy += orderByCols[i] + ' ASC';
-        }
+  /**
+   * Builds keyset (cursor) pagination, requested with ?cursor (first page)
+   * or ?cursor=<token> (next pages). The sort key is the requested order
+   * plus the primary key as tie-breaker; pages are fetched with a seek
+   * condition instead of an offset.
+   * 
+   * @param {Object} queryParams - Request query parameters
+   * @param {string} tableName - Table name
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {Object|null} { keys, columns, orderBy, seek, limit } or null without cursor parameter
+   * @throws {BadRequestError} On invalid cursors or orders that cannot be used as keyset
+   * @throws {AuthorizationError} When a key column is not granted, the cursor carries its values
+   */
+  getCursorPagination(queryParams, tableName, context = null) {
+    if (!(CONSTANTS.QUERY_PARAMS.CURSOR in queryParams)) {
+      return null;
+    }
+
+    let table = this.metaDb.tables[tableName];
+    if (this.getGroupByClause(tableName, queryParams)) {
+      throw new BadRequestError('Cursor pagination cannot be combined with aggregates');
+    }
+    if (!table.primaryKeys.length) {
+      throw new BadRequestError(`Cursor pagination needs a primary key on '${tableName}'`);
+    }
+
+    let keys = this._getOrderTerms(queryParams).map(term => {
+      let column = table.columns.find(c => c.column_name === term.target);
+      if (!column) {
+        throw new BadRequestError(`Cursor pagination can only order by columns of '${tableName}', got '${term.target}'`, {
+          code: CONSTANTS.POSTGREST.ERROR_PARSE
+        });
       }
-    } 
-    // Handle order parameter (PostgREST format)
-    else if (queryparams[CONSTANTS.QUERY_PARAMS.ORDER]) {
-      orderBy += ' ORDER BY ';
-      let orderByCols = queryparams[CONSTANTS.QUERY_PARAMS.ORDER].split(',');
+      return { column: term.target, direction: term.direction, nulls: term.nulls, nullable: column.is_nullable === 'YES' };
+    });
+    for (const pk of table.primaryKeys) {
+      if (!keys.find(key => key.column === pk.column_name)) {
+        keys.push({ column: pk.column_name, direction: 'ASC', nulls: null, nullable: false });
+      }
+    }
+    keys.forEach(key => this._assertSelectable(tableName, key.column, context));
 
-      for (let i = 0; i < orderByCols.length; ++i) {
-        if (i) {
-          orderBy += ', ';
-        }
+    let qualified = keys.map(key => mysql.escapeId(`${tableName}.${key.column}`));
+    let cursor = {
+      keys: keys,
+      // Key values are selected under internal aliases, so the next cursor can
+      // be built whatever the select string is
+      columns: qualified.map((col, i) => `, ${col} AS ${mysql.escapeId(CONSTANTS.PAGINATION.CURSOR_COLUMN_PREFIX + i)}`).join(''),
+      orderBy: ' ORDER BY ' + qualified.map((col, i) => this._getOrderTermSql(col, keys[i])).join(', '),
+      seek: null,
+      limit: this.getLimitClause(queryParams)[1]
+    };
 
-        let parts = orderByCols[i].split('.');
-        let col = parts[0];
-        let dir = parts.length > 1 ? parts[1].toUpperCase() : 'ASC';
+    let token = queryParams[CONSTANTS.QUERY_PARAMS.CURSOR];
+    if (token) {
+      cursor.seek = this._getSeekCondition(qualified, keys, this._decodeCursor(token, keys));
+    }
 
-        if (dir === 'DESC') {
-          orderBy += col + ' DESC';
+    return cursor;
+  }
+
+  /**
+   * Builds the opaque cursor pointing after a row fetched with getCursorPagination
+   * 
+   * @param {Object} cursor - Cursor pagination from getCursorPagination
+   * @param {Object} row - Last row of the page, including the internal key columns
+   * @returns {string} Cursor token
+   */
+  encodeCursor(cursor, row) {
+    let values = cursor.keys.map((key, i) => {
+      let value = row[CONSTANTS.PAGINATION.CURSOR_COLUMN_PREFIX + i];
+      // Dates go back to MySQL as literals, not as ISO strings
+      return value instanceof Date ? mysql.escape(value).slice(1, -1) : value;
+    });
+    let payload = { k: cursor.keys.map(key => this._getCursorKeyName(key)), v: values };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decodes a cursor token and checks it matches the requested sort key
+   * 
+   * @private
+   * @param {string} token - Cursor token
+   * @param {Array} keys - Sort key of the request
+   * @returns {Array} Key values
+   * @throws {BadRequestError} If the token is malformed, holds non scalar values or was built for another order
+   */
+  _decodeCursor(token, keys) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch (err) {
+      payload = null;
+    }
+
+    let signature = keys.map(key => this._getCursorKeyName(key));
+    if (!payload || !Array.isArray(payload.k) || !Array.isArray(payload.v) ||
+        payload.k.join(',') !== signature.join(',') || payload.v.length !== keys.length ||
+        !payload.v.every(value => value === null || ['string', 'number', 'boolean'].includes(typeof value))) {
+      throw new BadRequestError('Invalid cursor or cursor does not match the requested order', {
+        code: CONSTANTS.POSTGREST.ERROR_PARSE
+      });
+    }
+    return payload.v;
+  }
+
+  /**
+   * Names a sort key in cursor tokens, e.g. status.DESC or status.ASC.nullslast
+   * 
+   * @private
+   * @param {Object} key - Sort key
+   * @returns {string} Name
+   */
+  _getCursorKeyName(key) {
+    return `${key.column}.${key.direction}` + (key.nulls ? `.${key.nulls}` : '');
+  }
+
+  /**
+   * Builds the seek condition selecting rows after the cursor. A row
+   * constructor is used when all keys share a direction and cannot be
+   * NULL: (a, b) > (?, ?). Otherwise the condition is expanded key by key,
+   * placing NULLs where the order puts them (MySQL sorts them first
+   * ascending and last descending unless nullsfirst/nullslast is given):
+   * (a > ?) OR (a = ? AND b < ?) OR ...
+   * 
+   * @private
+   * @param {Array} qualified - Escaped key columns
+   * @param {Array} keys - Sort key
+   * @param {Array} values - Key values of the cursor
+   * @returns {Object} { query, params }
+   */
+  _getSeekCondition(qualified, keys, values) {
+    let operatorOf = key => key.direction === 'DESC' ? '<' : '>';
+
+    if (keys.every(key => key.direction === keys[0].direction && !key.nulls && !key.nullable) &&
+        values.every(value => value !== null)) {
+      return {
+        query: `(${qualified.join(', ')}) ${operatorOf(keys[0])} (${keys.map(() => '?').join(', ')})`,
+        params: values
+      };
+    }
+
+    let branches = [];
+    let params = [];
+    for (let i = 0; i < keys.length; i++) {
+      let nullsFirst = keys[i].nulls ? keys[i].nulls === 'nullsfirst' : keys[i].direction === 'ASC';
+      let after;
+      if (values[i] === null) {
+        // Only non NULL values follow a NULL placed first, nothing follows a NULL placed last
+        if (!nullsFirst) {
+          continue;
+        }
+        after = { query: `${qualified[i]} IS NOT NULL`, params: [] };
+      } else {
+        after = nullsFirst || !keys[i].nullable
+          ? { query: `${qualified[i]} ${operatorOf(keys[i])} ?`, params: [values[i]] }
+          : { query: `(${qualified[i]} ${operatorOf(keys[i])} ? OR ${qualified[i]} IS NULL)`, params: [values[i]] };
+      }
+
+      let parts = [];
+      for (let j = 0; j < i; j++) {
+        if (values[j] === null) {
+          parts.push(`${qualified[j]} IS NULL`);
         } else {
-          orderBy += col + ' ASC';
+          parts.push(`${qualified[j]} = ?`);
+          params.push(values[j]);
         }
       }
+      parts.push(after.query);
+      params.push(...after.params);
+      branches.push(`(${parts.join(' AND ')})`);
     }
+    return { query: branches.length ? `(${branches.join(' OR ')})` : '1 = 0', params: params };
+  }
 
-    return orderBy;
+  /**
+   * Parses one PostgREST order term: column[.asc|.desc][.nullsfirst|.nullslast]
+   * 
+   * @private
+   * @param {string} term - Order term, the column may be embedded: clients(name).desc
+   * @returns {Object} { target, direction, nulls }
+   * @throws {BadRequestError} On unknown modifiers
+   */
+  _parseOrderTerm(term) {
+    term = term.trim();
+    // Embedded targets contain no dots, so modifiers start after the closing parenthesis
+    let modifiersStart = term.endsWith(')') ? term.length : term.indexOf('.', term.lastIndexOf(')') + 1);
+    let target = modifiersStart === -1 ? term : term.substring(0, modifiersStart);
+    let modifiers = modifiersStart === -1 ? [] : term.substring(modifiersStart + 1).split('.').filter(m => m !== '');
+    let parsed = { target: target, direction: 'ASC', nulls: null };
+
+    for (const modifier of modifiers) {
+      let lower = modifier.toLowerCase();
+      if (lower === 'asc' || lower === 'desc') {
+        parsed.direction = lower.toUpperCase();
+      } else if (lower === 'nullsfirst' || lower === 'nullslast') {
+        parsed.nulls = lower;
+      } else {
+        throw new BadRequestError(`Invalid order modifier '${modifier}' in '${term}'`, {
+          code: CONSTANTS.POSTGREST.ERROR_PARSE
+        });
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Renders an order term. MySQL sorts NULLs first ascending and last
+   * descending, nullsfirst/nullslast are emulated with a leading IS NULL key
+   * 
+   * @private
+   * @param {string} expression - Escaped column or expression
+   * @param {Object} term - Parsed order term
+   * @returns {string} SQL order term(s)
+   */
+  _getOrderTermSql(expression, term) {
+    let sql = `${expression} ${term.direction}`;
+    if (term.nulls === 'nullsfirst') {
+      return `${expression} IS NULL DESC, ${sql}`;
+    } else if (term.nulls === 'nullslast') {
+      return `${expression} IS NULL ASC, ${sql}`;
+    }
+    return sql;
+  }
+
+  /**
+   * Builds the expression ordering rows by a column of a to-one embedded resource
+   * 
+   * @private
+   * @param {string} tableName - Table being ordered
+   * @param {string} relationName - Embedded table name
+   * @param {string} hint - Optional FK hint
+   * @param {string} columnName - Column of the embedded table
+   * @param {Object} context - JWT context for RLS of embedded resources
+   * @returns {string} Scalar subquery
+   * @throws {BadRequestError} If the relation is unknown or not to-one, or the column is unknown
+   * @throws {AuthorizationError} If the embedded table is outside the scope of an API key or the column is not granted
+   */
+  _getEmbeddedOrderExpression(tableName, relationName, hint, columnName, context) {
+    let childTable = relationName.trim();
+    let relation = this.metaDb.tables[childTable] ? this.resolveRelation(tableName, childTable, hint) : null;
+
+    if (!relation || relation.type !== 'N:1') {
+      throw new BadRequestError(`Cannot order '${tableName}' by '${childTable}': only to-one embedded resources can be used for ordering`, {
+        code: CONSTANTS.POSTGREST.ERROR_PARSE
+      });
+    }
+    if (!this.metaDb.tables[childTable].columns.find(c => c.column_name === columnName)) {
+      throw new BadRequestError(`Cannot order '${tableName}' by unknown column '${childTable}.${columnName}'`, {
+        code: CONSTANTS.POSTGREST.ERROR_UNDEFINED_COLUMN
+      });
+    }
+    tableScope.assertAllowed(context, childTable);
+    this._assertSelectable(childTable, columnName, context);
+
+    let where = this._getJoinConditions(tableName, childTable, relation, context);
+    let policy = this._getSelectPolicy(childTable, context);
+    if (policy) {
+      where.push(policy);
+    }
+    where = where.join(' AND ');
+    return `(SELECT ${mysql.escapeId(`${childTable}.${columnName}`)} FROM ${mysql.escapeId(childTable)} WHERE ${where})`;
+  }
+
+  /**
+   * Gets the output names of aliased, JSON path and aggregated select columns,
+   * which can be ordered by name
+   * 
+   * @private
+   * @param {Object} reqQueryParams - Request query parameters
+   * @returns {Array} Names
+   */
+  _getSelectAliases(reqQueryParams) {
+    return selectParser.parseSelect(this._getSelectString(reqQueryParams))
+      .filter(item => item.type === 'column' && (item.alias || item.jsonPath || item.aggregate))
+      .map(item => {
+        if (item.alias) {
+          return item.alias;
+        }
+        return item.aggregate || item.jsonPath[item.jsonPath.length - 1].key;
+      });
   }
 
   /**
@@ -112,20 +429,27 @@ class QueryBuilderService {
    * 
    * @param {string} tableName - Table name
    * @param {Object} reqQueryParams - Request query parameters
+   * @param {Object} context - JWT context for RLS of embedded resources
    * @returns {string} Column list for SELECT
    */
-  getColumnsForSelectStmt(tableName, reqQueryParams) {
-    let selectStr = '';
-    
+  getColumnsForSelectStmt(tableName, reqQueryParams, context = null) {
+    return this.resolveSelectColumns(tableName, this._getSelectString(reqQueryParams), reqQueryParams, context);
+  }
+
+  /**
+   * Gets the select string of a request (_fields, select, or '*')
+   * 
+   * @private
+   * @param {Object} reqQueryParams - Request query parameters
+   * @returns {string} Select string
+   */
+  _getSelectString(reqQueryParams) {
     if (CONSTANTS.QUERY_PARAMS.FIELDS in reqQueryParams) {
-      selectStr = reqQueryParams[CONSTANTS.QUERY_PARAMS.FIELDS];
+      return reqQueryParams[CONSTANTS.QUERY_PARAMS.FIELDS];
     } else if (CONSTANTS.QUERY_PARAMS.SELECT in reqQueryParams) {
-      selectStr = reqQueryParams[CONSTANTS.QUERY_PARAMS.SELECT];
-    } else {
-      selectStr = '*';
+      return reqQueryParams[CONSTANTS.QUERY_PARAMS.SELECT];
     }
-    
-    return this.resolveSelectColumns(tableName, selectStr);
+    return '*';
   }
 
   /**
@@ -133,9 +457,12 @@ class QueryBuilderService {
    * 
    * @param {string} tableName - Table name
    * @param {string} selectStr - Select string to parse
+   * @param {Object} queryParams - Request query parameters (embedded filters, order, limit)
+   * @param {Object} context - JWT context for RLS and column grants
    * @returns {string} Resolved column list
+   * @throws {AuthorizationError} When a selected column is not granted to the role
    */
-  resolveSelectColumns(tableName, selectStr) {
+  resolveSelectColumns(tableName, selectStr, queryParams = {}, context = null) {
     const parsed = selectParser.parseSelect(selectStr);
     let excluded = new Set();
     let hasStar = false;
@@ -156,7 +483,7 @@ class QueryBuilderService {
     }
 
     let finalCols = [];
-    let tableCols = this.metaDb.tables[tableName].columns;
+    let tableCols = this._getSelectableColumns(tableName, context);
 
     // Handle wildcard selection
     if (hasStar || explicitItems.length === 0) {
@@ -171,17 +498,18 @@ class QueryBuilderService {
     if (explicitItems.length > 0) {
       for (const item of explicitItems) {
         if (item.type === 'column') {
-          let found = tableCols.find(c => c.column_name === item.name);
-          if (found) {
-            finalCols.push(`${tableName}.${item.name}`);
+          let column = this._getColumnExpression(tableName, item);
+          if (column) {
+            this._assertSelectable(tableName, item.name, context);
+            finalCols.push(column.isPlain ? column.expression : `${column.expression} AS ${mysql.escapeId(column.name)}`);
           }
         } else if (item.type === 'relation') {
-          finalCols.push(this.getNestedQuery(tableName, item.name, item.columns, item.hint) + ` AS ${item.name}`);
+          finalCols.push(this.getNestedQuery(tableName, item.name, item.columns, item.hint, queryParams, item.name, context) + ` AS ${item.name}`);
         }
       }
     }
     
-    if (finalCols.length === 0) return ' * ';
+    if (finalCols.length === 0) return ` ${this._getSelectList(tableName, context)} `;
     
     return finalCols.join(', ');
   }
@@ -191,9 +519,13 @@ class QueryBuilderService {
    * 
    * @param {string} tableName - Table name
    * @param {string} selectStr - Select string to parse
+   * @param {Object} queryParams - Request query parameters (embedded filters, order, limit)
+   * @param {string} path - Embedded resource path of tableName, e.g. 'clients.projects'
+   * @param {Object} context - JWT context for RLS and column grants
    * @returns {string} Columns formatted for JSON_OBJECT
+   * @throws {AuthorizationError} When a selected column is not granted to the role
    */
-  resolveSelectColumnsForJson(tableName, selectStr) {
+  resolveSelectColumnsForJson(tableName, selectStr, queryParams = {}, path = tableName, context = null) {
     const parsed = selectParser.parseSelect(selectStr);
     let cols = [];
     let excluded = new Set();
@@ -214,7 +546,7 @@ class QueryBuilderService {
       }
     }
 
-    let tableCols = this.metaDb.tables[tableName].columns;
+    let tableCols = this._getSelectableColumns(tableName, context);
 
     if (hasStar || explicitItems.length === 0) {
       for (let col of tableCols) {
@@ -228,14 +560,20 @@ class QueryBuilderService {
     if (explicitItems.length > 0) {
       for (const item of explicitItems) {
         if (item.type === 'column') {
-          let found = tableCols.find(c => c.column_name === item.name);
-          if (found) {
-            cols.push(`'${item.name}'`);
-            cols.push(`${tableName}.${item.name}`);
+          if (item.aggregate) {
+            throw new BadRequestError(`Aggregates are not supported inside embedded resource '${tableName}'`, {
+              code: CONSTANTS.POSTGREST.ERROR_PARSE
+            });
+          }
+          let column = this._getColumnExpression(tableName, item);
+          if (column) {
+            this._assertSelectable(tableName, item.name, context);
+            cols.push(mysql.escape(column.name));
+            cols.push(column.expression);
           }
         } else if (item.type === 'relation') {
           cols.push(`'${item.name}'`);
-          cols.push(this.getNestedQuery(tableName, item.name, item.columns, item.hint));
+          cols.push(this.getNestedQuery(tableName, item.name, item.columns, item.hint, queryParams, path + '.' + item.name, context));
         }
       }
     }
@@ -243,31 +581,248 @@ class QueryBuilderService {
     return cols.join(', ');
   }
 
+  /**
+   * Builds the SQL expression of a selected column, applying its JSON path
+   * (data->key, data->>key), cast (column::type) and aggregate (column.sum())
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Object} item - Parsed column from selectParser
+   * @returns {Object|null} { expression, name, isPlain, isAggregate } or null if the column does not exist
+   * @throws {BadRequestError} On invalid JSON path keys, unsupported casts or aggregates
+   */
+  _getColumnExpression(tableName, item) {
+    if (item.name === '') {
+      // Bare count() counts rows, other aggregates need a column
+      if (item.aggregate !== 'count') {
+        throw new BadRequestError(`Aggregate '${item.aggregate}()' needs a column, e.g. amount.${item.aggregate}()`, {
+          code: CONSTANTS.POSTGREST.ERROR_PARSE
+        });
+      }
+      return { expression: 'COUNT(*)', name: item.alias || 'count', isPlain: false, isAggregate: true };
+    }
+
+    if (!this.metaDb.tables[tableName].columns.find(c => c.column_name === item.name)) {
+      return null;
+    }
+
+    let expression = `${tableName}.${item.name}`;
+    let name = item.name;
+
+    if (item.jsonPath) {
+      let jsonPath = '$';
+      for (const step of item.jsonPath) {
+        if (!/^\w+$/.test(step.key)) {
+          throw new BadRequestError(`Invalid JSON path key '${step.key}' on column '${item.name}'`, {
+            code: CONSTANTS.POSTGREST.ERROR_PARSE
+          });
+        }
+        jsonPath += /^\d+$/.test(step.key) ? `[${step.key}]` : `."${step.key}"`;
+        name = step.key;
+      }
+
+      // Keys are word characters only, so the path needs no escaping
+      expression = `JSON_EXTRACT(${expression}, '${jsonPath}')`;
+      // ->> returns the value as text, like PostgreSQL
+      if (item.jsonPath[item.jsonPath.length - 1].operator === '->>') {
+        expression = `JSON_UNQUOTE(${expression})`;
+      }
+    }
+
+    if (item.cast) {
+      expression = this._castExpression(expression, item.cast, item.name);
+    }
+
+    if (item.aggregate) {
+      expression = `${item.aggregate.toUpperCase()}(${expression})`;
+      name = item.aggregate;
+      if (item.aggregateCast) {
+        expression = this._castExpression(expression, item.aggregateCast, item.name);
+      }
+    }
+
+    return {
+      expression: expression,
+      name: item.alias || name,
+      isPlain: !item.alias && !item.jsonPath && !item.cast && !item.aggregate,
+      isAggregate: !!item.aggregate
+    };
+  }
+
+  /**
+   * Wraps an expression in a whitelisted CAST
+   * 
+   * @private
+   * @param {string} expression - SQL expression
+   * @param {string} cast - PostgreSQL type name from the select string
+   * @param {string} columnName - Column name, for the error message
+   * @returns {string} CAST expression
+   * @throws {BadRequestError} If the cast is not supported
+   */
+  _castExpression(expression, cast, columnName) {
+    let castType = CONSTANTS.SELECT_CASTS[cast.toLowerCase()];
+    if (!castType) {
+      throw new BadRequestError(`Unsupported cast '${cast}' on column '${columnName}'`, {
+        code: CONSTANTS.POSTGREST.ERROR_PARSE
+      });
+    }
+    return `CAST(${expression} AS ${castType})`;
+  }
+
+  /**
+   * Builds the GROUP BY clause for selects with aggregates
+   * (select=status,amount.sum()): every non-aggregated column is grouped
+   * 
+   * @param {string} tableName - Table name
+   * @param {Object} reqQueryParams - Request query parameters
+   * @returns {string} GROUP BY clause, or '' without aggregates or without grouped columns
+   */
+  getGroupByClause(tableName, reqQueryParams) {
+    const parsed = selectParser.parseSelect(this._getSelectString(reqQueryParams));
+    if (!parsed.some(item => item.type === 'column' && item.aggregate)) {
+      return '';
+    }
+
+    let excluded = new Set(parsed.filter(item => item.type === 'column' && item.name.startsWith('-'))
+      .map(item => item.name.substring(1)));
+    let groupCols = [];
+
+    for (const item of parsed) {
+      if (item.type !== 'column' || item.aggregate || item.name.startsWith('-')) {
+        continue;
+      }
+      if (item.name === '*') {
+        for (let col of this.metaDb.tables[tableName].columns) {
+          if (!excluded.has(col.column_name)) {
+            groupCols.push(`${tableName}.${col.column_name}`);
+          }
+        }
+      } else {
+        let column = this._getColumnExpression(tableName, item);
+        if (column) {
+          groupCols.push(column.expression);
+        }
+      }
+    }
+
+    return groupCols.length ? ' GROUP BY ' + groupCols.join(', ') : '';
+  }
+
   /**
    * Builds nested query for embedded resources (PostgREST-style)
    * 
+   * Embedded rows can be filtered, ordered and limited through query
+   * parameters prefixed with the embed path:
+   *   ?select=*,projects(*)&projects.status=eq.open&projects.order=created_at.desc&projects.limit=5
+   * 
    * @param {string} parentTable - Parent table name
    * @param {string} relationName - Relation name (typically child table)
    * @param {string} selectStr - Select string for nested resource
    * @param {string} hint - Optional FK hint (column name)
+   * @param {Object} queryParams - Request query parameters
+   * @param {string} path - Embed path used to prefix filters, defaults to relationName
+   * @param {Object} context - JWT context for RLS of embedded resources
    * @returns {string} Nested SELECT query
    */
-  getNestedQuery(parentTable, relationName, selectStr, hint) {
-    let childTable = relationName; 
+  getNestedQuery(parentTable, relationName, selectStr, hint, queryParams = {}, path = relationName, context = null) {
+    let childTable = relationName;
+    let relation = this.resolveRelation(parentTable, childTable, hint);
+
+    if (!relation) {
+      return `NULL`;
+    }
+
+    let cols = this.resolveSelectColumnsForJson(childTable, selectStr, queryParams, path, context);
+    let where = this._getEmbeddedWhere(parentTable, childTable, relation, selectStr, queryParams, path, context);
+
+    if (relation.type === 'N:1') {
+      // N:1 Relationship (parent has FK to child)
+      return `(SELECT JSON_OBJECT(${cols}) FROM ${childTable} WHERE ${where})`;
+    }
+
+    // 1:N Relationship (child has FK to parent), or M:N through a junction table
+    let orderBy = this._getEmbeddedOrderBy(childTable, queryParams[path + '.' + CONSTANTS.QUERY_PARAMS.ORDER], context);
+    let limit = this._getEmbeddedLimit(queryParams, path);
+
+    if (orderBy || limit) {
+      // Order and limit the child rows in a derived table aliased as the child
+      // table itself, so column references stay valid. Needs MySQL 8.0.14+ for
+      // the outer reference inside the derived table and window aggregates.
+      let source = `(SELECT ${childTable}.* FROM ${childTable} WHERE ${where}${orderBy}${limit}) AS ${childTable}`;
+      if (!orderBy) {
+        return `(SELECT CAST(COALESCE(JSON_ARRAYAGG(JSON_OBJECT(${cols})), '[]') AS JSON) FROM ${source})`;
+      }
+
+      // JSON_ARRAYAGG does not keep the order of the derived table. As a running
+      // aggregate over an ordered window it adds the rows in window order, so
+      // the last row of the window holds the whole array in order
+      let window = `WINDOW w AS (${orderBy.trim()} ROWS UNBOUNDED PRECEDING)`;
+      let ordered = `(SELECT JSON_ARRAYAGG(JSON_OBJECT(${cols})) OVER w AS _embed_json, ROW_NUMBER() OVER w AS _embed_row ` +
+        `FROM ${source} ${window}) AS _embed_ordered`;
+      return `(SELECT CAST(COALESCE((SELECT _embed_json FROM ${ordered} ORDER BY _embed_row DESC LIMIT 1), '[]') AS JSON))`;
+    }
+
+    return `(SELECT CAST(COALESCE(JSON_ARRAYAGG(JSON_OBJECT(${cols})), '[]') AS JSON) FROM ${childTable} WHERE ${where})`;
+  }
+
+  /**
+   * Builds the conditions that drop rows without matching embedded
+   * resources, for every relation marked as !inner in the select string
+   * 
+   * @param {string} tableName - Table owning the select string
+   * @param {string} selectStr - Select string to parse
+   * @param {Object} queryParams - Request query parameters
+   * @param {string} path - Embed path of tableName ('' for the top-level table)
+   * @param {Object} context - JWT context for RLS of embedded resources
+   * @returns {string} EXISTS conditions joined with AND, or '' if none
+   */
+  getInnerJoinWhereClause(tableName, selectStr, queryParams = {}, path = '', context = null) {
+    let conditions = [];
+
+    for (const item of selectParser.parseSelect(selectStr)) {
+      if (item.type !== 'relation' || item.joinType !== 'inner') {
+        continue;
+      }
+
+      let relation = this.resolveRelation(tableName, item.name, item.hint);
+      if (!relation) {
+        continue;
+      }
+
+      let childPath = path ? path + '.' + item.name : item.name;
+      let where = this._getEmbeddedWhere(tableName, item.name, relation, item.columns, queryParams, childPath, context);
+      conditions.push(`EXISTS (SELECT 1 FROM ${item.name} WHERE ${where})`);
+    }
+
+    return conditions.join(' AND ');
+  }
+
+  /**
+   * Resolves the foreign key linking a parent table to an embedded table
+   * 
+   * @param {string} parentTable - Parent table name
+   * @param {string} childTable - Embedded table name
+   * @param {string} hint - Optional FK hint (FK column or constraint name, or junction table name for M:N)
+   * @returns {Object|null} { type: '1:N'|'N:1', fk }, { type: 'M:N', junction, fkToParent, fkToChild }
+   *   or null if not related
+   */
+  resolveRelation(parentTable, childTable, hint) {
     let fks = this.metaDb.tables[childTable] && this.metaDb.tables[childTable].foreignKeys;
     let parentFks = this.metaDb.tables[parentTable] && this.metaDb.tables[parentTable].foreignKeys;
     
     let fkToParent = null;
     let fkToChild = null;
+    let matchesHint = fk => fk.constraint_name === hint ||
+      dataHelp.getForeignKeyColumns(fk).some(col => col.column_name === hint);
     
     if (hint) {
       // Explicit hint: check if it's FK in parent pointing to child
       if (parentFks) {
-        fkToChild = parentFks.find(fk => fk.column_name === hint && fk.referenced_table_name === childTable);
+        fkToChild = parentFks.find(fk => matchesHint(fk) && fk.referenced_table_name === childTable);
       }
       // If not found, check if it's FK in child pointing to parent
       if (!fkToChild && fks) {
-        fkToParent = fks.find(fk => fk.column_name === hint && fk.referenced_table_name === parentTable);
+        fkToParent = fks.find(fk => matchesHint(fk) && fk.referenced_table_name === parentTable);
       }
     } else {
       // Auto-detect relationship
@@ -276,18 +831,258 @@ class QueryBuilderService {
     }
 
     if (fkToParent) {
-      // 1:N Relationship (child has FK to parent)
-      let cols = this.resolveSelectColumnsForJson(childTable, selectStr);
-      let pk = this.metaDb.tables[parentTable].primaryKeys[0].column_name;
-      return `(SELECT CAST(COALESCE(JSON_ARRAYAGG(JSON_OBJECT(${cols})), '[]') AS JSON) FROM ${childTable} WHERE ${childTable}.${fkToParent.column_name} = ${parentTable}.${pk})`;
+      return { type: '1:N', fk: fkToParent };
     } else if (fkToChild) {
-      // N:1 Relationship (parent has FK to child)
-      let cols = this.resolveSelectColumnsForJson(childTable, selectStr);
-      let pk = this.metaDb.tables[childTable].primaryKeys[0].column_name;
-      return `(SELECT JSON_OBJECT(${cols}) FROM ${childTable} WHERE ${childTable}.${pk} = ${parentTable}.${fkToChild.column_name})`;
+      return { type: 'N:1', fk: fkToChild };
     }
-    
-    return `NULL`;
+
+    // No direct FK: look for a junction table (M:N)
+    let junctions = this._findJunctions(parentTable, childTable);
+    if (hint) {
+      junctions = junctions.filter(j => j.junction === hint || matchesHint(j.fkToParent) || matchesHint(j.fkToChild));
+    }
+
+    if (junctions.length > 1) {
+      throw new BadRequestError(`Could not embed '${childTable}' from '${parentTable}': more than one junction table found`, {
+        code: CONSTANTS.POSTGREST.ERROR_AMBIGUOUS_EMBED,
+        hint: `Disambiguate with a hint, e.g. ${childTable}!${junctions[0].junction}(*)`
+      });
+    }
+    if (junctions.length === 1) {
+      return Object.assign({ type: 'M:N' }, junctions[0]);
+    }
+    return null;
+  }
+
+  /**
+   * Finds junction tables linking two tables: tables with a FK to each of
+   * them where all FK columns are part of the junction's primary key
+   * 
+   * @private
+   * @param {string} parentTable - Parent table name
+   * @param {string} childTable - Embedded table name
+   * @returns {Array} [{ junction, fkToParent, fkToChild }]
+   */
+  _findJunctions(parentTable, childTable) {
+    let junctions = [];
+
+    for (const tableName in this.metaDb.tables) {
+      if (tableName === parentTable || tableName === childTable) {
+        continue;
+      }
+
+      let table = this.metaDb.tables[tableName];
+      let pkCols = table.primaryKeys.map(pk => pk.column_name);
+      let inPk = fk => dataHelp.getForeignKeyColumns(fk).every(col => pkCols.includes(col.column_name));
+      let toParent = table.foreignKeys.filter(fk => fk.referenced_table_name === parentTable && inPk(fk));
+      let toChild = table.foreignKeys.filter(fk => fk.referenced_table_name === childTable && inPk(fk));
+
+      for (const fkToParent of toParent) {
+        for (const fkToChild of toChild) {
+          if (fkToParent !== fkToChild) {
+            junctions.push({ junction: tableName, fkToParent: fkToParent, fkToChild: fkToChild });
+          }
+        }
+      }
+    }
+
+    return junctions;
+  }
+
+  /**
+   * Builds the WHERE conditions of an embedded subquery: the join to the
+   * parent row, embedded filters (path.column=op.value) and nested !inner embeds
+   * 
+   * @private
+   * @returns {string} Conditions joined with AND
+   * @throws {AuthorizationError} If the embedded table is outside the scope of an API key or a filtered column is not granted
+   */
+  _getEmbeddedWhere(parentTable, childTable, relation, selectStr, queryParams, path, context) {
+    tableScope.assertAllowed(context, childTable);
+    let conditions = this._getJoinConditions(parentTable, childTable, relation, context);
+
+    // Embedded rows are limited by the SELECT policies of their own table
+    let policy = this._getSelectPolicy(childTable, context);
+    if (policy) {
+      conditions.push(policy);
+    }
+
+    // Filters are inlined (escaped) because nested queries are plain SQL fragments
+    let filters = postgrestHelp.getWhereClause(queryParams, path, this.metaDb.tables[childTable], childTable);
+    filters.columns.forEach(column => this._assertSelectable(childTable, column, context));
+    if (filters.query) {
+      conditions.push(mysql.format(filters.query, filters.params));
+    }
+
+    let inner = this.getInnerJoinWhereClause(childTable, selectStr, queryParams, path, context);
+    if (inner) {
+      conditions.push(inner);
+    }
+
+    return conditions.join(' AND ');
+  }
+
+  /**
+   * Builds the conditions joining embedded rows to their parent row
+   * 
+   * @private
+   * @param {string} parentTable - Parent table name
+   * @param {string} childTable - Embedded table name
+   * @param {Object} relation - Relation from resolveRelation
+   * @param {Object} context - JWT context for RLS of the junction table
+   * @returns {Array} Join conditions
+   */
+  _getJoinConditions(parentTable, childTable, relation, context = null) {
+    let conditions = [];
+
+    if (relation.type === 'M:N') {
+      let junction = relation.junction;
+      tableScope.assertAllowed(context, junction);
+      let toChild = dataHelp.getForeignKeyColumns(relation.fkToChild);
+      let toParent = dataHelp.getForeignKeyColumns(relation.fkToParent);
+      let childCols = this._toTuple(toChild.map(col => `${childTable}.${col.referenced_column_name}`));
+      let junctionCols = toChild.map(col => `${junction}.${col.column_name}`).join(', ');
+      let junctionWhere = toParent.map(col =>
+        `${junction}.${col.column_name} = ${parentTable}.${col.referenced_column_name}`
+      );
+      let junctionPolicy = this._getSelectPolicy(junction, context);
+      if (junctionPolicy) {
+        junctionWhere.push(junctionPolicy);
+      }
+      junctionWhere = junctionWhere.join(' AND ');
+      conditions.push(`${childCols} IN (SELECT ${junctionCols} FROM ${junction} WHERE ${junctionWhere})`);
+    } else if (relation.type === '1:N') {
+      for (const col of dataHelp.getForeignKeyColumns(relation.fk)) {
+        conditions.push(`${childTable}.${col.column_name} = ${parentTable}.${col.referenced_column_name}`);
+      }
+    } else {
+      for (const col of dataHelp.getForeignKeyColumns(relation.fk)) {
+        conditions.push(`${childTable}.${col.referenced_column_name} = ${parentTable}.${col.column_name}`);
+      }
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Gets the RLS SELECT condition of a table used inside an embedded subquery
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {string|null} Parenthesized condition or null if the table has no SELECT policies
+   */
+  _getSelectPolicy(tableName, context) {
+    let clause = this.rlsService && this.rlsService.getPolicyWhereClause(tableName, CONSTANTS.RLS_OPERATIONS.SELECT, context);
+    return clause ? `(${clause})` : null;
+  }
+
+  /**
+   * Gets the columns of a table the role may select, all of them without column grants
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {Array} Column metadata
+   */
+  _getSelectableColumns(tableName, context) {
+    let columns = this.metaDb.tables[tableName].columns;
+    return this.columnGrantService
+      ? this.columnGrantService.filterColumns(tableName, columns, CONSTANTS.COLUMN_PRIVILEGES.SELECT, context)
+      : columns;
+  }
+
+  /**
+   * Fails when an explicitly selected column is not granted to the role
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name, '' for a bare count()
+   * @param {Object} context - JWT context carrying the role claim
+   * @throws {AuthorizationError} When the column is not granted
+   */
+  _assertSelectable(tableName, columnName, context) {
+    if (this.columnGrantService && columnName) {
+      this.columnGrantService.assertAllowed(tableName, [columnName], CONSTANTS.COLUMN_PRIVILEGES.SELECT, context);
+    }
+  }
+
+  /**
+   * Gets the select list returning whole rows, '*' unless the columns are restricted
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {string} Select list
+   */
+  _getSelectList(tableName, context) {
+    return this.columnGrantService
+      ? this.columnGrantService.getSelectList(tableName, this.metaDb.tables[tableName].columns, context)
+      : '*';
+  }
+
+  /**
+   * Renders a column list as a row constructor, single columns stay bare
+   * 
+   * @private
+   * @param {Array} columns - Qualified column names
+   * @returns {string} 'a' or '(a, b)'
+   */
+  _toTuple(columns) {
+    return columns.length === 1 ? columns[0] : `(${columns.join(', ')})`;
+  }
+
+  /**
+   * Builds the ORDER BY clause of embedded rows from path.order=col.desc.nullslast,col2
+   * 
+   * @private
+   * @param {string} childTable - Embedded table name
+   * @param {string} orderStr - Value of the path.order parameter
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {string} ORDER BY clause or ''
+   * @throws {AuthorizationError} When an ordered column is not granted to the role
+   */
+  _getEmbeddedOrderBy(childTable, orderStr, context = null) {
+    if (!orderStr) {
+      return '';
+    }
+
+    let columns = this.metaDb.tables[childTable].columns;
+    let terms = postgrestHelp.splitTopLevel(orderStr).map(termStr => {
+      let term = this._parseOrderTerm(termStr);
+      if (!columns.find(c => c.column_name === term.target)) {
+        throw new BadRequestError(`Cannot order embedded '${childTable}' by unknown column '${term.target}'`, {
+          code: CONSTANTS.POSTGREST.ERROR_UNDEFINED_COLUMN
+        });
+      }
+      this._assertSelectable(childTable, term.target, context);
+      return this._getOrderTermSql(mysql.escapeId(`${childTable}.${term.target}`), term);
+    });
+
+    return ' ORDER BY ' + terms.join(', ');
+  }
+
+  /**
+   * Builds the LIMIT clause of embedded rows from path.limit / path.offset
+   * 
+   * @private
+   * @param {Object} queryParams - Request query parameters
+   * @param {string} path - Embed path
+   * @returns {string} LIMIT clause or ''
+   */
+  _getEmbeddedLimit(queryParams, path) {
+    let limit = queryParams[path + '.' + CONSTANTS.QUERY_PARAMS.LIMIT];
+    let offset = queryParams[path + '.' + CONSTANTS.QUERY_PARAMS.OFFSET];
+
+    if (limit === undefined && offset === undefined) {
+      return '';
+    }
+    if ((limit !== undefined && !/^\d+$/.test(limit)) || (offset !== undefined && !/^\d+$/.test(offset))) {
+      throw new BadRequestError(`Invalid limit or offset for embedded '${path}'`);
+    }
+
+    // MySQL has no OFFSET without LIMIT, use the largest row count instead
+    return ` LIMIT ${parseInt(offset || 0)}, ${limit !== undefined ? parseInt(limit) : '18446744073709551615'}`;
   }
 
   /**
@@ -342,33 +1137,48 @@ class QueryBuilderService {
   }
 
   /**
-   * Builds WHERE clause for foreign key relationship
+   * Builds WHERE clause for foreign key relationship. For composite foreign
+   * keys parentId holds the referenced values joined with ___ in constraint order
    * 
    * @param {string} parentTable - Parent table name
    * @param {string} parentId - Parent ID value
    * @param {string} childTable - Child table name
-   * @returns {string} WHERE clause
+   * @returns {string|null} WHERE clause or null if the values do not match the key
    */
   getForeignKeyWhereClause(parentTable, parentId, childTable) {
-    let whereValue = '';
     let fks = this.metaDb.tables[childTable].foreignKeys;
     let fk = dataHelp.findObjectInArrayByKey('referenced_table_name', parentTable, fks);
-    let whereCol = fk['column_name'];
-    let colType = this.getColumnType(fk);
-
-    if (colType === 'string') {
-      whereValue = mysql.escape(parentId);
-    } else if (colType === 'int') {
-      whereValue = mysql.escape(parseInt(parentId));
-    } else if (colType === 'float') {
-      whereValue = mysql.escape(parseFloat(parentId));
-    } else if (colType === 'date') {
-      whereValue = mysql.escape(Date(parentId));
-    } else {
-      assert(false, 'Unhandled column type in foreign key handling');
+    if (!fk) {
+      return null;
+    }
+
+    let fkCols = dataHelp.getForeignKeyColumns(fk);
+    let values = fkCols.length > 1 ? String(parentId).split('___') : [parentId];
+    if (values.length !== fkCols.length) {
+      return null;
+    }
+
+    let conditions = [];
+    for (let i = 0; i < fkCols.length; ++i) {
+      let whereValue = '';
+      let colType = this.getColumnType(fkCols[i]);
+
+      if (colType === 'string') {
+        whereValue = mysql.escape(values[i]);
+      } else if (colType === 'int') {
+        whereValue = mysql.escape(parseInt(values[i]));
+      } else if (colType === 'float') {
+        whereValue = mysql.escape(parseFloat(values[i]));
+      } else if (colType === 'date') {
+        whereValue = mysql.escape(Date(values[i]));
+      } else {
+        assert(false, 'Unhandled column type in foreign key handling');
+      }
+
+      conditions.push(fkCols[i]['column_name'] + ' = ' + whereValue);
     }
 
-    return whereCol + ' = ' + whereValue;
+    return conditions.join(' and ');
   }
 
   /**
@@ -1,6 +1,7 @@
 'use strict';
 
 const CONSTANTS = require('../constants');
+const roleHelp = require('../../util/role.helper.js');
 
 /**
  * Row Level Security (RLS) Service
@@ -11,9 +12,16 @@ const CONSTANTS = require('../constants');
  */
 class RlsService {
   
-  constructor(connectionManager) {
+  /**
+   * @param {Object} connectionManager - Database connection manager
+   * @param {string|Array} bypassRoles - JWT roles not subject to policies (comma separated or array)
+   * @param {Object} roleOptions - { roleClaim, anonRole }, see role.helper getRole
+   */
+  constructor(connectionManager, bypassRoles = CONSTANTS.RLS_BYPASS_ROLE, roleOptions = {}) {
     this.connectionManager = connectionManager;
     this.rlsPolicies = {}; // Cache for RLS policies
+    this.bypassRoles = this.parseRoles(bypassRoles) || [];
+    this.roleOptions = roleOptions;
   }
 
   /**
@@ -25,6 +33,8 @@ class RlsService {
   async ensureRlsPoliciesTable() {
     try {
       await this.connectionManager.executeQuery(CONSTANTS.RLS_TABLE.SCHEMA, []);
+      await this._migrateRlsPoliciesTable();
+      await this.connectionManager.executeQuery(CONSTANTS.RLS_AUDIT_TABLE.SCHEMA, []);
       console.log('RLS policies table ready');
     } catch (err) {
       console.error('Failed to create _rls_policies table:', err.message);
@@ -32,6 +42,29 @@ class RlsService {
     }
   }
 
+  /**
+   * Adds the columns of CONSTANTS.RLS_TABLE.MIGRATIONS missing from a policies
+   * table created by an earlier version. Existing policies become permissive
+   * policies for every role.
+   * 
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _migrateRlsPoliciesTable() {
+    const columns = await this.connectionManager.executeQuery(
+      'SELECT column_name AS name FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ?',
+      [CONSTANTS.RLS_TABLE.NAME]
+    );
+    const existing = columns.map(c => c.name.toLowerCase());
+
+    for (const column of Object.keys(CONSTANTS.RLS_TABLE.MIGRATIONS)) {
+      if (!existing.includes(column)) {
+        await this.connectionManager.executeQuery(CONSTANTS.RLS_TABLE.MIGRATIONS[column], []);
+        console.log(`Added column ${column} to ${CONSTANTS.RLS_TABLE.NAME}`);
+      }
+    }
+  }
+
   /**
    * Loads RLS policies from database into memory cache
    * Groups policies by table and operation for efficient lookup
@@ -49,6 +82,7 @@ class RlsService {
       this.rlsPolicies = {};
       for (const policy of results) {
         const tableName = policy.table_name;
+        policy.roles = this.parseRoles(policy.roles);
         
         if (!this.rlsPolicies[tableName]) {
           this.rlsPolicies[tableName] = {
@@ -86,28 +120,116 @@ class RlsService {
     return this.loadRlsPolicies();
   }
 
+  /**
+   * Checks whether any table has enabled policies for the requesting role
+   * 
+   * @param {Object} context - JWT context, a bypass role is never subject to policies
+   * @returns {boolean} True if at least one policy is loaded and the role does not bypass them
+   */
+  hasPolicies(context = null) {
+    return Object.keys(this.rlsPolicies).length > 0 && !this.isBypassed(context);
+  }
+
+  /**
+   * Checks whether the role of the request bypasses RLS
+   * 
+   * @param {Object} context - JWT context
+   * @returns {boolean} True for roles listed in bypassRoles
+   */
+  isBypassed(context) {
+    const role = this.getRole(context);
+    return role !== null && this.bypassRoles.includes(role);
+  }
+
   /**
    * Gets the WHERE clause for RLS policies
+   * Permissive policies are combined with OR, restrictive policies with AND.
+   * Only policies for the role of the request (or for every role) apply; when the
+   * table has policies for the operation but none applies, no row is visible.
    * 
    * @param {string} tableName - Table name
    * @param {string} operation - Operation type (SELECT, INSERT, UPDATE, DELETE)
+   * @param {Object} context - JWT context carrying the role claim
    * @returns {string|null} WHERE clause or null if no policies
    */
-  getPolicyWhereClause(tableName, operation) {
-    if (!this.rlsPolicies[tableName]) {
+  getPolicyWhereClause(tableName, operation, context = null) {
+    return this._combinePolicies(tableName, operation, context, p => p.using_expression);
+  }
+
+  /**
+   * Gets the WITH CHECK condition that new row states of an INSERT or UPDATE must satisfy
+   * Like PostgreSQL, a policy without check_expression checks its using_expression
+   * 
+   * @param {string} tableName - Table name
+   * @param {string} operation - Operation type (INSERT, UPDATE)
+   * @param {Object} context - JWT context carrying the role claim
+   * @returns {string|null} Condition or null if no policies
+   */
+  getPolicyCheckClause(tableName, operation, context = null) {
+    return this._combinePolicies(tableName, operation, context, p => p.check_expression || p.using_expression);
+  }
+
+  /**
+   * Combines the policies of a table and operation applying to the role of the request
+   * 
+   * @private
+   * @param {string} tableName - Table name
+   * @param {string} operation - Operation type
+   * @param {Object} context - JWT context carrying the role claim
+   * @param {Function} getExpression - Picks the expression of a policy
+   * @returns {string|null} Condition, 'FALSE' when no permissive policy applies, or null if unrestricted
+   */
+  _combinePolicies(tableName, operation, context, getExpression) {
+    if (!this.rlsPolicies[tableName] || this.isBypassed(context)) {
       return null;
     }
-    
+
     const policies = this.rlsPolicies[tableName][operation] || [];
     if (policies.length === 0) {
       return null;
     }
-    
-    // Combine all policies with AND (all must pass)
-    const conditions = policies.map(p => `(${p.using_expression})`);
+
+    const role = this.getRole(context);
+    const applicable = policies.filter(p => !p.roles || p.roles.length === 0 || p.roles.includes(role));
+    const permissive = applicable.filter(p => p.permissive !== CONSTANTS.RLS_POLICY_TYPES.RESTRICTIVE);
+    const restrictive = applicable.filter(p => p.permissive === CONSTANTS.RLS_POLICY_TYPES.RESTRICTIVE);
+
+    // Like PostgreSQL, restrictive policies alone grant nothing
+    if (permissive.length === 0) {
+      return 'FALSE';
+    }
+
+    const conditions = permissive.length === 1
+      ? [`(${getExpression(permissive[0])})`]
+      : ['(' + permissive.map(p => `(${getExpression(p)})`).join(' OR ') + ')'];
+    restrictive.forEach(p => conditions.push(`(${getExpression(p)})`));
     return conditions.join(' AND ');
   }
 
+  /**
+   * Gets the role of the request
+   * 
+   * @param {Object} context - JWT context
+   * @returns {string|null} Value of the configured role claim, else the anonymous role
+   */
+  getRole(context) {
+    return roleHelp.getRole(context, this.roleOptions);
+  }
+
+  /**
+   * Splits a comma separated role list
+   * 
+   * @param {string|Array} roles - Roles
+   * @returns {Array|null} Role names or null when empty (the policy applies to every role)
+   */
+  parseRoles(roles) {
+    if (!roles) {
+      return null;
+    }
+    const list = (Array.isArray(roles) ? roles : String(roles).split(',')).map(r => String(r).trim()).filter(r => r);
+    return list.length ? list : null;
+  }
+
   /**
    * Injects RLS policy into an existing WHERE clause
    * Handles cases where WHERE clause may or may not exist
@@ -116,19 +238,22 @@ class RlsService {
    * @param {string} tableName - Table name
    * @param {string} operation - Operation type (SELECT, INSERT, UPDATE, DELETE)
    * @param {string} prefix - Prefix to use if creating new WHERE clause (e.g., ' where ', ' WHERE ')
+   * @param {Object} context - JWT context carrying the role claim
    * @returns {void} - Modifies whereObj in place
    */
-  injectPolicyIntoWhere(whereObj, tableName, operation, prefix = ' where ') {
-    const rlsClause = this.getPolicyWhereClause(tableName, operation);
+  injectPolicyIntoWhere(whereObj, tableName, operation, prefix = ' where ', context = null) {
+    const rlsClause = this.getPolicyWhereClause(tableName, operation, context);
     
     if (!rlsClause) {
       return; // No policies to inject
     }
     
     if (whereObj.query) {
-      // WHERE clause already exists, combine with AND
-      const whereRegex = /\s*where\s+/i;
-      whereObj.query = whereObj.query.replace(whereRegex, `${prefix}(${rlsClause}) AND `);
+      // WHERE clause already exists, combine with AND. The existing condition is
+      // parenthesized so an OR in it cannot escape the policy
+      const where = whereObj.query.match(/^\s*where\s+/i);
+      const condition = where ? whereObj.query.slice(where[0].length) : whereObj.query;
+      whereObj.query = `${prefix}(${rlsClause}) AND (${condition})`;
     } else {
       // No WHERE clause, create one with just the RLS policy
       whereObj.query = `${prefix}${rlsClause}`;
@@ -142,10 +267,11 @@ class RlsService {
    * @param {string} tableName - Table name
    * @param {string} operation - Operation type (SELECT, UPDATE, DELETE)
    * @param {string} pkClause - Primary key WHERE clause (e.g., "id = 123")
+   * @param {Object} context - JWT context carrying the role claim
    * @returns {string} Complete WHERE clause
    */
-  buildWhereWithPolicy(tableName, operation, pkClause) {
-    const rlsClause = this.getPolicyWhereClause(tableName, operation);
+  buildWhereWithPolicy(tableName, operation, pkClause, context = null) {
+    const rlsClause = this.getPolicyWhereClause(tableName, operation, context);
     
     if (rlsClause) {
       return `(${rlsClause}) AND ${pkClause}`;
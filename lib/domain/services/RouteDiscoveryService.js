@@ -1,5 +1,7 @@
 'use strict';
 
+const dataHelp = require('../../util/data.helper.js');
+
 /**
  * Route Discovery Service
  * Handles route generation and discovery based on database schema
@@ -252,12 +254,16 @@ class RouteDiscoveryService {
     const routes = [];
 
     for (const fk of table.foreignKeys) {
+      const fkColumns = dataHelp.getForeignKeyColumns(fk);
       routes.push({
         type: 'foreign_key',
+        constraintName: fk.constraint_name,
         parentTable: fk.referenced_table_name,
         childTable: fk.table_name,
         foreignKey: fk.column_name,
         referencedKey: fk.referenced_column_name,
+        foreignKeys: fkColumns.map(col => col.column_name),
+        referencedKeys: fkColumns.map(col => col.referenced_column_name),
         url: `${baseUrl}${fk.referenced_table_name}/:id/${fk.table_name}`
       });
     }
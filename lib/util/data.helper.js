@@ -35,11 +35,30 @@ exports.findObjectInArrayByKey = (key, value, objArray) => {
 
 };
 
+/**
+ * Returns the ordered column pairs of a foreign key constraint
+ * @param {object} fk - Foreign key metadata (grouped by constraint_name)
+ * @returns {Array} - [{ column_name, referenced_column_name, data_type, column_type }]
+ */
+exports.getForeignKeyColumns = function (fk) {
+  if (fk.columns && fk.columns.length) {
+    return fk.columns;
+  }
+
+  // Single column foreign keys described without a column list
+  return [{
+    column_name: fk.column_name,
+    referenced_column_name: fk.referenced_column_name,
+    data_type: fk.data_type,
+    column_type: fk.column_type
+  }];
+};
+
 exports.getSchemaQuery = function () {
   return 'select c.table_name, c.column_name, c.ordinal_position,c.column_key,c.is_nullable, c.data_type, c.column_type,c.extra,c.privileges, ' +
     'c.column_comment,c.column_default,c.data_type,c.character_maximum_length, ' +
-    'k.constraint_name, k.referenced_table_name, k.referenced_column_name, ' +
-    's.index_name,s.seq_in_index ' +
+    'k.constraint_name, k.ordinal_position as constraint_ordinal_position, k.referenced_table_name, k.referenced_column_name, ' +
+    's.index_name,s.seq_in_index,s.index_type,s.non_unique ' +
     'from ' +
     'information_schema.columns as c ' +
     'left join ' +
@@ -60,6 +79,11 @@ exports.getSchemaQuery = function () {
     'c.table_name, c.ordinal_position';
 };
 
+exports.getPlannedRowCountQuery = function () {
+  return 'select table_rows as no_of_rows from information_schema.tables ' +
+    'where table_schema = database() and table_name = ?';
+};
+
 exports.getProceduresQuery = function () {
   return 'SELECT ' +
     'R.ROUTINE_NAME, ' +
@@ -11,7 +11,17 @@ function mapType(mysqlType) {
     return 'string';
 }
 
-exports.generate = function(metaDb, hostBaseUrl) {
+/**
+ * Generates the OpenAPI document of the tables and routines
+ *
+ * @param {Object} metaDb - Schema metadata
+ * @param {string} hostBaseUrl - Base URL of the API
+ * @param {Function} getPrivileges - Optional (tableName, columnName) => { select, insert, update }
+ *   of the requesting role; columns without any privilege are left out, the others are
+ *   marked readOnly or writeOnly
+ * @returns {Object} OpenAPI 3 document
+ */
+exports.generate = function(metaDb, hostBaseUrl, getPrivileges = null) {
     let spec = {
         openapi: '3.0.0',
         info: {
@@ -50,10 +60,20 @@ exports.generate = function(metaDb, hostBaseUrl) {
         let required = [];
         
         table.columns.forEach(col => {
+            const privileges = getPrivileges ? getPrivileges(tableName, col.column_name) : null;
+            if (privileges && !privileges.select && !privileges.insert && !privileges.update) {
+                return;
+            }
+
             properties[col.column_name] = {
                 type: mapType(col.data_type),
                 description: col.column_type
             };
+            if (privileges && !privileges.insert && !privileges.update) {
+                properties[col.column_name].readOnly = true;
+            } else if (privileges && !privileges.select) {
+                properties[col.column_name].writeOnly = true;
+            }
             if (col.is_nullable === 'NO' && col.column_default === null && col.column_key !== 'PRI') { // Simple heuristic
                 required.push(col.column_name);
             }
@@ -1,5 +1,27 @@
 'use strict';
 
+const CONSTANTS = require('../domain/constants.js');
+const { BadRequestError } = require('../domain/errors');
+
+// Query parameters that are never treated as column filters
+const RESERVED_KEYS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns', 'cursor'];
+
+// Query parameters holding a logic tree, e.g. or=(a.eq.1,b.eq.2)
+const LOGIC_KEYS = ['or', 'and', 'not.or', 'not.and'];
+
+// Operators accepting the (any) / (all) quantifiers, e.g. like(any).{a*,b*}
+const QUANTIFIABLE_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'match', 'imatch'];
+
+// Full-text search operators, mapped to MATCH ... AGAINST
+const FTS_OPERATORS = ['fts', 'plfts', 'phfts', 'wfts'];
+
+/**
+ * Builds a PostgREST style 400 error for unparseable filters
+ */
+function parseError(message, details = {}) {
+  return new BadRequestError(message, Object.assign({ code: CONSTANTS.POSTGREST.ERROR_PARSE }, details));
+}
+
 /**
  * Converts PostgREST boolean values to MySQL boolean values
  * PostgREST uses: true/false
@@ -24,102 +46,434 @@ function getComparisonOperator(operator) {
     case 'neq': return '!=';
     case 'like': return 'LIKE';
     case 'ilike': return 'LIKE'; // MySQL LIKE is often case-insensitive depending on collation
+    case 'match': return 'REGEXP';
+    case 'imatch': return 'REGEXP';
     case 'is': return 'IS';
     case 'in': return 'IN';
+    case 'isdistinct': return '<=>';
+    case 'fts':
+    case 'plfts':
+    case 'phfts':
+    case 'wfts':
+      return 'MATCH';
     default: return null;
   }
 }
 
 /**
- * Parses a single condition value like "eq.123"
+ * Splits a string on top level commas, ignoring commas nested
+ * in parentheses or enclosed in double quotes
+ * Example: 'a.eq.1,and(b.eq.2,c.eq.3)' -> ['a.eq.1', 'and(b.eq.2,c.eq.3)']
  */
-function parseCondition(key, value) {
-  const parts = value.split('.');
-  if (parts.length < 2) return null;
+function splitTopLevel(str) {
+  const parts = [];
+  let buffer = '';
+  let depth = 0;
+  let inQuotes = false;
 
-  const operator = parts[0];
-  let val = parts.slice(1).join('.'); // Rejoin the rest in case value contained dots
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
 
-  const sqlOp = getComparisonOperator(operator);
-  if (!sqlOp) return null;
+    if (inQuotes) {
+      buffer += char;
+      if (char === '\\' && i + 1 < str.length) {
+        buffer += str[++i];
+      } else if (char === '"') {
+        inQuotes = false;
+      }
+      continue;
+    }
 
-  // Handle special cases
-  if (operator === 'in') {
-    // value should be like (1,2,3)
-    if (val.startsWith('(') && val.endsWith(')')) {
-      val = val.slice(1, -1).split(',').map(v => convertBoolean(v.trim()));
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === '(' || char === '{') {
+      depth++;
+    } else if (char === ')' || char === '}') {
+      depth--;
+      if (depth < 0) {
+        throw parseError(`Unbalanced parentheses in "${str}"`);
+      }
+    } else if (char === ',' && depth === 0) {
+      parts.push(buffer);
+      buffer = '';
+      continue;
+    }
+    buffer += char;
+  }
+
+  if (inQuotes || depth !== 0) {
+    throw parseError(`Unbalanced parentheses or quotes in "${str}"`);
+  }
+
+  parts.push(buffer);
+  return parts;
+}
+
+/**
+ * Removes PostgREST double quotes around a value, e.g. "Doe, John" -> Doe, John
+ */
+function unquote(value) {
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return value;
+}
+
+/**
+ * Parses a list value like (1,2,3) or {a*,b*} into an array
+ */
+function parseList(val) {
+  if ((val.startsWith('(') && val.endsWith(')')) || (val.startsWith('{') && val.endsWith('}'))) {
+    val = val.slice(1, -1);
+  }
+  return val.trim() === '' ? [] : splitTopLevel(val).map(v => convertBoolean(unquote(v.trim())));
+}
+
+/**
+ * Converts a PostgreSQL tsquery ('fat & rat | !cat') to a MySQL boolean mode query
+ */
+function tsqueryToBoolean(value) {
+  const toTerm = (term) => {
+    term = term.trim().replace(/^'(.*)'$/, '$1').replace(/:\*$/, '*');
+    return term.startsWith('!') ? '-' + term.substring(1) : '+' + term;
+  };
+
+  const alternatives = value.split('|')
+    .map(alt => alt.split('&').filter(t => t.trim()).map(toTerm).join(' '))
+    .filter(alt => alt.length > 0);
+
+  if (alternatives.length === 1) {
+    return alternatives[0];
+  }
+  return alternatives.map(alt => `(${alt})`).join(' ');
+}
+
+/**
+ * Converts a websearch style query ('"sad cat" or fat -rat') to a MySQL boolean mode query
+ */
+function websearchToBoolean(value) {
+  const tokens = value.match(/-?"[^"]*"|\S+/g) || [];
+  const parts = [];
+  let nextOptional = false;
+
+  for (const token of tokens) {
+    if (token.toLowerCase() === 'or') {
+      if (parts.length > 0) {
+        parts[parts.length - 1].required = false;
+      }
+      nextOptional = true;
+      continue;
+    }
+
+    if (token.startsWith('-')) {
+      parts.push({ text: token, excluded: true });
     } else {
-        // Fallback or error? For now assume it's comma separated list
-        val = val.split(',').map(v => convertBoolean(v.trim()));
+      parts.push({ text: token, required: !nextOptional });
+    }
+    nextOptional = false;
+  }
+
+  return parts.map(p => (p.excluded || !p.required) ? p.text : '+' + p.text).join(' ');
+}
+
+/**
+ * Converts a full-text search value to a MySQL boolean mode query
+ */
+function toFullTextQuery(operator, value) {
+  switch (operator) {
+    case 'fts': return tsqueryToBoolean(value);
+    case 'plfts': return value.split(/\s+/).filter(w => w).map(w => '+' + w.replace(/[+\-<>()~*"@]/g, '')).join(' ');
+    case 'phfts': return '"' + value.replace(/"/g, '') + '"';
+    case 'wfts': return websearchToBoolean(value);
+  }
+}
+
+/**
+ * Checks whether a single column FULLTEXT index exists on the column,
+ * which MySQL requires for MATCH (column) AGAINST (...)
+ */
+function hasFullTextIndex(tableMeta, column) {
+  const indexes = (tableMeta && tableMeta.indicies) || [];
+  return indexes.some(idx => idx.index_type === 'FULLTEXT' && idx.columns.length === 1 && idx.columns[0] === column);
+}
+
+/**
+ * Parses an operator expression like "eq.123", "not.in.(1,2)" or
+ * "like(any).{a*,b*}" into a condition node for the given column
+ */
+function parseCondition(key, value, tableMeta) {
+  let negated = false;
+  if (value.startsWith('not.')) {
+    negated = true;
+    value = value.substring(4);
+  }
+
+  const dotIndex = value.indexOf('.');
+  const opToken = dotIndex === -1 ? value : value.substring(0, dotIndex);
+  const opMatch = /^([a-z]+)(?:\(([a-z]*)\))?$/.exec(opToken);
+  const operator = opMatch ? opMatch[1] : opToken;
+  const modifier = opMatch ? opMatch[2] : undefined;
+
+  if (dotIndex === -1 || !opMatch || !getComparisonOperator(operator)) {
+    throw parseError(`Unknown or unsupported operator "${opToken}" in filter "${key}=${value}"`, {
+      column: key,
+      hint: 'Filters use the form column=operator.value, e.g. id=eq.1'
+    });
+  }
+
+  let val = value.substring(dotIndex + 1); // Keep the rest in case value contained dots
+  let quantifier = null;
+
+  if (modifier !== undefined) {
+    if (QUANTIFIABLE_OPERATORS.includes(operator) && (modifier === 'any' || modifier === 'all')) {
+      quantifier = modifier;
+    } else if (!FTS_OPERATORS.includes(operator)) {
+      // fts(english) style language arguments are accepted and ignored by MySQL
+      throw parseError(`Invalid modifier "(${modifier})" for operator "${operator}"`, { column: key });
+    }
+  }
+
+  // Handle special cases
+  if (quantifier || operator === 'in') {
+    val = parseList(val);
+  } else if (operator === 'is') {
+    const keyword = val.toLowerCase();
+    if (!['null', 'true', 'false', 'unknown'].includes(keyword)) {
+      throw parseError(`Invalid value "${val}" for operator "is"`, { column: key });
+    }
+    val = keyword === 'null' ? null : keyword.toUpperCase();
+  } else if (FTS_OPERATORS.includes(operator)) {
+    if (!hasFullTextIndex(tableMeta, key)) {
+      throw parseError(`Full-text search on "${key}" requires a FULLTEXT index on that column`, {
+        column: key,
+        hint: `CREATE FULLTEXT INDEX ft_${key} ON <table> (${key})`
+      });
     }
+    val = toFullTextQuery(operator, unquote(val));
   } else if (val === 'null') {
-      val = null;
+    val = null;
   } else {
-      // Convert boolean strings to MySQL boolean values (1/0)
-      val = convertBoolean(val);
+    // Convert boolean strings to MySQL boolean values (1/0)
+    val = convertBoolean(unquote(val));
   }
 
   return {
+    type: 'condition',
     column: key,
-    operator: sqlOp,
-    value: val
+    operator: operator,
+    quantifier: quantifier,
+    value: val,
+    negated: negated
+  };
+}
+
+/**
+ * Parses the body of a logic group, e.g. "(age.lt.18,and(a.eq.1,b.eq.2))"
+ * into a group node combining its children with AND / OR
+ */
+function parseLogicTree(logic, body, negated, tableMeta) {
+  body = body.trim();
+  if (!body.startsWith('(') || !body.endsWith(')')) {
+    throw parseError(`Failed to parse logic tree "${logic}=${body}"`, {
+      hint: 'Logic trees must be enclosed in parentheses, e.g. or=(a.eq.1,b.eq.2)'
+    });
+  }
+
+  const children = [];
+  for (const item of splitTopLevel(body.slice(1, -1))) {
+    children.push(parseLogicItem(item.trim(), tableMeta));
+  }
+
+  return {
+    type: 'group',
+    logic: logic === 'or' ? 'OR' : 'AND',
+    negated: negated,
+    children: children
+  };
+}
+
+/**
+ * Parses a single item of a logic group: either a nested group
+ * (or(...), not.and(...)) or a condition (column.op.value)
+ */
+function parseLogicItem(item, tableMeta) {
+  if (!item) {
+    throw parseError('Empty condition in logic tree');
+  }
+
+  const nested = /^(not\.)?(or|and)\(/.exec(item);
+  if (nested) {
+    const openParenIndex = nested[0].length - 1;
+    return parseLogicTree(nested[2], item.substring(openParenIndex), !!nested[1], tableMeta);
+  }
+
+  const dotIndex = item.indexOf('.');
+  if (dotIndex === -1) {
+    throw parseError(`Failed to parse condition "${item}" in logic tree`);
+  }
+  return parseCondition(item.substring(0, dotIndex), item.substring(dotIndex + 1), tableMeta);
+}
+
+/**
+ * Prefixes every column of a condition or group node with a table name,
+ * so filters inside correlated subqueries cannot resolve to the outer table
+ */
+function qualifyNode(node, qualifier) {
+  if (node.type === 'group') {
+    node.children.forEach(child => qualifyNode(child, qualifier));
+  } else {
+    node.column = qualifier + '.' + node.column;
+  }
+}
+
+/**
+ * Collects the columns a condition or group node filters on
+ */
+function collectColumns(node, columns) {
+  if (node.type === 'group') {
+    node.children.forEach(child => collectColumns(child, columns));
+  } else if (!columns.includes(node.column)) {
+    columns.push(node.column);
+  }
+  return columns;
+}
+
+/**
+ * Compiles a single column comparison into SQL with ?? / ? placeholders
+ */
+function compileComparison(column, operator, value) {
+  const sqlOp = getComparisonOperator(operator);
+
+  switch (operator) {
+    case 'in':
+      if (value.length === 0) {
+        // An empty IN list matches nothing; MySQL rejects "IN ()"
+        return { query: '1 = 0', params: [] };
+      }
+      return { query: '?? IN (?)', params: [column, value] }; // mysql2 handles array for IN clause
+    case 'is':
+      return { query: `?? IS ${value === null ? 'NULL' : value}`, params: [column] };
+    case 'isdistinct':
+      // IS DISTINCT FROM is the negation of MySQL's null-safe equality
+      return { query: 'NOT (?? <=> ?)', params: [column, value] };
+    case 'match':
+      // Inline flags make the match case-sensitive regardless of collation
+      return { query: '?? REGEXP ?', params: [column, '(?-i)' + value] };
+    case 'imatch':
+      return { query: '?? REGEXP ?', params: [column, '(?i)' + value] };
+    case 'fts':
+    case 'plfts':
+    case 'phfts':
+    case 'wfts':
+      return { query: 'MATCH (??) AGAINST (? IN BOOLEAN MODE)', params: [column, value] };
+  }
+
+  if (value === null) {
+    if (sqlOp === '=') return { query: '?? IS NULL', params: [column] };
+    if (sqlOp === '!=') return { query: '?? IS NOT NULL', params: [column] };
+    return { query: `?? ${sqlOp} NULL`, params: [column] };
+  }
+  return { query: `?? ${sqlOp} ?`, params: [column, value] };
+}
+
+/**
+ * Compiles a condition or group node into SQL with ?? / ? placeholders
+ */
+function compileNode(node) {
+  let compiled;
+
+  if (node.type === 'group') {
+    const children = node.children.map(compileNode).filter(c => c.query.length > 0);
+    if (children.length === 0) {
+      return { query: '', params: [] };
+    }
+
+    const query = '(' + children.map(c => c.query).join(` ${node.logic} `) + ')';
+    return {
+      query: node.negated ? 'NOT ' + query : query,
+      params: children.reduce((params, c) => params.concat(c.params), [])
+    };
+  }
+
+  if (node.quantifier) {
+    if (node.value.length === 0) {
+      // any() of nothing is false, all() of nothing is true
+      compiled = { query: node.quantifier === 'any' ? '1 = 0' : '1 = 1', params: [] };
+    } else {
+      const parts = node.value.map(v => compileComparison(node.column, node.operator, v));
+      compiled = {
+        query: '(' + parts.map(p => p.query).join(node.quantifier === 'any' ? ' OR ' : ' AND ') + ')',
+        params: parts.reduce((params, p) => params.concat(p.params), [])
+      };
+    }
+  } else {
+    compiled = compileComparison(node.column, node.operator, node.value);
+  }
+
+  return {
+    query: node.negated ? `NOT (${compiled.query})` : compiled.query,
+    params: compiled.params
   };
 }
 
-exports.getWhereClause = function(queryParams) {
-  let whereQuery = '';
-  let whereParams = [];
-  let conditions = [];
+/**
+ * Builds a parameterized WHERE clause (without the WHERE keyword) from
+ * PostgREST style query parameters:
+ *   ?age=gte.18&status=not.eq.archived
+ *   ?or=(age.lt.18,and(status.eq.active,age.gte.65))
+ *
+ * Keys prefixed with an embedded resource path (e.g. clients.or, clients.name)
+ * are ignored unless that path is requested through embedPath.
+ *
+ * Unknown operators and malformed filters throw a BadRequestError (400).
+ *
+ * @param {Object} queryParams - Request query parameters
+ * @param {string} embedPath - Optional embedded resource path, e.g. 'clients'
+ * @param {Object} tableMeta - Optional metaDb entry of the filtered table (needed for full-text search)
+ * @param {string} qualifier - Optional table name to qualify the filtered columns with
+ * @returns {Object} { query, params, columns } where columns are the filtered (unqualified) column names
+ */
+exports.getWhereClause = function(queryParams, embedPath, tableMeta, qualifier) {
+  const prefix = embedPath ? embedPath + '.' : '';
+  const nodes = [];
 
   // Iterate over all query parameters
-  for (const key in queryParams) {
-    // Skip reserved keywords starting with underscore or 'select', 'order', 'limit', 'offset' if we decide to use them without underscore
-    // But PostgREST uses 'select', 'order', 'limit', 'offset' directly?
-    // PostgREST uses: select, order, limit, offset, and headers for range.
-    // We should skip our own internal params if any, and the PostgREST keywords.
-    if (['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'].includes(key)) continue;
-    if (key.startsWith('_')) continue; // Skip existing myrest params for now to avoid conflict
-
-    const value = queryParams[key];
-    if (typeof value === 'string') {
-        const condition = parseCondition(key, value);
-        if (condition) {
-            conditions.push(condition);
-        }
-    } else if (Array.isArray(value)) {
-        // multiple conditions for same column? e.g. id=gt.5&id=lt.10
-        value.forEach(v => {
-             const condition = parseCondition(key, v);
-             if (condition) {
-                 conditions.push(condition);
-             }
-        });
+  for (const rawKey in queryParams) {
+    if (rawKey.startsWith('_')) continue; // Skip existing myrest params to avoid conflict
+    if (!rawKey.startsWith(prefix)) continue;
+
+    const key = rawKey.substring(prefix.length);
+    const isLogic = LOGIC_KEYS.includes(key);
+
+    // Anything still dotted belongs to a (deeper) embedded resource
+    if (!isLogic && key.indexOf('.') !== -1) continue;
+    if (RESERVED_KEYS.includes(key)) continue;
+
+    // Express parses ?age=gt.18&age=lt.30 as { age: ['gt.18', 'lt.30'] }
+    const values = Array.isArray(queryParams[rawKey]) ? queryParams[rawKey] : [queryParams[rawKey]];
+
+    for (const value of values) {
+      if (typeof value !== 'string') continue;
+
+      nodes.push(isLogic
+        ? parseLogicTree(key.replace('not.', ''), value, key.startsWith('not.'), tableMeta)
+        : parseCondition(key, value, tableMeta));
     }
   }
 
-  if (conditions.length > 0) {
-    whereQuery = conditions.map(c => {
-        if (c.operator === 'IN') {
-             return '?? IN (?)'; // mysql2 handles array for IN clause
-        }
-        if (c.value === null) {
-            if (c.operator === '=') return '?? IS NULL';
-            if (c.operator === '!=') return '?? IS NOT NULL';
-            return `?? ${c.operator} NULL`; 
-        }
-        return `?? ${c.operator} ?`;
-    }).join(' AND ');
-
-    conditions.forEach(c => {
-        whereParams.push(c.column);
-        if (c.value !== null && !(c.value === null && (c.operator === '=' || c.operator === '!='))) {
-             whereParams.push(c.value);
-        }
-    });
+  const columns = nodes.reduce((cols, node) => collectColumns(node, cols), []);
+
+  if (qualifier) {
+    nodes.forEach(node => qualifyNode(node, qualifier));
   }
 
+  const compiled = nodes.map(compileNode).filter(c => c.query.length > 0);
+
   return {
-    query: whereQuery,
-    params: whereParams
+    query: compiled.map(c => c.query).join(' AND '),
+    params: compiled.reduce((params, c) => params.concat(c.params), []),
+    columns: columns
   };
 };
+
+exports.splitTopLevel = splitTopLevel;
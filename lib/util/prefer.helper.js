@@ -0,0 +1,67 @@
+'use strict';
+
+const CONSTANTS = require('../domain/constants.js');
+
+/**
+ * Splits a Prefer header into its key=value preferences
+ * Example: 'return=representation, max-affected=5' -> { return: 'representation', 'max-affected': '5' }
+ *
+ * @param {string} preferHeader - Prefer header value
+ * @returns {Object} Preference values keyed by name
+ */
+exports.parsePreferHeader = function (preferHeader) {
+  const preferences = {};
+  if (!preferHeader) {
+    return preferences;
+  }
+
+  preferHeader.split(/[,;]/).forEach(part => {
+    const [name, value] = part.split('=').map(s => s.trim());
+    if (name) {
+      preferences[name.toLowerCase()] = value === undefined ? '' : value;
+    }
+  });
+  return preferences;
+};
+
+/**
+ * Gets the Prefer: max-affected=N limit, honoured only with handling=strict
+ *
+ * @param {string} preferHeader - Prefer header value
+ * @returns {number|null} Maximum number of affected rows or null when not enforced
+ */
+exports.getMaxAffected = function (preferHeader) {
+  if (!preferHeader || !preferHeader.includes(CONSTANTS.POSTGREST.PREFER_HANDLING_STRICT)) {
+    return null;
+  }
+
+  const value = exports.parsePreferHeader(preferHeader)[CONSTANTS.POSTGREST.PREFER_MAX_AFFECTED];
+  if (value === undefined || !/^\d+$/.test(value)) {
+    return null;
+  }
+  return parseInt(value);
+};
+
+/**
+ * Gets the duplicate handling requested with Prefer: resolution=merge-duplicates|ignore-duplicates
+ *
+ * @param {string} preferHeader - Prefer header value
+ * @returns {string|null} Resolution value or null
+ */
+exports.getResolution = function (preferHeader) {
+  return exports.parsePreferHeader(preferHeader)[CONSTANTS.POSTGREST.PREFER_RESOLUTION] || null;
+};
+
+/**
+ * Splits a comma separated column list such as ?on_conflict=a,b or ?columns="a","b"
+ *
+ * @param {string} value - Query parameter value
+ * @returns {Array|null} Column names or null when absent
+ */
+exports.parseColumnList = function (value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const columns = value.split(',').map(col => col.trim().replace(/^"(.*)"$/, '$1')).filter(col => col);
+  return columns.length ? columns : null;
+};
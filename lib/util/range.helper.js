@@ -0,0 +1,61 @@
+'use strict';
+
+const CONSTANTS = require('../domain/constants.js');
+const { RangeNotSatisfiableError } = require('../domain/errors');
+
+/**
+ * Parses a PostgREST Range request header
+ * Example: 'Range: 0-24' -> { offset: 0, limit: 25 }, 'Range: 10-' -> { offset: 10, limit: 100 }
+ * An open-ended range asks for every remaining row, which is capped at the maximum page size
+ *
+ * @param {string} range - Range header value
+ * @param {string} rangeUnit - Range-Unit header value, only 'items' is supported
+ * @returns {Object|null} { offset, limit } or null when absent, malformed or in another unit
+ * @throws {RangeNotSatisfiableError} When the range ends before it starts
+ */
+exports.parseRangeHeader = function (range, rangeUnit) {
+  if (!range || (rangeUnit && rangeUnit.trim().toLowerCase() !== CONSTANTS.POSTGREST.RANGE_UNIT_ITEMS)) {
+    return null;
+  }
+
+  // Range: 0-24 or Range: items=0-24
+  const match = range.trim().match(/^(?:items=)?(\d+)-(\d*)$/);
+  if (!match) {
+    return null;
+  }
+
+  const start = parseInt(match[1]);
+  if (match[2] === '') {
+    return { offset: start, limit: CONSTANTS.PAGINATION.MAX_PAGE_SIZE };
+  }
+
+  const end = parseInt(match[2]);
+  if (end < start) {
+    throw new RangeNotSatisfiableError(`Requested range ${range} ends before it starts`, {
+      code: CONSTANTS.POSTGREST.ERROR_RANGE
+    });
+  }
+  return { offset: start, limit: end - start + 1 };
+};
+
+/**
+ * Gets the count method requested with Prefer: count=exact|planned|estimated
+ *
+ * @param {string} preferHeader - Prefer header value
+ * @returns {string|null} 'exact', 'planned', 'estimated' or null
+ */
+exports.getCountMethod = function (preferHeader) {
+  if (!preferHeader) {
+    return null;
+  }
+  if (preferHeader.includes(CONSTANTS.POSTGREST.PREFER_COUNT_EXACT)) {
+    return 'exact';
+  }
+  if (preferHeader.includes(CONSTANTS.POSTGREST.PREFER_COUNT_PLANNED)) {
+    return 'planned';
+  }
+  if (preferHeader.includes(CONSTANTS.POSTGREST.PREFER_COUNT_ESTIMATED)) {
+    return 'estimated';
+  }
+  return null;
+};
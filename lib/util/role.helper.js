@@ -0,0 +1,75 @@
+'use strict';
+
+const CONSTANTS = require('../domain/constants.js');
+
+/**
+ * Splits a claim path into its keys
+ * Keys containing dots, like namespaced claims, are double quoted
+ * Example: 'app_metadata.role' -> ['app_metadata', 'role']
+ * Example: '"https://example.com/claims".role' -> ['https://example.com/claims', 'role']
+ *
+ * @param {string} path - Dot separated claim path
+ * @returns {Array} Keys
+ */
+exports.parseClaimPath = function (path) {
+  const keys = [];
+  const pattern = /"([^"]*)"|([^.]+)/g;
+  let match;
+  while ((match = pattern.exec(String(path))) !== null) {
+    keys.push(match[1] !== undefined ? match[1] : match[2].trim());
+  }
+  return keys;
+};
+
+/**
+ * Gets a possibly nested claim
+ *
+ * @param {Object} claims - JWT claims
+ * @param {string} path - Dot separated claim path, see parseClaimPath
+ * @returns {*} Claim value or undefined when a key is missing
+ */
+exports.getClaim = function (claims, path) {
+  return exports.parseClaimPath(path).reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    claims
+  );
+};
+
+/**
+ * Sets a possibly nested claim, creating the objects on its path
+ *
+ * @param {Object} claims - JWT claims, modified in place
+ * @param {string} path - Dot separated claim path, see parseClaimPath
+ * @param {*} value - Claim value
+ * @returns {Object} The claims
+ */
+exports.setClaim = function (claims, path, value) {
+  const keys = exports.parseClaimPath(path);
+  let target = claims;
+  keys.slice(0, -1).forEach(key => {
+    if (target[key] === null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+  return claims;
+};
+
+/**
+ * Gets the role of a request
+ * Requests without the role claim, authenticated or not, run as the anonymous role
+ *
+ * @param {Object} context - JWT claims, empty or undefined for anonymous requests
+ * @param {Object} options - Role options
+ * @param {string} options.roleClaim - Path of the role claim (default: role)
+ * @param {string} options.anonRole - Role of requests without role claim
+ * @returns {string|null} Role name or null when there is no role and no anonymous role
+ */
+exports.getRole = function (context, options = {}) {
+  const role = context ? exports.getClaim(context, options.roleClaim || CONSTANTS.JWT.ROLE_CLAIM) : undefined;
+  if (role !== undefined && role !== null && typeof role !== 'object' && role !== '') {
+    return String(role);
+  }
+  return options.anonRole ? String(options.anonRole) : null;
+};
@@ -8,6 +8,16 @@
  *   { type: 'column', name: 'name' },
  *   { type: 'relation', name: 'clients', columns: 'id,name,projects(id)' }
  * ]
+ * Relations may carry a hint (fk_column:clients(...) or clients!fk_column(...))
+ * and a join type (clients!inner(...), clients!left(...)).
+ * Columns may carry an alias, a JSON path and a cast:
+ * "total:data->order->>total::numeric" gives
+ *   { type: 'column', name: 'data', alias: 'total', cast: 'numeric',
+ *     jsonPath: [{ operator: '->', key: 'order' }, { operator: '->>', key: 'total' }] }
+ * and can be aggregated with count(), sum(), avg(), max() or min():
+ * "total:amount.sum()::int" gives
+ *   { type: 'column', name: 'amount', alias: 'total', aggregate: 'sum', aggregateCast: 'int' }
+ * A bare "count()" counts rows ({ type: 'column', name: '', aggregate: 'count' }).
  */
 function parseSelect(selectStr) {
     if (!selectStr) return [];
@@ -42,25 +52,91 @@ function parseSelect(selectStr) {
     return results;
 }
 
+const AGGREGATE_REGEX = /(^|[.:])(count|sum|avg|max|min)\(\)(?:::(\w+))?$/;
+
 function parseItem(item) {
+    // Aggregates look like relations (they end with parentheses), check them first
+    const aggregate = item.match(AGGREGATE_REGEX);
+    if (aggregate) {
+        const prefix = item.substring(0, aggregate.index);
+        let column;
+        if (aggregate[1] === '.') {
+            column = parseColumn(prefix);
+        } else {
+            // count() or alias:count()
+            column = { type: 'column', name: '' };
+            if (prefix) {
+                column.alias = prefix.trim();
+            }
+        }
+        column.aggregate = aggregate[2];
+        if (aggregate[3]) {
+            column.aggregateCast = aggregate[3];
+        }
+        return column;
+    }
+
     // Check if item has parenthesis, indicating a relation
     const openParenIndex = item.indexOf('(');
     if (openParenIndex !== -1 && item.endsWith(')')) {
-        const nameOrHint = item.substring(0, openParenIndex).trim();
+        let name = item.substring(0, openParenIndex).trim();
         const columns = item.substring(openParenIndex + 1, item.length - 1);
+        const relation = { type: 'relation', columns: columns };
         
         // Check for hint syntax: column:table(columns)
-        const colonIndex = nameOrHint.indexOf(':');
+        const colonIndex = name.indexOf(':');
         if (colonIndex !== -1) {
-            const hint = nameOrHint.substring(0, colonIndex).trim();
-            const name = nameOrHint.substring(colonIndex + 1).trim();
-            return { type: 'relation', name: name, hint: hint, columns: columns };
-        } else {
-            return { type: 'relation', name: nameOrHint, columns: columns };
+            relation.hint = name.substring(0, colonIndex).trim();
+            name = name.substring(colonIndex + 1).trim();
+        }
+
+        // Check for PostgREST modifiers: table!inner(columns), table!fk_column!left(columns)
+        const segments = name.split('!');
+        relation.name = segments[0].trim();
+        for (let i = 1; i < segments.length; i++) {
+            const segment = segments[i].trim();
+            if (segment === 'inner' || segment === 'left') {
+                relation.joinType = segment;
+            } else if (segment && !relation.hint) {
+                relation.hint = segment;
+            }
         }
+
+        return relation;
     } else {
-        return { type: 'column', name: item };
+        return parseColumn(item);
+    }
+}
+
+function parseColumn(item) {
+    const column = { type: 'column' };
+    let rest = item;
+
+    // Cast: column::type
+    const castIndex = rest.lastIndexOf('::');
+    if (castIndex !== -1) {
+        column.cast = rest.substring(castIndex + 2).trim();
+        rest = rest.substring(0, castIndex);
     }
+
+    // Alias: alias:column
+    const colonIndex = rest.indexOf(':');
+    if (colonIndex !== -1) {
+        column.alias = rest.substring(0, colonIndex).trim();
+        rest = rest.substring(colonIndex + 1);
+    }
+
+    // JSON path: column->key->>key
+    const parts = rest.split(/(->>|->)/);
+    column.name = parts[0].trim();
+    if (parts.length > 1) {
+        column.jsonPath = [];
+        for (let i = 1; i < parts.length; i += 2) {
+            column.jsonPath.push({ operator: parts[i], key: parts[i + 1].trim() });
+        }
+    }
+
+    return column;
 }
 
 module.exports = {
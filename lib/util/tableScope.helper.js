@@ -0,0 +1,37 @@
+'use strict';
+
+const CONSTANTS = require('../domain/constants.js');
+const { AuthorizationError } = require('../domain/errors');
+
+/**
+ * Limits a JWT context to some tables
+ * Attached under CONSTANTS.REQUEST_CONTEXT.TABLES, not enumerable so it is not a claim
+ *
+ * @param {Object} context - JWT context
+ * @param {Array} tables - Tables the request may use, empty for all
+ * @returns {Object} The same context
+ */
+exports.restrict = function (context, tables) {
+  if (tables.length > 0) {
+    Object.defineProperty(context, CONSTANTS.REQUEST_CONTEXT.TABLES, { value: tables });
+  }
+  return context;
+};
+
+/**
+ * Fails when a context limited by restrict does not include a table
+ * Checked for every table a request reaches besides the one of its route:
+ * embedded, ordered by, junction and nested write tables
+ *
+ * @param {Object} context - JWT context
+ * @param {string} tableName - Table name
+ * @throws {AuthorizationError} When the table is outside the scope
+ */
+exports.assertAllowed = function (context, tableName) {
+  const tables = context && context[CONSTANTS.REQUEST_CONTEXT.TABLES];
+  if (tables && !tables.includes(tableName)) {
+    throw new AuthorizationError(CONSTANTS.ERROR_MESSAGES.API_KEY_TABLE_SCOPE.replace('{0}', tableName), {
+      code: CONSTANTS.POSTGREST.ERROR_INSUFFICIENT_PRIVILEGE
+    });
+  }
+};
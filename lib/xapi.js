@@ -7,6 +7,9 @@ var openapiHelper = require('./util/openapi.helper.js');
 
 // Import refactored modules
 const createJwtMiddleware = require('./adapters/middleware/jwtMiddleware.js');
+const createAdminMiddleware = require('./adapters/middleware/adminMiddleware.js');
+const createApiKeyMiddleware = require('./adapters/middleware/apiKeyMiddleware.js');
+const requestContextMiddleware = require('./adapters/middleware/requestContextMiddleware.js');
 const urlMiddleware = require('./adapters/middleware/urlMiddleware.js');
 const errorMiddleware = require('./adapters/middleware/errorMiddleware.js');
 const asyncMiddleware = require('./adapters/middleware/asyncMiddleware.js');
@@ -15,7 +18,14 @@ const AggregationService = require('./domain/services/AggregationService.js');
 const ProcedureService = require('./domain/services/ProcedureService.js');
 const FileService = require('./domain/services/FileService.js');
 const RouteDiscoveryService = require('./domain/services/RouteDiscoveryService.js');
+const BatchService = require('./domain/services/BatchService.js');
+const PolicyService = require('./domain/services/PolicyService.js');
+const AuthService = require('./domain/services/AuthService.js');
+const ApiKeyService = require('./domain/services/ApiKeyService.js');
 const CONSTANTS = require('./domain/constants.js');
+const rangeHelp = require('./util/range.helper.js');
+const preferHelp = require('./util/prefer.helper.js');
+const { AuthorizationError, RangeNotSatisfiableError } = require('./domain/errors');
 
 //define class
 class Xapi {
@@ -32,6 +42,7 @@ class Xapi {
     this.procedureService = null;
     this.fileService = new FileService(); // Stateless, can initialize now
     this.routeDiscoveryService = null;
+    this.batchService = null;
 
     /**************** START : multer ****************/
     this.storage = multer.diskStorage({
@@ -56,19 +67,36 @@ class Xapi {
     this.mysql.init((err, results) => {
 
       // Initialize all services after mysql is ready
-      this.crudService = new CrudService(this.mysql, this.mysql.rlsService);
-      this.aggregationService = new AggregationService(this.mysql);
+      this.crudService = new CrudService(this.mysql, this.mysql.rlsService, this.mysql.columnGrantService);
+      this.aggregationService = new AggregationService(this.mysql, this.mysql.rlsService, this.mysql.columnGrantService);
       this.procedureService = new ProcedureService(this.mysql);
       this.routeDiscoveryService = new RouteDiscoveryService(this.mysql.metaDb, this.config);
+      this.batchService = new BatchService(this.mysql, this.mysql.rlsService);
+      this.policyService = new PolicyService(this.mysql, this.mysql.rlsService);
+      this.authService = this.config.authUsersTable ? new AuthService(this.mysql, this.config) : null;
+      this.apiKeyService = this.config.apiKeys ? new ApiKeyService(this.mysql, this.config) : null;
+
+      // Token requests come without a token, even with --jwtRequired
+      if (this.authService) {
+        this.setupAuthRoutes();
+      }
 
       // Use refactored middleware
-      if (this.config.jwtSecret) {
+      if (this.apiKeyService) {
+        this.app.use(createApiKeyMiddleware(this.config, this.apiKeyService));
+      }
+      if (this.config.jwtSecret || this.config.jwksUri || this.config.jwksFile) {
         this.app.use(createJwtMiddleware(this.config));
       }
+      this.app.use(requestContextMiddleware);
       this.app.use(urlMiddleware)
       this.setupRoutes()
       this.app.use(errorMiddleware)
-      cbk(err, results)
+
+      Promise.all([
+        this.authService && this.authService.ensureRefreshTokensTable(),
+        this.apiKeyService && this.apiKeyService.ensureApiKeysTable()
+      ]).then(() => cbk(err, results), cbk);
 
     })
 
@@ -89,6 +117,10 @@ class Xapi {
     this.app.route('/api/tables')
       .get(asyncMiddleware(this.tables.bind(this)));
 
+    // multi-table writes in one transaction
+    this.app.route(CONSTANTS.API_PATHS.BATCH)
+      .post(asyncMiddleware(this.batch.bind(this)));
+
 
     /**************** START : setup routes for each table ****************/
 
@@ -180,6 +212,26 @@ class Xapi {
     this.app.route('/api/openapi.json')
       .get(asyncMiddleware(this.openapi.bind(this)));
 
+    // RLS policy management, only for the configured admin roles
+    if (this.config.adminRoles) {
+      const adminOnly = createAdminMiddleware(this.config);
+      const policies = CONSTANTS.API_PATHS.ADMIN_POLICIES;
+
+      this.app.route(policies)
+        .all(adminOnly)
+        .get(asyncMiddleware(this.listPolicies.bind(this)))
+        .post(asyncMiddleware(this.createPolicy.bind(this)));
+
+      this.app.post(policies + '/reload', adminOnly, asyncMiddleware(this.reloadPolicies.bind(this)));
+      this.app.get(policies + '/audit', adminOnly, asyncMiddleware(this.listPolicyAudit.bind(this)));
+
+      this.app.route(policies + '/:id')
+        .all(adminOnly)
+        .get(asyncMiddleware(this.readPolicy.bind(this)))
+        .patch(asyncMiddleware(this.updatePolicy.bind(this)))
+        .delete(asyncMiddleware(this.deletePolicy.bind(this)));
+    }
+
     if (this.config.dynamic === 1) {
 
       this.app.route('/dynamic*')
@@ -197,16 +249,29 @@ class Xapi {
   async create(req, res) {
     const tableName = req.app.locals._tableName;
     const preferHeader = req.get(CONSTANTS.HEADERS.PREFER);
-    const resolutionHeader = req.get(CONSTANTS.HEADERS.RESOLUTION);
+    // Prefer: resolution=... as sent by PostgREST clients, the Resolution header is still accepted
+    const resolution = preferHelp.getResolution(preferHeader) || req.get(CONSTANTS.HEADERS.RESOLUTION);
 
     const options = {
-      isUpsert: resolutionHeader === CONSTANTS.POSTGREST.RESOLUTION_MERGE,
-      isIgnore: resolutionHeader === CONSTANTS.POSTGREST.RESOLUTION_IGNORE,
-      returnRepresentation: preferHeader && preferHeader.includes(CONSTANTS.POSTGREST.PREFER_RETURN_REPRESENTATION)
+      isUpsert: resolution === CONSTANTS.POSTGREST.RESOLUTION_MERGE,
+      isIgnore: resolution === CONSTANTS.POSTGREST.RESOLUTION_IGNORE,
+      onConflict: preferHelp.parseColumnList(req.query.on_conflict),
+      columns: preferHelp.parseColumnList(req.query.columns),
+      returnRepresentation: preferHeader && preferHeader.includes(CONSTANTS.POSTGREST.PREFER_RETURN_REPRESENTATION),
+      returnHeadersOnly: preferHeader && preferHeader.includes(CONSTANTS.POSTGREST.PREFER_RETURN_HEADERS_ONLY),
+      queryParams: req.query
     };
 
     const result = await this.crudService.create(tableName, req.body, options, req.user);
 
+    if (options.returnHeadersOnly) {
+      const location = result.results.length === 1 ? this.getLocation(tableName, result.results[0]) : null;
+      if (location) {
+        res.set(CONSTANTS.HEADERS.LOCATION, location);
+      }
+      return res.status(CONSTANTS.HTTP_STATUS.CREATED).send();
+    }
+
     if (options.returnRepresentation && result.results && Array.isArray(result.results)) {
       return res.status(CONSTANTS.HTTP_STATUS.CREATED).json(result.results);
     }
@@ -214,24 +279,73 @@ class Xapi {
     res.status(CONSTANTS.HTTP_STATUS.OK).json(result.results || result);
   }
 
-  async list(req, res) {
-    const tableName = req.app.locals._tableName;
-    const preferHeader = req.get(CONSTANTS.HEADERS.PREFER);
-    const countRequested = preferHeader && preferHeader.includes(CONSTANTS.POSTGREST.PREFER_COUNT_EXACT);
+  // Location of a created row: /api/table/pk or /api/table/pk1___pk2 for composite keys
+  getLocation(tableName, row) {
+    const pks = this.mysql.metaDb.tables[tableName].primaryKeys;
+    if (!pks.length || pks.some(pk => row[pk.column_name] === undefined || row[pk.column_name] === null)) {
+      return null;
+    }
+    return CONSTANTS.API_PATHS.PREFIX + '/' + tableName + '/' + pks.map(pk => encodeURIComponent(row[pk.column_name])).join('___');
+  }
 
-    const result = await this.crudService.list(tableName, req.query, { countTotal: countRequested }, req.user);
+  setupAuthRoutes() {
+    this.app.post(CONSTANTS.API_PATHS.AUTH_TOKEN, asyncMiddleware(this.authToken.bind(this)));
+    this.app.post(CONSTANTS.API_PATHS.AUTH_LOGOUT, asyncMiddleware(this.authLogout.bind(this)));
+  }
 
-    // Set Content-Range Header
-    const { rows, offset, limit, totalCount } = result;
-    const start = offset;
-    const end = start + rows.length - 1;
-    const totalStr = totalCount !== null ? totalCount : '*';
+  async authToken(req, res) {
+    const tokens = await this.authService.token(req.body);
+    res.set('Cache-Control', 'no-store');
+    res.status(CONSTANTS.HTTP_STATUS.OK).json(tokens);
+  }
 
-    if (rows.length === 0) {
-      res.set(CONSTANTS.HEADERS.CONTENT_RANGE, `*/${totalStr}`);
-    } else {
-      res.set(CONSTANTS.HEADERS.CONTENT_RANGE, `${start}-${end}/${totalStr}`);
-    }
+  async authLogout(req, res) {
+    await this.authService.logout(req.body);
+    res.status(CONSTANTS.HTTP_STATUS.NO_CONTENT).end();
+  }
+
+  async batch(req, res) {
+    const operations = Array.isArray(req.body) ? req.body : req.body.operations;
+    const results = await this.batchService.execute(operations, req.user);
+    res.status(CONSTANTS.HTTP_STATUS.OK).json(results);
+  }
+
+  async listPolicies(req, res) {
+    res.status(CONSTANTS.HTTP_STATUS.OK).json(await this.policyService.list(req.query));
+  }
+
+  async createPolicy(req, res) {
+    const policy = await this.policyService.create(req.body, req.user);
+    res.status(CONSTANTS.HTTP_STATUS.CREATED).json(policy);
+  }
+
+  async readPolicy(req, res) {
+    res.status(CONSTANTS.HTTP_STATUS.OK).json(await this.policyService.get(req.params.id));
+  }
+
+  async updatePolicy(req, res) {
+    res.status(CONSTANTS.HTTP_STATUS.OK).json(await this.policyService.update(req.params.id, req.body, req.user));
+  }
+
+  async deletePolicy(req, res) {
+    res.status(CONSTANTS.HTTP_STATUS.OK).json(await this.policyService.delete(req.params.id, req.user));
+  }
+
+  async listPolicyAudit(req, res) {
+    res.status(CONSTANTS.HTTP_STATUS.OK).json(await this.policyService.listAudit(req.query));
+  }
+
+  async reloadPolicies(req, res) {
+    res.status(CONSTANTS.HTTP_STATUS.OK).json(await this.policyService.reload());
+  }
+
+  async list(req, res) {
+    const tableName = req.app.locals._tableName;
+    const options = this.getListOptions(req);
+
+    const result = await this.crudService.list(tableName, req.query, options, req.user);
+    const status = this.setPageHeaders(req, res, result, options.range);
+    const rows = result.rows;
 
     // Handle Singular Response
     const acceptHeader = req.get(CONSTANTS.HEADERS.ACCEPT);
@@ -246,37 +360,73 @@ class Xapi {
       }
     }
 
-    res.status(CONSTANTS.HTTP_STATUS.OK).json(rows);
+    res.status(status).json(rows);
   }
 
   async nestedList(req, res) {
     const childTable = req.app.locals._childTable;
     const parentTable = req.app.locals._parentTable;
-    const preferHeader = req.get(CONSTANTS.HEADERS.PREFER);
-    const countRequested = preferHeader && preferHeader.includes(CONSTANTS.POSTGREST.PREFER_COUNT_EXACT);
+    const options = this.getListOptions(req);
 
     const result = await this.crudService.nestedList(
       parentTable,
       req.params.id,
       childTable,
       req.query,
-      { countTotal: countRequested },
+      options,
       req.user
     );
+    const status = this.setPageHeaders(req, res, result, options.range);
+
+    res.status(status).json(result.rows);
+  }
+
+  // Count (Prefer: count=exact|planned|estimated) and Range header of list requests
+  getListOptions(req) {
+    const countMethod = rangeHelp.getCountMethod(req.get(CONSTANTS.HEADERS.PREFER));
+    return {
+      countTotal: countMethod !== null,
+      countMethod: countMethod,
+      range: rangeHelp.parseRangeHeader(req.get(CONSTANTS.HEADERS.RANGE), req.get(CONSTANTS.HEADERS.RANGE_UNIT))
+    };
+  }
 
-    // Set Content-Range Header
-    const { rows, offset, limit, totalCount } = result;
+  // Sets Content-Range (and Link) for a page of rows and returns the status:
+  // 206 when the count shows the page is partial, 416 for ranges past the end
+  setPageHeaders(req, res, result, range) {
+    const { rows, offset, totalCount } = result;
     const start = offset;
     const end = start + rows.length - 1;
     const totalStr = totalCount !== null ? totalCount : '*';
 
     if (rows.length === 0) {
       res.set(CONSTANTS.HEADERS.CONTENT_RANGE, `*/${totalStr}`);
+      if (range && offset > 0) {
+        throw new RangeNotSatisfiableError(`Requested range starts at ${offset}, after the last row`, {
+          code: CONSTANTS.POSTGREST.ERROR_RANGE
+        });
+      }
     } else {
       res.set(CONSTANTS.HEADERS.CONTENT_RANGE, `${start}-${end}/${totalStr}`);
     }
+    this.setNextPageLink(req, res, result.nextCursor);
 
-    res.status(CONSTANTS.HTTP_STATUS.OK).json(rows);
+    if (totalCount !== null && rows.length > 0 && rows.length < totalCount) {
+      return CONSTANTS.HTTP_STATUS.PARTIAL_CONTENT;
+    }
+    return CONSTANTS.HTTP_STATUS.OK;
+  }
+
+  // Link header pointing to the next keyset (cursor) page, if any
+  setNextPageLink(req, res, nextCursor) {
+    if (!nextCursor) {
+      return;
+    }
+    const url = new URL(req.originalUrl, 'http://localhost');
+    // An API key given as ?apikey= must not be handed out in the header
+    url.searchParams.delete(CONSTANTS.HEADERS.API_KEY);
+    url.searchParams.set(CONSTANTS.QUERY_PARAMS.CURSOR, nextCursor);
+    res.set(CONSTANTS.HEADERS.LINK, `<${url.pathname}${url.search}>; rel="next"`);
   }
 
   async read(req, res) {
@@ -316,7 +466,7 @@ class Xapi {
       tableName,
       req.query,
       req.body,
-      { returnRepresentation },
+      { returnRepresentation, maxAffected: preferHelp.getMaxAffected(preferHeader) },
       req.user
     );
 
@@ -337,7 +487,7 @@ class Xapi {
       tableName,
       pkValues,
       req.query,
-      { returnRepresentation },
+      { returnRepresentation, maxAffected: preferHelp.getMaxAffected(preferHeader) },
       req.user
     );
 
@@ -360,19 +510,29 @@ class Xapi {
     let params = [];
 
     let results = await this.mysql.exec(query, params, req.user)
-    let filtered = results.filter((t)=>Object.values(t)!='_rls_policies');
+    // myrest's own tables
+    let hidden = this.mysql.schemaRepository.hiddenTables;
+    let filtered = results.filter((t)=>!hidden.includes(String(Object.values(t))));
     res.status(200).json(filtered)
 
   }
 
   async openapi(req, res) {
     let host = req.protocol + '://' + req.get('host') + '/api';
-    let spec = openapiHelper.generate(this.mysql.metaDb, host);
+    let spec = openapiHelper.generate(this.mysql.metaDb, host,
+      (tableName, columnName) => this.mysql.columnGrantService.getPrivileges(tableName, columnName, req.user));
     res.json(spec);
   }
 
   async runQuery(req, res) {
 
+    // Raw SQL cannot be limited by row-level security or column grants, so it is only allowed without them or for bypass roles
+    if (this.mysql.rlsService.hasPolicies(req.user) || this.mysql.columnGrantService.hasGrants(req.user)) {
+      throw new AuthorizationError(CONSTANTS.ERROR_MESSAGES.RLS_DYNAMIC_QUERY, {
+        code: CONSTANTS.POSTGREST.ERROR_INSUFFICIENT_PRIVILEGE
+      });
+    }
+
     let query = req.body.query;
     let params = req.body.params;
 
@@ -403,7 +563,11 @@ class Xapi {
     let params = [req.app.locals._tableName];
 
     let results = await this.mysql.exec(query, params, req.user);
-    res.status(200).json(results);
+
+    // Columns not granted to the role are left out, like select=*
+    let visible = this.mysql.columnGrantService.filterColumns(
+      req.app.locals._tableName, results.map(r => r.Field), CONSTANTS.COLUMN_PRIVILEGES.SELECT, req.user);
+    res.status(200).json(results.filter(r => visible.includes(r.Field)));
 
 
   }
@@ -4,7 +4,9 @@ const mysql = require('mysql2');
 const dataHelp = require('./util/data.helper.js');
 const whereHelp = require('./util/whereClause.helper.js');
 const postgrestHelp = require('./util/postgrestWhereClause.helper.js');
+const roleHelp = require('./util/role.helper.js');
 const RlsService = require('./domain/services/RlsService.js');
+const ColumnGrantService = require('./domain/services/ColumnGrantService.js');
 const QueryBuilderService = require('./domain/services/QueryBuilderService.js');
 const DatabaseConnectionManager = require('./domain/repositories/DatabaseConnectionManager.js');
 const SchemaRepository = require('./domain/repositories/SchemaRepository.js');
@@ -20,12 +22,22 @@ class Xsql {
     this.sqlConfig = sqlConfig;
     this.pool = pool;
     
+    // Role resolution shared by RLS and the per role pools
+    const roleOptions = { roleClaim: sqlConfig.roleClaim, anonRole: sqlConfig.anonRole };
+    this.rolePools = this.createRolePools(sqlConfig);
+    
     // Initialize Repositories
-    this.connectionManager = new DatabaseConnectionManager(pool);
-    this.schemaRepository = new SchemaRepository(this.connectionManager, sqlConfig.database);
+    this.connectionManager = new DatabaseConnectionManager(pool, {
+      rolePools: this.rolePools,
+      getRole: context => roleHelp.getRole(context, roleOptions)
+    });
+    // The users table of /auth/token holds password hashes, it is hidden like myrest's own tables
+    const hiddenTables = CONSTANTS.INTERNAL_TABLES.concat(sqlConfig.authUsersTable ? [sqlConfig.authUsersTable] : []);
+    this.schemaRepository = new SchemaRepository(this.connectionManager, sqlConfig.database, hiddenTables);
     
     // Initialize Services (pass connectionManager for consistency)
-    this.rlsService = new RlsService(this.connectionManager);
+    this.rlsService = new RlsService(this.connectionManager, sqlConfig.bypassRlsRoles, roleOptions);
+    this.columnGrantService = new ColumnGrantService(this.connectionManager, this.rlsService);
     this.queryBuilder = null; // Will be initialized after schema loads
     
     // Expose metaDb for backward compatibility
@@ -33,6 +45,28 @@ class Xsql {
 
   }
 
+  /**
+   * Creates a pool per role of sqlConfig.dbRoles ({ role: { user, password } })
+   * Each pool connects to the same server and database with the credentials of its role
+   * 
+   * @param {Object} sqlConfig - Connection configuration
+   * @returns {Object} MySQL pools by role name
+   */
+  createRolePools(sqlConfig) {
+    const pools = {};
+    for (const role of Object.keys(sqlConfig.dbRoles || {})) {
+      pools[role] = mysql.createPool(Object.assign({
+        host: sqlConfig.host,
+        port: sqlConfig.port,
+        database: sqlConfig.database,
+        ssl: sqlConfig.ssl,
+        connectionLimit: sqlConfig.connectionLimit,
+        decimalNumbers: sqlConfig.decimalNumbers
+      }, sqlConfig.dbRoles[role]));
+    }
+    return pools;
+  }
+
   init(cbk) {
     // Use async/await pattern for cleaner initialization
     this.schemaRepository.loadDatabaseSchema()
@@ -41,13 +75,17 @@ class Xsql {
         this.metaDb = this.schemaRepository.getMetaDb();
         
         // Initialize QueryBuilder with loaded schema
-        this.queryBuilder = new QueryBuilderService(this.metaDb);
+        this.queryBuilder = new QueryBuilderService(this.metaDb, this.rlsService, this.columnGrantService);
         
         // Ensure RLS policies table exists
         await this.rlsService.ensureRlsPoliciesTable();
         
         // Load RLS policies after schema cache
         await this.rlsService.loadRlsPolicies();
+
+        // Column privileges live next to the policies
+        await this.columnGrantService.ensureColumnGrantsTable();
+        await this.columnGrantService.loadColumnGrants();
         
         cbk(null, null);
       })
@@ -58,8 +96,8 @@ class Xsql {
   }
 
   // Delegate RLS methods to RlsService for backward compatibility
-  getPolicyWhereClause(tableName, operation) {
-    return this.rlsService.getPolicyWhereClause(tableName, operation);
+  getPolicyWhereClause(tableName, operation, context) {
+    return this.rlsService.getPolicyWhereClause(tableName, operation, context);
   }
 
   reloadPolicies() {
@@ -72,14 +110,17 @@ class Xsql {
   }
 
   // Delegate to QueryBuilderService
-  getLimitClause(reqParams) {
-    return this.queryBuilder.getLimitClause(reqParams);
+  getLimitClause(reqParams, range) {
+    return this.queryBuilder.getLimitClause(reqParams, range);
   }
 
-  getWhereClause(queryparams, tableName, queryParamsObj, appendToWhere) {
+  // Appends the request filters to queryParamsObj, returns whether the client sent any:
+  // !inner embeds restrict the rows too but do not count as a filter
+  getWhereClause(queryparams, tableName, queryParamsObj, appendToWhere, context) {
 
     let whereClauseObj = { query: '', params: [] };
     let hasCondition = false;
+    let filteredColumns = [];
 
     // Existing _where logic
     if (queryparams && queryparams[CONSTANTS.QUERY_PARAMS.WHERE]) {
@@ -87,12 +128,21 @@ class Xsql {
       if (oldWhere.err === 0) {
         whereClauseObj.query += oldWhere.query;
         whereClauseObj.params = whereClauseObj.params.concat(oldWhere.params);
+        // Params alternate between column names and values
+        filteredColumns = oldWhere.params.filter((param, i) => i % 2 === 0);
         hasCondition = true;
       }
     }
 
     // New PostgREST logic
-    let pgWhere = postgrestHelp.getWhereClause(queryparams);
+    let pgWhere = postgrestHelp.getWhereClause(queryparams, null, this.metaDb.tables[tableName]);
+    filteredColumns = filteredColumns.concat(pgWhere.columns);
+
+    // Filtering on a column reveals its values as much as selecting it
+    if (this.columnGrantService && filteredColumns.length) {
+      this.columnGrantService.assertAllowed(tableName, filteredColumns, CONSTANTS.COLUMN_PRIVILEGES.SELECT, context);
+    }
+
     if (pgWhere.query.length > 0) {
       if (hasCondition) {
         whereClauseObj.query += ' AND ' + pgWhere.query;
@@ -103,33 +153,60 @@ class Xsql {
       hasCondition = true;
     }
 
+    let hasFilter = hasCondition;
+
+    // Embedded resources marked !inner drop rows without a matching embed
+    let selectStr = queryparams && (queryparams[CONSTANTS.QUERY_PARAMS.FIELDS] || queryparams[CONSTANTS.QUERY_PARAMS.SELECT]);
+    let innerWhere = selectStr ? this.queryBuilder.getInnerJoinWhereClause(tableName, selectStr, queryparams, '', context) : '';
+    if (innerWhere) {
+      whereClauseObj.query += (hasCondition ? ' AND ' : '') + innerWhere;
+      hasCondition = true;
+    }
+
     if (hasCondition) {
       queryParamsObj.query = queryParamsObj.query + appendToWhere + whereClauseObj.query;
       queryParamsObj.params = queryParamsObj.params.concat(whereClauseObj.params);
     }
 
+    return hasFilter;
   }
 
   // Delegate to QueryBuilderService
-  getOrderByClause(queryparams, tableName) {
-    return this.queryBuilder.getOrderByClause(queryparams, tableName);
+  getOrderByClause(queryparams, tableName, aliases, context) {
+    return this.queryBuilder.getOrderByClause(queryparams, tableName, aliases, context);
   }
 
   // Delegate to QueryBuilderService
-  getColumnsForSelectStmt(tableName, reqQueryParams) {
-    return this.queryBuilder.getColumnsForSelectStmt(tableName, reqQueryParams);
+  getColumnsForSelectStmt(tableName, reqQueryParams, context) {
+    return this.queryBuilder.getColumnsForSelectStmt(tableName, reqQueryParams, context);
+  }
+
+  getCursorPagination(queryParams, tableName, context) {
+    return this.queryBuilder.getCursorPagination(queryParams, tableName, context);
+  }
+
+  encodeCursor(cursor, row) {
+    return this.queryBuilder.encodeCursor(cursor, row);
+  }
+
+  getGroupByClause(tableName, reqQueryParams) {
+    return this.queryBuilder.getGroupByClause(tableName, reqQueryParams);
+  }
+
+  getNestedQuery(parentTable, relationName, selectStr, hint, queryParams, path, context) {
+    return this.queryBuilder.getNestedQuery(parentTable, relationName, selectStr, hint, queryParams, path, context);
   }
 
-  getNestedQuery(parentTable, relationName, selectStr, hint) {
-    return this.queryBuilder.getNestedQuery(parentTable, relationName, selectStr, hint);
+  resolveRelation(parentTable, childTable, hint) {
+    return this.queryBuilder.resolveRelation(parentTable, childTable, hint);
   }
 
-  resolveSelectColumnsForJson(tableName, selectStr) {
-    return this.queryBuilder.resolveSelectColumnsForJson(tableName, selectStr);
+  resolveSelectColumnsForJson(tableName, selectStr, queryParams, path, context) {
+    return this.queryBuilder.resolveSelectColumnsForJson(tableName, selectStr, queryParams, path, context);
   }
 
-  resolveSelectColumns(tableName, selectStr) {
-    return this.queryBuilder.resolveSelectColumns(tableName, selectStr);
+  resolveSelectColumns(tableName, selectStr, queryParams, context) {
+    return this.queryBuilder.resolveSelectColumns(tableName, selectStr, queryParams, context);
   }
 
   // Delegate to QueryBuilderService
@@ -0,0 +1,199 @@
+'use strict';
+
+var should = require('should');
+var bodyParser = require('body-parser');
+var express = require('express');
+var supertest = require('supertest');
+var Xapi = require('../lib/xapi.js');
+var CONSTANTS = require('../lib/domain/constants.js');
+var ApiKeyService = require('../lib/domain/services/ApiKeyService.js');
+var createApiKeyMiddleware = require('../lib/adapters/middleware/apiKeyMiddleware.js');
+var createJwtMiddleware = require('../lib/adapters/middleware/jwtMiddleware.js');
+
+// Keeps keys in memory, answering the queries of ApiKeyService
+function mockXsql() {
+  var xsql = {
+    keys: [],
+    exec(query, params) {
+      if (query.startsWith('INSERT')) {
+        if (xsql.keys.some(k => k.name === params[1])) {
+          return Promise.reject(Object.assign(new Error('dup'), { code: 'ER_DUP_ENTRY' }));
+        }
+        xsql.keys.push({
+          id: xsql.keys.length + 1, name: params[1], key_prefix: params[2], key_hash: params[3], role: params[4], claims: params[5],
+          allowed_tables: params[6], allowed_methods: params[7], expired: params[8] !== null && params[8] < 0, revoked: false, uses: 0
+        });
+        return Promise.resolve({ insertId: xsql.keys.length });
+      }
+      if (query.startsWith('SELECT ?? FROM ?? WHERE id = ?')) {
+        return Promise.resolve(xsql.keys.filter(k => k.id === params[2]));
+      }
+      if (query.startsWith('SELECT * FROM ?? WHERE key_hash = ?')) {
+        return Promise.resolve(xsql.keys.filter(k => k.key_hash === params[1] && !k.revoked && !k.expired));
+      }
+      if (query.includes('last_used_at = NOW()')) {
+        xsql.keys.find(k => k.id === params[1]).uses++;
+        return Promise.resolve({ affectedRows: 1 });
+      }
+      if (query.includes('revoked_at = NOW()')) {
+        var matching = xsql.keys.filter(k => (k.id === params[1] || k.name === params[2]) && !k.revoked);
+        matching.forEach(k => { k.revoked = true; });
+        return Promise.resolve({ affectedRows: matching.length });
+      }
+      return Promise.resolve([]);
+    }
+  };
+  return xsql;
+}
+
+// Answers the schema query with an orders table and the API keys table, other queries with no rows
+function mockPool() {
+  var schema = [
+    { table_name: 'orders', column_name: 'id', column_key: 'PRI', data_type: 'int' },
+    { table_name: 'orders', column_name: 'key_id', data_type: 'int', constraint_name: 'fk_orders_key', referenced_table_name: '_api_keys', referenced_column_name: 'id' },
+    { table_name: '_api_keys', column_name: 'id', column_key: 'PRI', data_type: 'int' },
+    { table_name: '_api_keys', column_name: 'key_hash', data_type: 'char' }
+  ];
+  var query = function (sql, params, cb) {
+    if (sql === 'show tables') {
+      return cb(null, [{ Tables_in_shop: 'orders' }, { Tables_in_shop: '_api_keys' }]);
+    }
+    cb(null, sql.includes('information_schema.columns') ? schema : []);
+  };
+  return {
+    query: query,
+    getConnection: function (cb) {
+      cb(null, { query: query, release: function () {} });
+    }
+  };
+}
+
+// Runs the middlewares in order and resolves with the status answered, the error passed on or the user attached
+function request(middlewares, req) {
+  req = Object.assign({ method: 'GET', originalUrl: '/api/orders', headers: {}, query: {} }, req);
+  return new Promise(function (resolve) {
+    var res = {
+      status: function (code) {
+        resolve({ status: code, req: req });
+        return { json: function () {} };
+      }
+    };
+    (function run(i) {
+      if (i === middlewares.length) {
+        return resolve({ status: 200, user: req.user, req: req });
+      }
+      middlewares[i](req, res, function (err) {
+        return err ? resolve({ status: err.statusCode, error: err, req: req }) : run(i + 1);
+      });
+    })(0);
+  });
+}
+
+describe(__filename + ':: API key unit tests', function () {
+
+  it('should store only the hash and turn keys into claims at the role claim path', async function () {
+    var xsql = mockXsql();
+    var service = new ApiKeyService(xsql, { roleClaim: 'app_metadata.role' });
+    var created = await service.create({ name: 'billing', role: 'service', claims: '{"sub":"billing","app_metadata":{"tenant_id":7}}' });
+
+    created.key.should.startWith('myrest_');
+    created.key_prefix.should.equal(created.key.slice(0, 12));
+    xsql.keys[0].key_hash.should.have.length(64);
+    xsql.keys[0].key_hash.should.not.containEql(created.key);
+
+    var middleware = createApiKeyMiddleware({}, service);
+    var result = await request([middleware], { headers: { apikey: created.key } });
+    result.user.should.eql({ sub: 'billing', app_metadata: { tenant_id: 7, role: 'service' } });
+
+    result = await request([middleware], { originalUrl: '/api/orders?apikey=' + created.key, query: { apikey: created.key, id: 'eq.1' } });
+    result.user.sub.should.equal('billing');
+    result.req.query.should.eql({ id: 'eq.1' });
+    xsql.keys[0].uses.should.equal(2);
+
+    await service.create({ name: 'billing' }).should.be.rejectedWith({ statusCode: 409 });
+    await service.create({ name: 'bad', claims: '[1]' }).should.be.rejectedWith({ statusCode: 400 });
+  });
+
+  it('should refuse unknown, revoked and expired keys', async function () {
+    var service = new ApiKeyService(mockXsql());
+    var middleware = createApiKeyMiddleware({}, service);
+    var active = await service.create({ name: 'a' });
+    var expired = await service.create({ name: 'b', expiresIn: -1 }).catch(err => err);
+    expired.statusCode.should.equal(400);
+
+    (await request([middleware], { headers: { apikey: 'myrest_nope' } })).status.should.equal(401);
+    (await service.revoke('a')).should.be.true();
+    (await service.revoke(String(active.id))).should.be.false();
+    (await request([middleware], { headers: { apikey: active.key } })).status.should.equal(401);
+  });
+
+  it('should keep keys to their tables and methods', async function () {
+    var service = new ApiKeyService(mockXsql());
+    var middleware = createApiKeyMiddleware({}, service);
+    var key = (await service.create({ name: 'reader', role: 'reader', tables: 'orders, customers', methods: 'get' })).key;
+    var call = (method, url, body) => request([middleware], { method: method, originalUrl: url, headers: { apikey: key }, body: body });
+
+    (await call('GET', '/api/orders?id=eq.1')).user.role.should.equal('reader');
+    // Embedded tables are checked against the same scope when the query is built
+    (await call('GET', '/api/orders')).user[CONSTANTS.REQUEST_CONTEXT.TABLES].should.eql(['orders', 'customers']);
+    should.not.exist((await request([middleware], { headers: { apikey: (await service.create({ name: 'all' })).key } })).user[CONSTANTS.REQUEST_CONTEXT.TABLES]);
+    (await call('GET', '/api/customers/1/orders')).status.should.equal(200);
+    (await call('GET', '/api/orders/1/exists')).status.should.equal(200);
+    (await call('GET', '/api/openapi.json')).status.should.equal(200);
+    (await call('POST', '/api/orders')).error.message.should.equal('API key is not allowed to POST /api/orders');
+    (await call('GET', '/api/products')).status.should.equal(403);
+    (await call('GET', '/api/customers/1/products')).status.should.equal(403);
+    (await call('POST', '/rpc/refund')).status.should.equal(403);
+    (await call('POST', '/api/_batch', [{ method: 'PATCH', table: 'orders' }])).status.should.equal(403);
+
+    var writer = (await service.create({ name: 'writer', tables: 'orders' })).key;
+    var batch = body => request([middleware], { method: 'POST', originalUrl: '/api/_batch', headers: { apikey: writer }, body: body });
+    (await batch([{ method: 'POST', table: 'orders' }, { method: 'DELETE', table: 'orders' }])).status.should.equal(200);
+    (await batch({ operations: [{ method: 'POST', table: 'orders' }, { method: 'POST', table: 'refunds' }] })).status.should.equal(403);
+  });
+
+  it('should not hand ?apikey= out in the Link header', function () {
+    var headers = {};
+    var req = { originalUrl: '/api/orders?apikey=myrest_secret&order=id&limit=2' };
+    Xapi.prototype.setNextPageLink(req, { set: function (name, value) { headers[name] = value; } }, 'abc');
+
+    headers.Link.should.equal('</api/orders?order=id&limit=2&cursor=abc>; rel="next"');
+  });
+
+  it('should not serve the internal tables', function (done) {
+    var app = express();
+    app.use(bodyParser.json());
+    var api = new Xapi({ database: 'shop', apiKeys: true }, mockPool(), app);
+
+    api.init(async function (err) {
+      try {
+        should.not.exist(err);
+        Object.keys(api.mysql.metaDb.tables).should.eql(['orders']);
+        api.mysql.metaDb.tables.orders.foreignKeys.should.be.empty();
+
+        await supertest(app).post('/api/_api_keys').send({ name: 'mine', key_hash: 'x' }).expect(404);
+        await supertest(app).get('/api/_api_keys/1').expect(404);
+        await supertest(app).get('/api/_api_keys/describe').expect(404);
+        (await supertest(app).get('/api/tables').expect(200)).body.should.eql([{ Tables_in_shop: 'orders' }]);
+        await supertest(app).post('/api/_batch').send([{ method: 'POST', table: '_api_keys', body: { name: 'mine' } }]).expect(404);
+        done();
+      } catch (e) {
+        done(e);
+      }
+    });
+  });
+
+  it('should leave Bearer tokens to the JWT middleware and satisfy --jwtRequired', async function () {
+    var service = new ApiKeyService(mockXsql());
+    var key = (await service.create({ name: 'k', role: 'service' })).key;
+    var config = { jwtSecret: 'secret', jwtRequired: true };
+    var middlewares = [createApiKeyMiddleware(config, service), createJwtMiddleware(config)];
+
+    (await request(middlewares, { headers: { apikey: key } })).user.role.should.equal('service');
+    (await request(middlewares, { headers: { apikey: key, authorization: 'Bearer nope' } })).status.should.equal(401);
+    (await request(middlewares, {})).status.should.equal(401);
+    (await request([createApiKeyMiddleware({ jwtRequired: true }, service)], {})).status.should.equal(401);
+    should.not.exist((await request([createApiKeyMiddleware({}, service)], {})).user);
+  });
+
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+var should = require('should');
+var bcrypt = require('bcryptjs');
+var express = require('express');
+var supertest = require('supertest');
+var Xapi = require('../lib/xapi.js');
+var AuthService = require('../lib/domain/services/AuthService.js');
+var createJwtMiddleware = require('../lib/adapters/middleware/jwtMiddleware.js');
+
+// Keeps users and refresh tokens in memory, answering the queries of AuthService
+function mockXsql(users) {
+  var xsql = {
+    tokens: [],
+    exec(query, params) {
+      if (query.startsWith('SELECT * FROM ?? WHERE ?? = ?')) {
+        return Promise.resolve(users.filter(u => String(u[params[1]]) === params[2]));
+      }
+      if (query.startsWith('INSERT')) {
+        xsql.tokens.push({ token_hash: params[1], username: params[2], expires_in: params[3], revoked: false });
+        return Promise.resolve({ affectedRows: 1 });
+      }
+      var token = xsql.tokens.find(t => t.token_hash === params[1] && !t.revoked);
+      if (query.startsWith('SELECT username')) {
+        return Promise.resolve(token ? [{ username: token.username }] : []);
+      }
+      if (query.startsWith('UPDATE')) {
+        if (token) {
+          token.revoked = true;
+        }
+        return Promise.resolve({ affectedRows: token ? 1 : 0 });
+      }
+      return Promise.resolve([]);
+    }
+  };
+  return xsql;
+}
+
+// Runs the middleware and resolves with the user it attached, or the status it answered
+function verify(config, token) {
+  return new Promise(function (resolve) {
+    var req = { headers: { authorization: 'Bearer ' + token } };
+    var res = {
+      status: function (code) {
+        resolve({ status: code });
+        return { json: function () {} };
+      }
+    };
+    createJwtMiddleware(config)(req, res, function () {
+      resolve({ status: 200, user: req.user });
+    });
+  });
+}
+
+describe(__filename + ':: Auth service unit tests', function () {
+
+  var config = {
+    jwtSecret: 'secret',
+    jwtIssuer: 'myrest, other',
+    jwtAudience: 'my-api',
+    authUsersTable: 'users',
+    authUsernameColumn: 'email',
+    authClaims: 'id:sub,role:app_metadata.role,tenant_id:app_metadata.tenant_id'
+  };
+  var users = [
+    { id: 1, email: 'alice@example.com', password_hash: bcrypt.hashSync('wonderland', 4), role: 'editor', tenant_id: 7 },
+    { id: 2, email: 'bob@example.com', password_hash: 'plaintext', role: 'user', tenant_id: null }
+  ];
+
+  it('should issue tokens the JWT middleware accepts, with claims mapped from columns', async function () {
+    var xsql = mockXsql(users);
+    var tokens = await new AuthService(xsql, config).token({ grant_type: 'password', username: 'alice@example.com', password: 'wonderland' });
+
+    tokens.token_type.should.equal('bearer');
+    tokens.expires_in.should.equal(3600);
+    tokens.refresh_token.should.be.a.String();
+    xsql.tokens[0].token_hash.should.not.equal(tokens.refresh_token);
+    xsql.tokens[0].token_hash.should.have.length(64);
+
+    var result = await verify(config, tokens.access_token);
+    result.user.should.containEql({ sub: 1, app_metadata: { role: 'editor', tenant_id: 7 }, iss: 'myrest', aud: 'my-api' });
+    should.not.exist(result.user.password_hash);
+    (await verify({ jwtSecret: 'secret', jwtIssuer: 'elsewhere' }, tokens.access_token)).status.should.equal(401);
+  });
+
+  it('should refuse wrong passwords, unknown users and unsupported hashes alike', async function () {
+    var service = new AuthService(mockXsql(users), config);
+
+    await service.token({ username: 'alice@example.com', password: 'nope' }).should.be.rejectedWith({ statusCode: 401, message: 'Invalid username or password' });
+    await service.token({ username: 'carol@example.com', password: 'wonderland' }).should.be.rejectedWith({ statusCode: 401, message: 'Invalid username or password' });
+    await service.token({ username: 'bob@example.com', password: 'plaintext' }).should.be.rejectedWith({ statusCode: 401 });
+    await service.token({ username: 'alice@example.com' }).should.be.rejectedWith({ statusCode: 400, message: 'password is required' });
+    await service.token({ grant_type: 'client_credentials' }).should.be.rejectedWith({ statusCode: 400, message: 'Unsupported grant_type client_credentials' });
+  });
+
+  it('should verify argon2 hashes', async function () {
+    var argon2;
+    try {
+      argon2 = require('argon2');
+    } catch (err) {
+      return this.skip();
+    }
+    var service = new AuthService(mockXsql([{ id: 3, username: 'dave', password_hash: await argon2.hash('pw'), role: 'user' }]), { jwtSecret: 'secret', authUsersTable: 'users' });
+
+    var tokens = await service.token({ username: 'dave', password: 'pw' });
+    (await verify({ jwtSecret: 'secret' }, tokens.access_token)).user.should.containEql({ sub: 3, role: 'user' });
+    await service.token({ username: 'dave', password: 'PW' }).should.be.rejectedWith({ statusCode: 401 });
+  });
+
+  it('should rotate refresh tokens and revoke them on logout', async function () {
+    var xsql = mockXsql(users);
+    var service = new AuthService(xsql, config);
+    var first = await service.token({ username: 'alice@example.com', password: 'wonderland' });
+
+    var second = await service.token({ grant_type: 'refresh_token', refresh_token: first.refresh_token });
+    (await verify(config, second.access_token)).user.sub.should.equal(1);
+    await service.token({ grant_type: 'refresh_token', refresh_token: first.refresh_token })
+      .should.be.rejectedWith({ statusCode: 401, message: 'Invalid or expired refresh token' });
+
+    await service.logout({ refresh_token: second.refresh_token });
+    await service.logout({ refresh_token: second.refresh_token });
+    await service.token({ grant_type: 'refresh_token', refresh_token: second.refresh_token }).should.be.rejectedWith({ statusCode: 401 });
+    await service.logout({}).should.be.rejectedWith({ statusCode: 400 });
+    xsql.tokens.map(t => t.revoked).should.eql([true, true]);
+  });
+
+  it('should not serve the users table through the API', function (done) {
+    var schema = [
+      { table_name: 'users', column_name: 'id', column_key: 'PRI', data_type: 'int' },
+      { table_name: 'users', column_name: 'password_hash', data_type: 'varchar' },
+      { table_name: 'orders', column_name: 'id', column_key: 'PRI', data_type: 'int' }
+    ];
+    var query = function (sql, params, cb) {
+      cb(null, sql.includes('information_schema.columns') ? schema : []);
+    };
+    var app = express();
+    var api = new Xapi({ database: 'shop', jwtSecret: 'secret', authUsersTable: 'users' },
+      { query: query, getConnection: cb => cb(null, { query: query, release: function () {} }) }, app);
+
+    api.init(async function (err) {
+      try {
+        should.not.exist(err);
+        Object.keys(api.mysql.metaDb.tables).should.eql(['orders']);
+        await supertest(app).get('/api/users').expect(404);
+        await supertest(app).get('/api/users/1').expect(404);
+        done();
+      } catch (e) {
+        done(e);
+      }
+    });
+  });
+
+  it('should require a secret and a users table', function () {
+    (function () { new AuthService({}, { authUsersTable: 'users' }); }).should.throw();
+    (function () { new AuthService({}, { jwtSecret: 'secret' }); }).should.throw();
+  });
+
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+var should = require('should');
+var BatchService = require('../lib/domain/services/BatchService.js');
+var RlsService = require('../lib/domain/services/RlsService.js');
+
+function autoIncrementTable(columns) {
+  return {
+    columns: [{ column_name: 'id', extra: 'auto_increment' }].concat(columns.map(column_name => ({ column_name }))),
+    primaryKeys: [{ column_name: 'id' }],
+    indicies: [{ index_name: 'PRIMARY', non_unique: false, columns: ['id'] }]
+  };
+}
+
+// Records statements of one fake transaction, inserts get increasing ids
+function mockXsql() {
+  var lastInsertId = 0;
+  var xsql = {
+    executed: [],
+    params: [],
+    pool: { escapeId: id => '`' + id + '`' },
+    metaDb: { tables: { orders: autoIncrementTable(['customer']), lines: autoIncrementTable(['order_id', 'product']) } },
+    getWhereClause(queryParams, tableName, whereObj, appendToWhere) {
+      if (queryParams.id) {
+        whereObj.query = appendToWhere + 'id = ?';
+        whereObj.params.push(queryParams.id.replace('eq.', ''));
+      }
+      return !!queryParams.id;
+    },
+    connectionManager: {
+      executeInTransaction(callback) {
+        var connection = {
+          query(query, params) {
+            xsql.executed.push(query);
+            xsql.params.push(params);
+            if (query.startsWith('INSERT')) {
+              return Promise.resolve({ affectedRows: 1, insertId: ++lastInsertId });
+            }
+            if (query.startsWith('SELECT') && Array.isArray(params[2])) {
+              return Promise.resolve(params[2].map(id => ({ id })));
+            }
+            return Promise.resolve(query.startsWith('SELECT') ? [] : { affectedRows: 0 });
+          }
+        };
+        return callback(connection).then(result => {
+          xsql.executed.push('COMMIT');
+          return result;
+        }, err => {
+          xsql.executed.push('ROLLBACK');
+          throw err;
+        });
+      }
+    }
+  };
+  return xsql;
+}
+
+describe(__filename + ':: Batch service unit tests', function () {
+
+  it('should pass ids of earlier operations to later ones', async function () {
+    var xsql = mockXsql();
+    var service = new BatchService(xsql, new RlsService(null));
+
+    var results = await service.execute([
+      { method: 'POST', table: 'orders', body: { customer: 'c1' }, ref: 'order' },
+      { method: 'POST', table: 'lines', body: [{ order_id: { $ref: 'order.id' }, product: 'p1' }, { order_id: { $ref: '0.id' }, product: 'p2' }] }
+    ]);
+
+    results.length.should.equal(2);
+    results[0].status.should.equal(201);
+    results[0].body.should.eql([{ id: 1 }]);
+    xsql.params[2].should.eql(['lines', { order_id: 1, product: 'p1' }]);
+    xsql.params[3].should.eql(['lines', { order_id: 1, product: 'p2' }]);
+    xsql.executed[xsql.executed.length - 1].should.equal('COMMIT');
+  });
+
+  it('should roll everything back when an operation fails', async function () {
+    var xsql = mockXsql();
+    var service = new BatchService(xsql, new RlsService(null));
+
+    await service.execute([
+      { method: 'POST', table: 'orders', body: { customer: 'c1' } },
+      { method: 'DELETE', table: 'orders', id: 42 }
+    ]).should.be.rejectedWith({ statusCode: 404, details: { operation: 1 } });
+    xsql.executed[xsql.executed.length - 1].should.equal('ROLLBACK');
+  });
+
+  it('should reject unknown references', async function () {
+    var xsql = mockXsql();
+    var service = new BatchService(xsql, new RlsService(null));
+
+    await service.execute([
+      { method: 'POST', table: 'lines', body: { order_id: { $ref: 'missing.id' } } }
+    ]).should.be.rejectedWith({ statusCode: 400, details: { operation: 0 } });
+  });
+
+  it('should validate the batch before running anything', async function () {
+    var xsql = mockXsql();
+    var service = new BatchService(xsql, new RlsService(null));
+
+    await service.execute([]).should.be.rejectedWith({ statusCode: 400 });
+    await service.execute([{ method: 'GET', table: 'orders' }]).should.be.rejectedWith({ statusCode: 400 });
+    await service.execute([{ method: 'POST', table: 'nope' }]).should.be.rejectedWith({ statusCode: 404 });
+    await service.execute([{ method: 'PUT', table: 'orders', body: {} }]).should.be.rejectedWith({ statusCode: 400 });
+    xsql.executed.should.be.empty();
+  });
+
+});
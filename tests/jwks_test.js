@@ -0,0 +1,151 @@
+'use strict';
+
+var should = require('should');
+var crypto = require('crypto');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var jwt = require('jsonwebtoken');
+var createJwtMiddleware = require('../lib/adapters/middleware/jwtMiddleware.js');
+var JwksRepository = require('../lib/domain/repositories/JwksRepository.js');
+
+function keyPair(kid, type) {
+  var pair = type === 'ec'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  var jwk = Object.assign(pair.publicKey.export({ format: 'jwk' }), { kid: kid, use: 'sig' });
+  return { kid: kid, privateKey: pair.privateKey, jwk: jwk };
+}
+
+function sign(key, payload, options) {
+  return jwt.sign(payload, key.privateKey, Object.assign({
+    algorithm: key.jwk.kty === 'EC' ? 'ES256' : 'RS256',
+    keyid: key.kid
+  }, options));
+}
+
+// Runs the middleware and resolves with the status it answered or the user it attached
+function authenticate(middleware, token) {
+  return new Promise(function (resolve) {
+    var req = { headers: { authorization: 'Bearer ' + token } };
+    var res = {
+      status: function (code) {
+        resolve({ status: code });
+        return { json: function () {} };
+      }
+    };
+    middleware(req, res, function () {
+      resolve({ status: 200, user: req.user });
+    });
+  });
+}
+
+describe(__filename + ':: JWKS verification', function () {
+
+  this.timeout(10000);
+
+  var rsaKey = keyPair('rsa-1');
+  var ecKey = keyPair('ec-1', 'ec');
+  var rotatedKey = keyPair('rsa-2');
+  var served;
+  var requests;
+  var server;
+  var jwksUri;
+
+  before(function (done) {
+    // Stand-in for the identity provider
+    server = http.createServer(function (req, res) {
+      requests++;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ keys: served.map(function (key) { return key.jwk; }) }));
+    });
+    server.listen(0, '127.0.0.1', function () {
+      jwksUri = 'http://127.0.0.1:' + server.address().port + '/.well-known/jwks.json';
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    served = [rsaKey, ecKey];
+    requests = 0;
+  });
+
+  it('should verify RS256 and ES256 tokens by kid', async function () {
+    var middleware = createJwtMiddleware({ jwksUri: jwksUri });
+
+    (await authenticate(middleware, sign(rsaKey, { sub: 'a' }))).user.sub.should.equal('a');
+    (await authenticate(middleware, sign(ecKey, { sub: 'b' }))).user.sub.should.equal('b');
+    requests.should.equal(1);
+  });
+
+  it('should refetch the key set on an unknown kid', async function () {
+    var jwks = new JwksRepository({ jwksUri: jwksUri, refreshCooldown: 0 });
+    await jwks.getKey('rsa-1').should.be.fulfilled();
+
+    served = [rotatedKey];
+    (await jwks.getKey('rsa-2')).asymmetricKeyType.should.equal('rsa');
+    await jwks.getKey('rsa-1').should.be.rejected();
+    requests.should.equal(3);
+  });
+
+  it('should refresh on unknown kids at most once per cooldown', async function () {
+    var jwks = new JwksRepository({ jwksUri: jwksUri });
+
+    await jwks.getKey('rsa-1').should.be.fulfilled();
+    await jwks.getKey('nope').should.be.rejectedWith(/No JWKS key matches kid nope/);
+    await jwks.getKey('nope').should.be.rejected();
+    requests.should.equal(1);
+  });
+
+  it('should reject tokens signed by keys outside the set, with the wrong alg or with HMAC', async function () {
+    var stranger = keyPair('rsa-1');
+    served = [Object.assign({}, rsaKey, { jwk: Object.assign({ alg: 'RS512' }, rsaKey.jwk) }), ecKey];
+    var middleware = createJwtMiddleware({ jwksUri: jwksUri });
+
+    (await authenticate(middleware, sign(rsaKey, { sub: 'a' }))).status.should.equal(401);
+    (await authenticate(middleware, sign(rsaKey, { sub: 'a' }, { algorithm: 'RS512' }))).status.should.equal(200);
+    (await authenticate(middleware, sign(stranger, { sub: 'a' }, { algorithm: 'RS512' }))).status.should.equal(401);
+    (await authenticate(middleware, jwt.sign({ sub: 'a' }, 'secret'))).status.should.equal(401);
+  });
+
+  it('should check issuer, audience, expiry with clock skew and required claims', async function () {
+    var middleware = createJwtMiddleware({
+      jwksUri: jwksUri,
+      jwtIssuer: 'https://idp.example.com/',
+      jwtAudience: 'my-api, other-api',
+      jwtClockSkew: 30,
+      jwtRequiredClaims: 'sub,role'
+    });
+    var claims = { sub: 'a', role: 'user' };
+    var valid = { issuer: 'https://idp.example.com/', audience: 'other-api' };
+    var now = Math.floor(Date.now() / 1000);
+
+    (await authenticate(middleware, sign(rsaKey, claims, valid))).status.should.equal(200);
+    (await authenticate(middleware, sign(rsaKey, claims, { issuer: 'https://evil.example.com/', audience: 'my-api' }))).status.should.equal(401);
+    (await authenticate(middleware, sign(rsaKey, claims, { issuer: valid.issuer, audience: 'unknown' }))).status.should.equal(401);
+    (await authenticate(middleware, sign(rsaKey, { sub: 'a' }, valid))).status.should.equal(401);
+    (await authenticate(middleware, sign(rsaKey, Object.assign({ exp: now - 10 }, claims), valid))).status.should.equal(200);
+    (await authenticate(middleware, sign(rsaKey, Object.assign({ exp: now - 60 }, claims), valid))).status.should.equal(401);
+  });
+
+  it('should load keys from a local file and keep HMAC tokens on the secret', async function () {
+    var file = path.join(os.tmpdir(), 'myrest-jwks-' + process.pid + '.json');
+    fs.writeFileSync(file, JSON.stringify({ keys: [ecKey.jwk] }));
+
+    try {
+      var middleware = createJwtMiddleware({ jwksFile: file, jwtSecret: 'secret' });
+      (await authenticate(middleware, jwt.sign({ sub: 'a' }, ecKey.privateKey, { algorithm: 'ES256' }))).status.should.equal(200);
+      (await authenticate(middleware, jwt.sign({ sub: 'b' }, 'secret'))).user.sub.should.equal('b');
+      (await authenticate(middleware, sign(rsaKey, { sub: 'c' }))).status.should.equal(401);
+    } finally {
+      fs.unlinkSync(file);
+    }
+    requests.should.equal(0);
+  });
+
+});
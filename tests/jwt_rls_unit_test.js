@@ -2,6 +2,9 @@
 
 var should = require('should');
 var Xsql = require('../lib/xsql.js');
+var DatabaseConnectionManager = require('../lib/domain/repositories/DatabaseConnectionManager.js');
+var roleHelp = require('../lib/util/role.helper.js');
+var requestContextMiddleware = require('../lib/adapters/middleware/requestContextMiddleware.js');
 
 describe(__filename + ':: JWT and RLS Unit Tests', function () {
 
@@ -52,8 +55,9 @@ describe(__filename + ':: JWT and RLS Unit Tests', function () {
             // Verify queries
             // First query should be SET ...
             // Second query should be mainQuery
+            // Third query resets the variables before the connection is released
 
-            queriesExecuted.length.should.be.equal(2);
+            queriesExecuted.length.should.be.equal(3);
 
             let setQuery = queriesExecuted[0];
             setQuery.query.should.startWith('SET');
@@ -70,6 +74,9 @@ describe(__filename + ':: JWT and RLS Unit Tests', function () {
             let query = queriesExecuted[1];
             query.query.should.be.equal(mainQuery);
 
+            queriesExecuted[2].query.should.equal('SET @request_jwt_claim_role = NULL, @request_jwt_claim_sub = NULL, ' +
+                '@request_jwt_claim_email = NULL, @request_jwt_claims = NULL, @request_method = NULL, @request_path = NULL, @request_headers = NULL');
+
             done();
 
         }).catch(done);
@@ -138,4 +145,156 @@ describe(__filename + ':: JWT and RLS Unit Tests', function () {
 
     });
 
+    it('should expose nested claims and request metadata as JSON session variables', function (done) {
+
+        let queriesExecuted = [];
+
+        let mockConnection = {
+            query: function(query, params, cb) {
+                queriesExecuted.push({ query, params });
+                cb(null, []);
+            },
+            release: function() {}
+        };
+
+        let mockPool = {
+            getConnection: function(cb) {
+                cb(null, mockConnection);
+            }
+        };
+
+        let xsql = new Xsql({}, mockPool);
+        let req = {
+            method: 'GET',
+            originalUrl: '/api/orders?id=eq.1',
+            headers: { authorization: 'Bearer abc', 'x-forwarded-for': '10.0.0.1' },
+            user: { sub: '123', app_metadata: { tenant_id: 7, roles: ['a', 'b'] } }
+        };
+
+        requestContextMiddleware(req, {}, function () {
+            xsql.exec('SELECT 1', [], req.user).then(() => {
+
+                let setQuery = queriesExecuted[0];
+                let value = name => setQuery.params[setQuery.query.replace('SET ', '').split(', ').indexOf(name + ' = ?')];
+
+                JSON.parse(value('@request_jwt_claims')).should.eql({ sub: '123', app_metadata: { tenant_id: 7, roles: ['a', 'b'] } });
+                value('@request_jwt_claim_app_metadata').should.equal('{"tenant_id":7,"roles":["a","b"]}');
+                value('@request_method').should.equal('GET');
+                value('@request_path').should.equal('/api/orders');
+                JSON.parse(value('@request_headers')).should.eql({ 'x-forwarded-for': '10.0.0.1' });
+                done();
+
+            }).catch(done);
+        });
+
+    });
+
+    it('should reset the claim set of anonymous requests', function (done) {
+
+        let queriesExecuted = [];
+
+        let mockConnection = {
+            query: function(query, params, cb) {
+                queriesExecuted.push({ query, params });
+                cb(null, []);
+            },
+            release: function() {}
+        };
+
+        let mockPool = {
+            getConnection: function(cb) {
+                cb(null, mockConnection);
+            }
+        };
+
+        let xsql = new Xsql({}, mockPool);
+        let req = { method: 'POST', originalUrl: '/api/rpc/f', headers: {} };
+
+        requestContextMiddleware(req, {}, function () {
+            Object.keys(req.user).length.should.equal(0);
+
+            xsql.exec('SELECT 1', [], req.user).then(() => {
+                queriesExecuted[0].query.should.equal('SET @request_jwt_claims = ?, @request_method = ?, @request_path = ?, @request_headers = ?');
+                queriesExecuted[0].params.should.eql([null, 'POST', '/api/rpc/f', '{}']);
+                done();
+            }).catch(done);
+        });
+
+    });
+
+    it('should run requests on the pool of their role', async function () {
+
+        let used = [];
+
+        // Records which pool ran each query
+        function mockPool(name) {
+            let connection = {
+                query: function(query, params, cb) {
+                    used.push(name);
+                    cb(null, []);
+                },
+                release: function() {},
+                escape: function(value) { return value; },
+                escapeId: function(value) { return value; }
+            };
+            return {
+                query: connection.query,
+                getConnection: function(cb) {
+                    cb(null, connection);
+                }
+            };
+        }
+
+        let manager = new DatabaseConnectionManager(mockPool('main'), {
+            rolePools: { web_anon: mockPool('anon'), editor: mockPool('editor') },
+            getRole: context => roleHelp.getRole(context, { roleClaim: 'app_metadata.role', anonRole: 'web_anon' })
+        });
+
+        await manager.executeQuery('SELECT 1', []);
+        await manager.executeQuery('SELECT 1', [], {});
+        await manager.executeQuery('SELECT 1', [], { app_metadata: { role: 'editor' } });
+        await manager.executeQuery('SELECT 1', [], { app_metadata: { role: 'viewer' } });
+        await manager.executeWithConnection(connection => connection.query('SELECT 1', []), { app_metadata: { role: 'editor' } });
+
+        // The claim query, the main query and the reset of a request use the same pool
+        used.should.eql(['main', 'anon', 'editor', 'editor', 'editor', 'main', 'main', 'main', 'editor', 'editor', 'editor']);
+
+    });
+
+    it('should not leave the claims of a request to the next request on the connection', async function () {
+
+        let queriesExecuted = [];
+        let connection = {
+            query: function(query, params, cb) {
+                queriesExecuted.push(query);
+                cb(null, []);
+            },
+            release: function() {},
+            escape: function(value) { return value; },
+            escapeId: function(value) { return value; }
+        };
+        let pool = {
+            query: connection.query,
+            getConnection: function(cb) {
+                cb(null, connection);
+            }
+        };
+        let manager = new DatabaseConnectionManager(pool);
+
+        await manager.executeQuery('SELECT 1', [], { sub: 'alice', role: 'editor' });
+        await manager.executeWithConnection(c => c.query('SELECT 2', []), { role: 'viewer' });
+        await manager.executeQuery('SELECT 3', []);
+
+        queriesExecuted.should.eql([
+            'SET @request_jwt_claim_sub = ?, @request_jwt_claim_role = ?, @request_jwt_claims = ?, @request_method = ?, @request_path = ?, @request_headers = ?',
+            'SELECT 1',
+            'SET @request_jwt_claim_sub = NULL, @request_jwt_claim_role = NULL, @request_jwt_claims = NULL, @request_method = NULL, @request_path = NULL, @request_headers = NULL',
+            'SET @request_jwt_claim_role = ?, @request_jwt_claims = ?, @request_method = ?, @request_path = ?, @request_headers = ?',
+            'SELECT 2',
+            'SET @request_jwt_claim_role = NULL, @request_jwt_claims = NULL, @request_method = NULL, @request_path = NULL, @request_headers = NULL',
+            'SELECT 3'
+        ]);
+
+    });
+
 });
@@ -49,4 +49,34 @@ describe(__filename + ':: OpenAPI Generator Unit Tests', function () {
         done();
     });
 
+    it('should only describe the columns the role has privileges on', function (done) {
+
+        let metaDb = {
+            tables: {
+                users: {
+                    columns: ['id', 'name', 'password_hash', 'secret'].map(name => (
+                        { column_name: name, data_type: 'varchar', column_type: 'varchar(100)', is_nullable: 'YES', column_default: null }
+                    ))
+                }
+            },
+            routines: {}
+        };
+        let privileges = {
+            id: { select: true, insert: false, update: false },
+            name: { select: true, insert: true, update: true },
+            password_hash: { select: false, insert: true, update: true },
+            secret: { select: false, insert: false, update: false }
+        };
+
+        let spec = openapiHelper.generate(metaDb, 'http://localhost:3000/api', (table, column) => privileges[column]);
+        let properties = spec.components.schemas.users.properties;
+
+        Object.keys(properties).should.eql(['id', 'name', 'password_hash']);
+        properties.id.readOnly.should.be.true();
+        should.not.exist(properties.name.readOnly);
+        properties.password_hash.writeOnly.should.be.true();
+
+        done();
+    });
+
 });
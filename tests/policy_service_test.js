@@ -0,0 +1,124 @@
+'use strict';
+
+var should = require('should');
+var PolicyService = require('../lib/domain/services/PolicyService.js');
+var RlsService = require('../lib/domain/services/RlsService.js');
+
+// Keeps policies and audit entries in memory, expressions mentioning 'nope' fail to compile
+function mockXsql() {
+  var xsql = {
+    policies: [],
+    audit: [],
+    executed: [],
+    metaDb: { tables: { orders: { columns: [] } } },
+    exec(query, params) {
+      xsql.executed.push(query);
+      if (query.includes('LIMIT 0')) {
+        return query.includes('nope')
+          ? Promise.reject(Object.assign(new Error('bad'), { code: 'ER_BAD_FIELD_ERROR', sqlMessage: "Unknown column 'nope' in 'where clause'" }))
+          : Promise.resolve([]);
+      }
+      if (query.startsWith('SELECT * FROM ?? WHERE id = ?')) {
+        return Promise.resolve(xsql.policies.filter(p => p.id === Number(params[1])).map(p => Object.assign({}, p)));
+      }
+      return Promise.resolve(xsql.policies);
+    },
+    connectionManager: {
+      executeInTransaction(callback) {
+        var connection = {
+          query(query, params) {
+            if (query.startsWith('INSERT') && params[0] === '_rls_policies') {
+              if (xsql.policies.some(p => p.policy_name === params[1].policy_name)) {
+                return Promise.reject(Object.assign(new Error('dup'), { code: 'ER_DUP_ENTRY' }));
+              }
+              xsql.policies.push(Object.assign({ id: xsql.policies.length + 1 }, params[1]));
+              return Promise.resolve({ insertId: xsql.policies.length });
+            }
+            if (query.startsWith('INSERT')) {
+              xsql.audit.push(params[1]);
+              return Promise.resolve({ insertId: xsql.audit.length });
+            }
+            if (query.startsWith('UPDATE')) {
+              Object.assign(xsql.policies.find(p => p.id === Number(params[2])), params[1]);
+              return Promise.resolve({ affectedRows: 1 });
+            }
+            if (query.startsWith('DELETE')) {
+              xsql.policies = xsql.policies.filter(p => p.id !== Number(params[1]));
+              return Promise.resolve({ affectedRows: 1 });
+            }
+            return xsql.exec(query, params);
+          }
+        };
+        return callback(connection);
+      }
+    }
+  };
+  return xsql;
+}
+
+function policyService(xsql) {
+  var rlsService = new RlsService(null);
+  rlsService.reloads = 0;
+  rlsService.reloadPolicies = function () {
+    this.reloads++;
+    return Promise.resolve();
+  };
+  return new PolicyService(xsql, rlsService);
+}
+
+describe(__filename + ':: Policy service unit tests', function () {
+
+  it('should create, update and delete policies with an audit trail and reload', async function () {
+    var xsql = mockXsql();
+    var service = policyService(xsql);
+    var admin = { sub: 'alice', role: 'admin' };
+
+    var created = await service.create({
+      table_name: 'orders', policy_name: 'own', operation: 'select', roles: ['user', ' staff '], using_expression: 'owner = @request_jwt_claim_sub'
+    }, admin);
+    created.should.containEql({ id: 1, operation: 'SELECT', roles: 'user,staff' });
+
+    var updated = await service.update(1, { enabled: 'false' }, admin);
+    updated.enabled.should.be.false();
+
+    (await service.delete(1, admin)).id.should.equal(1);
+    xsql.policies.should.be.empty();
+
+    xsql.audit.map(a => a.action).should.eql(['CREATE', 'UPDATE', 'DELETE']);
+    xsql.audit[1].should.containEql({ policy_id: 1, policy_name: 'own', actor: 'alice', actor_role: 'admin' });
+    should.not.exist(JSON.parse(xsql.audit[1].old_value).enabled);
+    JSON.parse(xsql.audit[1].new_value).enabled.should.be.false();
+    should.not.exist(xsql.audit[2].new_value);
+    service.rlsService.reloads.should.equal(3);
+  });
+
+  it('should test-compile expressions against the table before saving', async function () {
+    var xsql = mockXsql();
+    var service = policyService(xsql);
+
+    await service.create({ table_name: 'orders', policy_name: 'p', using_expression: 'nope = 1' })
+      .should.be.rejectedWith({ statusCode: 400, details: { code: 'ER_BAD_FIELD_ERROR' } });
+    await service.create({ table_name: 'orders', policy_name: 'p', using_expression: 'TRUE', check_expression: 'nope = 1' })
+      .should.be.rejectedWith({ statusCode: 400 });
+    await service.create({ table_name: 'orders', policy_name: 'p', using_expression: 'TRUE; DROP TABLE orders' })
+      .should.be.rejectedWith({ statusCode: 400 });
+    xsql.executed.should.containEql('SELECT 1 FROM ?? WHERE (nope = 1) LIMIT 0');
+    xsql.policies.should.be.empty();
+  });
+
+  it('should validate columns, tables and duplicate names', async function () {
+    var xsql = mockXsql();
+    var service = policyService(xsql);
+
+    await service.create({ table_name: 'orders', policy_name: 'p' }).should.be.rejectedWith({ statusCode: 400 });
+    await service.create({ table_name: 'orders', policy_name: 'p', using_expression: 'TRUE', owner: 'x' }).should.be.rejectedWith({ statusCode: 400 });
+    await service.create({ table_name: 'orders', policy_name: 'p', using_expression: 'TRUE', operation: 'MERGE' }).should.be.rejectedWith({ statusCode: 400 });
+    await service.create({ table_name: 'missing', policy_name: 'p', using_expression: 'TRUE' }).should.be.rejectedWith({ statusCode: 404 });
+
+    await service.create({ table_name: 'orders', policy_name: 'p', using_expression: 'TRUE' });
+    await service.create({ table_name: 'orders', policy_name: 'p', using_expression: 'TRUE' })
+      .should.be.rejectedWith({ statusCode: 409, details: { code: '23505' } });
+    await service.update(7, { enabled: true }).should.be.rejectedWith({ statusCode: 404 });
+  });
+
+});
@@ -122,4 +122,73 @@ describe(__filename + ':: myrest : postgrest embedding tests', function () {
        });
   });
 
+  it('Embedded filters - Customers with only Shipped orders', function (done) {
+    agent.get('/api/customers?customerNumber=eq.103&select=customerNumber,orders(orderNumber,status)&orders.status=eq.Shipped')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.length.should.be.equal(1);
+        res.body[0].orders.length.should.be.above(0);
+        res.body[0].orders.every(o => o.status === 'Shipped').should.be.true();
+        return done();
+      });
+  });
+
+  it('Embedded order and limit - latest order of a customer', function (done) {
+    agent.get('/api/customers?customerNumber=eq.103&select=customerNumber,orders(orderNumber,orderDate)&orders.order=orderDate.desc&orders.limit=1')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body[0].orders.length.should.be.equal(1);
+        return done();
+      });
+  });
+
+  it('!inner - only customers having orders in the requested status', function (done) {
+    agent.get('/api/customers?select=customerNumber,orders!inner(orderNumber)&orders.status=eq.Cancelled')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.length.should.be.above(0);
+        res.body.every(c => c.orders.length > 0).should.be.true();
+        return done();
+      });
+  });
+
+  it('Nested write - product line created together with its products', function (done) {
+    var product = { productCode: 'NESTED_1', productName: 'Nested', productScale: '1:10', productVendor: 'Vendor',
+      productDescription: 'Created embedded', quantityInStock: 1, buyPrice: 1, MSRP: 2 };
+
+    agent.post('/api/productlines?select=productLine,products(productCode)')
+      .set('Prefer', 'return=representation')
+      .send({ productLine: 'NestedLine', textDescription: 'Nested', products: [product] })
+      .expect(201)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.length.should.be.equal(1);
+        res.body[0].products.should.eql([{ productCode: 'NESTED_1' }]);
+
+        // Cleanup
+        agent.delete('/api/products/NESTED_1').end(function () {
+          agent.delete('/api/productlines/NestedLine').end(done);
+        });
+      });
+  });
+
+  it('Nested write - a failing child rolls back the parent', function (done) {
+    agent.post('/api/productlines')
+      .send({ productLine: 'NestedRollback', products: [{ productCode: 'NESTED_2' }] })
+      .expect(400)
+      .end(function (err, res) {
+        if (err) return done(err);
+        agent.get('/api/productlines?productLine=eq.NestedRollback')
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err);
+            res.body.length.should.be.equal(0);
+            return done();
+          });
+      });
+  });
+
 });
@@ -123,4 +123,59 @@ describe(__filename + ':: PostgREST FK Hint Syntax Unit Tests', function () {
     done();
   });
 
+  it('should parse !inner and !left join modifiers', function (done) {
+    var result = selectParser.parseSelect('id,projects!inner(id),tasks!left(*)');
+
+    result[1].name.should.be.equal('projects');
+    result[1].joinType.should.be.equal('inner');
+    should.not.exist(result[1].hint);
+
+    result[2].name.should.be.equal('tasks');
+    result[2].joinType.should.be.equal('left');
+
+    done();
+  });
+
+  it('should parse table!fk_column!inner(columns) hint syntax', function (done) {
+    var result = selectParser.parseSelect('id,users!author_id!inner(name),owner_id:users!inner(name)');
+
+    result[1].name.should.be.equal('users');
+    result[1].hint.should.be.equal('author_id');
+    result[1].joinType.should.be.equal('inner');
+
+    result[2].name.should.be.equal('users');
+    result[2].hint.should.be.equal('owner_id');
+    result[2].joinType.should.be.equal('inner');
+
+    done();
+  });
+
+  it('should parse column aliases, casts and JSON paths without touching relation hints', function (done) {
+    var result = selectParser.parseSelect('fullName:name,id::text,total:data->order->>total::numeric,hint_id:users(id)');
+
+    result[0].should.eql({ type: 'column', name: 'name', alias: 'fullName' });
+    result[1].should.eql({ type: 'column', name: 'id', cast: 'text' });
+    result[2].should.eql({
+      type: 'column',
+      name: 'data',
+      alias: 'total',
+      cast: 'numeric',
+      jsonPath: [{ operator: '->', key: 'order' }, { operator: '->>', key: 'total' }]
+    });
+    result[3].type.should.be.equal('relation');
+    result[3].hint.should.be.equal('hint_id');
+    done();
+  });
+
+  it('should parse aggregates before relations', function (done) {
+    var result = selectParser.parseSelect('status,amount.sum(),count(),n:id.count(),total:amount::int.sum()::text,clients(name)');
+
+    result[1].should.eql({ type: 'column', name: 'amount', aggregate: 'sum' });
+    result[2].should.eql({ type: 'column', name: '', aggregate: 'count' });
+    result[3].should.eql({ type: 'column', name: 'id', alias: 'n', aggregate: 'count' });
+    result[4].should.eql({ type: 'column', name: 'amount', alias: 'total', cast: 'int', aggregate: 'sum', aggregateCast: 'text' });
+    result[5].type.should.be.equal('relation');
+    done();
+  });
+
 });
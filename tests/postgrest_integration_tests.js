@@ -150,4 +150,160 @@ describe(__filename + ':: myrest : postgrest integration tests', function () {
       });
   });
 
+  it('GET /api/offices?or=(city.eq.Boston,city.eq.Paris) should PASS', function (done) {
+    agent.get('/api/offices?or=(city.eq.Boston,city.eq.Paris)')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.length.should.be.equal(2);
+        return done();
+      });
+  });
+
+  it('GET /api/offices?or=(country.eq.Japan,and(country.eq.USA,city.eq.NYC)) should PASS', function (done) {
+    agent.get('/api/offices?or=(country.eq.Japan,and(country.eq.USA,city.eq.NYC))')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.length.should.be.equal(2);
+        res.body.map(o => o.city).sort().should.be.eql(['NYC', 'Tokyo']);
+        return done();
+      });
+  });
+
+  it('GET /api/offices?country=eq.USA&city=not.in.(Boston,NYC) should PASS', function (done) {
+    agent.get('/api/offices?country=eq.USA&city=not.in.(Boston,NYC)')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.length.should.be.equal(1);
+        res.body[0]['city'].should.be.equal('San Francisco');
+        return done();
+      });
+  });
+
+  it('GET /api/offices?or=city.eq.Boston (malformed) should FAIL with 400', function (done) {
+    agent.get('/api/offices?or=city.eq.Boston')
+      .expect(400, done);
+  });
+
+  it('GET /api/offices?city=like(any).{Bos%,Par%} should PASS', function (done) {
+    agent.get('/api/offices?city=like(any).{Bos%25,Par%25}')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.length.should.be.equal(2);
+        return done();
+      });
+  });
+
+  it('GET /api/offices?city=imatch.^bos should PASS', function (done) {
+    agent.get('/api/offices?city=imatch.^bos')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.length.should.be.equal(1);
+        res.body[0]['city'].should.be.equal('Boston');
+        return done();
+      });
+  });
+
+  it('GET /api/offices?city=unknown.Boston should FAIL with 400', function (done) {
+    agent.get('/api/offices?city=unknown.Boston')
+      .expect(400)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.code.should.be.equal('PGRST100');
+        return done();
+      });
+  });
+
+  it('GET /api/offices?select=country,officeCode.count()&order=country should group by country', function (done) {
+    agent.get('/api/offices?select=country,officeCode.count()&order=country')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        var usa = res.body.find(function (row) { return row.country === 'USA'; });
+        usa['count'].should.be.equal(3);
+        res.body.length.should.be.equal(5);
+        return done();
+      });
+  });
+
+  it('GET /api/offices?select=count()&country=eq.USA should count filtered rows', function (done) {
+    agent.get('/api/offices?select=count()&country=eq.USA')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.should.eql([{ count: 3 }]);
+        return done();
+      });
+  });
+
+  it('GET /api/offices?order=city&limit=3&cursor should page with Link headers', function (done) {
+    agent.get('/api/offices?order=city&limit=3&cursor')
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.map(function (row) { return row.city; }).should.eql(['Boston', 'London', 'NYC']);
+        should.not.exist(res.body[0]['_cursor_0']);
+        var next = res.headers['link'].match(/^<(.*)>; rel="next"$/)[1];
+
+        agent.get(next)
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err);
+            res.body.map(function (row) { return row.city; }).should.eql(['Paris', 'San Francisco', 'Sydney']);
+
+            agent.get(res.headers['link'].match(/^<(.*)>; rel="next"$/)[1])
+              .expect(200)
+              .end(function (err, res) {
+                if (err) return done(err);
+                res.body.map(function (row) { return row.city; }).should.eql(['Tokyo']);
+                should.not.exist(res.headers['link']);
+                return done();
+              });
+          });
+      });
+  });
+
+  it('POST /api/_batch should write related rows in one transaction', function (done) {
+    agent.post('/api/_batch')
+      .send([
+        { method: 'POST', table: 'productlines', body: { productLine: 'BatchLine', textDescription: 'Batch' }, ref: 'line' },
+        { method: 'PATCH', table: 'productlines', id: { $ref: 'line.productLine' }, body: { textDescription: 'Batch patched' } },
+        { method: 'DELETE', table: 'productlines', id: { $ref: 'line.productLine' } }
+      ])
+      .expect(200)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.map(function (result) { return result.status; }).should.eql([201, 200, 200]);
+        res.body[1].body[0].textDescription.should.equal('Batch patched');
+        return done();
+      });
+  });
+
+  it('POST /api/_batch should roll back every operation when one fails', function (done) {
+    agent.post('/api/_batch')
+      .send({
+        operations: [
+          { method: 'POST', table: 'productlines', body: { productLine: 'BatchRollback' } },
+          { method: 'DELETE', table: 'productlines', id: 'NoSuchLine' }
+        ]
+      })
+      .expect(404)
+      .end(function (err, res) {
+        if (err) return done(err);
+        res.body.message.should.startWith('Operation 1 (DELETE productlines) failed');
+
+        agent.get('/api/productlines?productLine=eq.BatchRollback')
+          .expect(200)
+          .end(function (err, res) {
+            if (err) return done(err);
+            res.body.length.should.be.equal(0);
+            return done();
+          });
+      });
+  });
+
 });
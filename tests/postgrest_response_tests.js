@@ -35,6 +35,7 @@ describe(__filename + ':: PostgREST Response Format Tests', function () {
             await query('DROP TABLE IF EXISTS test_child');
             await query('DROP TABLE IF EXISTS test_parent');
             await query('DROP TABLE IF EXISTS test_response');
+            await query('DROP TABLE IF EXISTS test_uuid');
 
             await query(`
                 CREATE TABLE test_response (
@@ -60,6 +61,13 @@ describe(__filename + ':: PostgREST Response Format Tests', function () {
                 )
             `);
 
+            await query(`
+                CREATE TABLE test_uuid (
+                    id CHAR(36) PRIMARY KEY DEFAULT (uuid()),
+                    name VARCHAR(50)
+                )
+            `);
+
             // Seed test_response
             let values = [];
             for(let i=0; i<15; i++) {
@@ -111,7 +119,7 @@ describe(__filename + ':: PostgREST Response Format Tests', function () {
         request(app)
             .get('/api/test_response?limit=5')
             .set('Prefer', 'count=exact')
-            .expect(200)
+            .expect(206)
             .expect('Content-Range', '0-4/15')
             .end(function(err, res) {
                 if (err) return done(err);
@@ -125,7 +133,7 @@ describe(__filename + ':: PostgREST Response Format Tests', function () {
         request(app)
             .get('/api/test_response?limit=5&offset=5')
             .set('Prefer', 'count=exact')
-            .expect(200)
+            .expect(206)
             .expect('Content-Range', '5-9/15')
             .end(function(err, res) {
                 if (err) return done(err);
@@ -140,7 +148,7 @@ describe(__filename + ':: PostgREST Response Format Tests', function () {
         request(app)
             .get('/api/test_response?value=lt.10&limit=5')
             .set('Prefer', 'count=exact')
-            .expect(200)
+            .expect(206)
             .expect('Content-Range', '0-4/10')
             .end(function(err, res) {
                 if (err) return done(err);
@@ -172,7 +180,7 @@ describe(__filename + ':: PostgREST Response Format Tests', function () {
             request(app)
                 .get(`/api/test_parent/${parentId}/test_child?limit=5`)
                 .set('Prefer', 'count=exact')
-                .expect(200)
+                .expect(206)
                 .expect('Content-Range', '0-4/15')
                 .end(function(err, res) {
                     if (err) return done(err);
@@ -183,6 +191,82 @@ describe(__filename + ':: PostgREST Response Format Tests', function () {
         });
     });
 
+    it('should return 200 when the whole result fits with count=exact', function (done) {
+        request(app)
+            .get('/api/test_response?value=lt.3')
+            .set('Prefer', 'count=exact')
+            .expect(200)
+            .expect('Content-Range', '0-2/3', done);
+    });
+
+    // Range Header Tests
+    it('should honour the Range header and answer 206', function (done) {
+        request(app)
+            .get('/api/test_response?order=value')
+            .set('Range-Unit', 'items')
+            .set('Range', '2-5')
+            .set('Prefer', 'count=exact')
+            .expect(206)
+            .expect('Content-Range', '2-5/15')
+            .end(function(err, res) {
+                if (err) return done(err);
+                assert.equal(res.body.length, 4);
+                assert.equal(res.body[0].value, 2);
+                done();
+            });
+    });
+
+    it('should let limit/offset query params take precedence over Range', function (done) {
+        request(app)
+            .get('/api/test_response?order=value&limit=2')
+            .set('Range', '2-5')
+            .expect(200)
+            .expect('Content-Range', '0-1/*', done);
+    });
+
+    it('should honour the Range header on nested lists', function (done) {
+        pool.query("SELECT id FROM test_parent LIMIT 1", (err, rows) => {
+            request(app)
+                .get(`/api/test_parent/${rows[0].id}/test_child`)
+                .set('Range', '10-')
+                .set('Prefer', 'count=exact')
+                .expect(206)
+                .expect('Content-Range', '10-14/15', done);
+        });
+    });
+
+    it('should return 416 for ranges past the end or ending before they start', function (done) {
+        request(app)
+            .get('/api/test_response')
+            .set('Range', '100-110')
+            .set('Prefer', 'count=exact')
+            .expect(416)
+            .expect('Content-Range', '*/15')
+            .end(function(err) {
+                if (err) return done(err);
+                request(app)
+                    .get('/api/test_response')
+                    .set('Range', '5-2')
+                    .expect(416, done);
+            });
+    });
+
+    it('should return planned and estimated counts', function (done) {
+        request(app)
+            .get('/api/test_response?limit=1')
+            .set('Prefer', 'count=planned')
+            .expect('Content-Range', /^0-0\/\d+$/)
+            .end(function(err) {
+                if (err) return done(err);
+                // Small tables are counted exactly with count=estimated
+                request(app)
+                    .get('/api/test_response?limit=1&value=lt.3')
+                    .set('Prefer', 'count=estimated')
+                    .expect(206)
+                    .expect('Content-Range', '0-0/3', done);
+            });
+    });
+
     // Create Tests
     it('should return 200/201 and metadata by default on create', function (done) {
         request(app)
@@ -213,4 +297,45 @@ describe(__filename + ':: PostgREST Response Format Tests', function () {
             });
     });
 
+    it('should return every row of a bulk insert with AUTO_INCREMENT keys', function (done) {
+        request(app)
+            .post('/api/test_response')
+            .set('Prefer', 'return=representation')
+            .send([{ name: 'bulk_a', value: 1 }, { name: 'bulk_b', value: 2 }])
+            .expect(201)
+            .end(function(err, res) {
+                if (err) return done(err);
+                assert.deepEqual(res.body.map(r => r.name), ['bulk_a', 'bulk_b']);
+                done();
+            });
+    });
+
+    it('should return every row of a bulk insert with UUID keys', function (done) {
+        request(app)
+            .post('/api/test_uuid')
+            .set('Prefer', 'return=representation')
+            .send([{ name: 'uuid_a' }, { name: 'uuid_b' }])
+            .expect(201)
+            .end(function(err, res) {
+                if (err) return done(err);
+                assert.equal(res.body.length, 2);
+                assert.equal(res.body[0].id.length, 36);
+                done();
+            });
+    });
+
+    it('should answer return=headers-only with a Location header', function (done) {
+        request(app)
+            .post('/api/test_response')
+            .set('Prefer', 'return=headers-only')
+            .send({ name: 'located', value: 7 })
+            .expect(201)
+            .end(function(err, res) {
+                if (err) return done(err);
+                assert.match(res.headers['location'], /^\/api\/test_response\/\d+$/);
+                assert.equal(res.text, '');
+                done();
+            });
+    });
+
 });
@@ -75,10 +75,16 @@ describe(__filename + ':: postgrest where clause unit tests', function () {
     done()
   });
   
-  it('ignore unknown operators ?id=unknown.123 should PASS (ignore)', function (done) {
-    var err = postgrestWhereClause.getWhereClause({ id: 'unknown.123' })
-    err.query.should.be.equal('')
-    err.params.length.should.be.equal(0)
+  it('unknown operators ?id=unknown.123 should throw a 400 error', function (done) {
+    (function () {
+      postgrestWhereClause.getWhereClause({ id: 'unknown.123' })
+    }).should.throw({ statusCode: 400 });
+    (function () {
+      postgrestWhereClause.getWhereClause({ id: '123' })
+    }).should.throw({ statusCode: 400 });
+    (function () {
+      postgrestWhereClause.getWhereClause({ or: '(id.unknown.1,id.eq.2)' })
+    }).should.throw({ statusCode: 400 });
     done()
   });
 
@@ -131,4 +137,167 @@ describe(__filename + ':: postgrest where clause unit tests', function () {
     done()
   });
 
+  it('or group ?or=(age.lt.18,age.gt.65) should PASS', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ or: '(age.lt.18,age.gt.65)' })
+    err.query.should.be.equal('(?? < ? OR ?? > ?)')
+    err.params.should.be.eql(['age', '18', 'age', '65'])
+    done()
+  });
+
+  it('nested and inside or ?or=(age.lt.18,and(status.eq.active,age.gte.65)) should PASS', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ or: '(age.lt.18,and(status.eq.active,age.gte.65))' })
+    err.query.should.be.equal('(?? < ? OR (?? = ? AND ?? >= ?))')
+    err.params.should.be.eql(['age', '18', 'status', 'active', 'age', '65'])
+    done()
+  });
+
+  it('or group combined with plain filters should AND them together', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ country: 'eq.USA', or: '(city.eq.NYC,city.eq.Boston)' })
+    err.query.should.be.equal('?? = ? AND (?? = ? OR ?? = ?)')
+    err.params.should.be.eql(['country', 'USA', 'city', 'NYC', 'city', 'Boston'])
+    done()
+  });
+
+  it('negated groups ?not.or=(a.eq.1,b.eq.2) and nested not.and(...) should PASS', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ 'not.or': '(a.eq.1,not.and(b.eq.2,c.eq.3))' })
+    err.query.should.be.equal('NOT (?? = ? OR NOT (?? = ? AND ?? = ?))')
+    err.params.should.be.eql(['a', '1', 'b', '2', 'c', '3'])
+    done()
+  });
+
+  it('not operator ?status=not.eq.archived should PASS', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ status: 'not.eq.archived' })
+    err.query.should.be.equal('NOT (?? = ?)')
+    err.params.should.be.eql(['status', 'archived'])
+    done()
+  });
+
+  it('not in ?id=not.in.(1,2) and not is null ?email=not.is.null should PASS', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ id: 'not.in.(1,2)', email: 'not.is.null' })
+    err.query.should.be.equal('NOT (?? IN (?)) AND NOT (?? IS NULL)')
+    err.params.should.be.eql(['id', ['1', '2'], 'email'])
+    done()
+  });
+
+  it('negated condition inside a group ?or=(age.not.is.null,id.not.in.(1,2)) should PASS', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ or: '(age.not.is.null,id.not.in.(1,2))' })
+    err.query.should.be.equal('(NOT (?? IS NULL) OR NOT (?? IN (?)))')
+    err.params.should.be.eql(['age', 'id', ['1', '2']])
+    done()
+  });
+
+  it('quoted values in groups ?or=(name.eq."Doe, John",name.eq.x) should PASS', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ or: '(name.eq."Doe, John",name.eq.x)' })
+    err.query.should.be.equal('(?? = ? OR ?? = ?)')
+    err.params.should.be.eql(['name', 'Doe, John', 'name', 'x'])
+    done()
+  });
+
+  it('empty in list ?id=in.() should match nothing', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ id: 'in.()' })
+    err.query.should.be.equal('1 = 0')
+    err.params.length.should.be.equal(0)
+    done()
+  });
+
+  it('embedded filters ?clients.or=(...)&clients.name=eq.x are only used for their path', function (done) {
+    var params = { id: 'eq.1', 'clients.or': '(age.lt.18,age.gt.65)', 'clients.name': 'eq.x', 'clients.projects.id': 'eq.2' }
+
+    var top = postgrestWhereClause.getWhereClause(params)
+    top.query.should.be.equal('?? = ?')
+    top.params.should.be.eql(['id', '1'])
+
+    var embedded = postgrestWhereClause.getWhereClause(params, 'clients')
+    embedded.query.should.be.equal('(?? < ? OR ?? > ?) AND ?? = ?')
+    embedded.params.should.be.eql(['age', '18', 'age', '65', 'name', 'x'])
+
+    var nested = postgrestWhereClause.getWhereClause(params, 'clients.projects')
+    nested.query.should.be.equal('?? = ?')
+    nested.params.should.be.eql(['id', '2'])
+    done()
+  });
+
+  it('malformed logic tree ?or=age.lt.18 should throw a 400 error', function (done) {
+    (function () {
+      postgrestWhereClause.getWhereClause({ or: 'age.lt.18' })
+    }).should.throw({ statusCode: 400 });
+    (function () {
+      postgrestWhereClause.getWhereClause({ or: '(age.lt.18,and(status.eq.active)' })
+    }).should.throw({ statusCode: 400 });
+    done()
+  });
+
+  it('match / imatch ?name=match.^J.*n$ should map to REGEXP with case flags', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ name: 'match.^J.*n$', city: 'imatch.york' })
+    err.query.should.be.equal('?? REGEXP ? AND ?? REGEXP ?')
+    err.params.should.be.eql(['name', '(?-i)^J.*n$', 'city', '(?i)york'])
+    done()
+  });
+
+  it('like(any) ?name=like(any).{O%,P%} should OR the patterns', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ name: 'like(any).{O%,P%}' })
+    err.query.should.be.equal('(?? LIKE ? OR ?? LIKE ?)')
+    err.params.should.be.eql(['name', 'O%', 'name', 'P%'])
+    done()
+  });
+
+  it('eq(all) and not.like(all) quantifiers should AND the values', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ tag: 'eq(all).{a,b}', name: 'not.like(all).{%x%,%y%}' })
+    err.query.should.be.equal('(?? = ? AND ?? = ?) AND NOT ((?? LIKE ? AND ?? LIKE ?))')
+    err.params.should.be.eql(['tag', 'a', 'tag', 'b', 'name', '%x%', 'name', '%y%'])
+    done()
+  });
+
+  it('invalid quantifier ?id=in(any).{1} should throw a 400 error', function (done) {
+    (function () {
+      postgrestWhereClause.getWhereClause({ id: 'in(any).{1}' })
+    }).should.throw({ statusCode: 400 });
+    done()
+  });
+
+  it('isdistinct ?status=isdistinct.active should use null-safe comparison', function (done) {
+    var err = postgrestWhereClause.getWhereClause({ status: 'isdistinct.active', owner: 'isdistinct.null' })
+    err.query.should.be.equal('NOT (?? <=> ?) AND NOT (?? <=> ?)')
+    err.params.should.be.eql(['status', 'active', 'owner', null])
+    done()
+  });
+
+  describe('full-text search', function () {
+
+    var tableMeta = {
+      indicies: [
+        { index_name: 'ft_body', index_type: 'FULLTEXT', non_unique: true, columns: ['body'] },
+        { index_name: 'idx_title', index_type: 'BTREE', non_unique: true, columns: ['title'] }
+      ]
+    }
+
+    it('fts should convert tsquery syntax to MATCH ... AGAINST boolean mode', function (done) {
+      var err = postgrestWhereClause.getWhereClause({ body: "fts.fat & rat & !cat" }, null, tableMeta)
+      err.query.should.be.equal('MATCH (??) AGAINST (? IN BOOLEAN MODE)')
+      err.params.should.be.eql(['body', '+fat +rat -cat'])
+      done()
+    });
+
+    it('plfts, phfts and wfts should convert their query syntax', function (done) {
+      postgrestWhereClause.getWhereClause({ body: 'plfts(english).fat rats' }, null, tableMeta)
+        .params.should.be.eql(['body', '+fat +rats'])
+      postgrestWhereClause.getWhereClause({ body: 'phfts.fat rats' }, null, tableMeta)
+        .params.should.be.eql(['body', '"fat rats"'])
+      postgrestWhereClause.getWhereClause({ body: 'wfts."sad cat" or fat -rat' }, null, tableMeta)
+        .params.should.be.eql(['body', '"sad cat" fat -rat'])
+      done()
+    });
+
+    it('fts without a FULLTEXT index on the column should throw a 400 error', function (done) {
+      (function () {
+        postgrestWhereClause.getWhereClause({ title: 'fts.fat' }, null, tableMeta)
+      }).should.throw({ statusCode: 400 });
+      (function () {
+        postgrestWhereClause.getWhereClause({ body: 'fts.fat' })
+      }).should.throw({ statusCode: 400 });
+      done()
+    });
+
+  });
+
 });
@@ -105,4 +105,43 @@ describe(__filename + ':: myrest : postgrest upsert tests', function () {
       });
   });
 
+  it('Upsert - Prefer resolution=merge-duplicates with on_conflict (Bulk)', function (done) {
+    agent.post('/api/productlines')
+      .send({ productLine: 'PreferUpsert', textDescription: 'Original' })
+      .expect(200)
+      .end(function(err, res) {
+          if(err) return done(err);
+
+          agent.post('/api/productlines?on_conflict=productLine&columns=productLine,textDescription')
+            .set('Prefer', 'resolution=merge-duplicates')
+            .send([{ productLine: 'PreferUpsert', textDescription: 'Updated' }])
+            .expect(200)
+            .end(function(err, res) {
+                if(err) return done(err);
+
+                agent.get('/api/productlines/PreferUpsert')
+                  .expect(200)
+                  .end(function(err, res) {
+                      if(err) return done(err);
+                      res.body[0].textDescription.should.equal('Updated');
+
+                      // Cleanup
+                      agent.delete('/api/productlines/PreferUpsert').end(done);
+                  });
+            });
+      });
+  });
+
+  it('Upsert - on_conflict without unique index returns 400', function (done) {
+    agent.post('/api/productlines?on_conflict=textDescription')
+      .set('Prefer', 'resolution=merge-duplicates')
+      .send({ productLine: 'NoIndex', textDescription: 'x' })
+      .expect(400)
+      .end(function(err, res) {
+          if(err) return done(err);
+          res.body.code.should.equal('42P10');
+          done();
+      });
+  });
+
 });
@@ -0,0 +1,37 @@
+'use strict';
+
+var should = require('should');
+var preferHelp = require('../lib/util/prefer.helper.js');
+
+describe(__filename + ':: Prefer header unit tests', function () {
+
+  it('should split preferences into name/value pairs', function (done) {
+    preferHelp.parsePreferHeader('return=representation, count=exact').should.eql({ return: 'representation', count: 'exact' });
+    preferHelp.parsePreferHeader(undefined).should.eql({});
+    done();
+  });
+
+  it('should read max-affected only with strict handling', function (done) {
+    preferHelp.getMaxAffected('handling=strict, max-affected=5').should.equal(5);
+    preferHelp.getMaxAffected('max-affected=0, handling=strict').should.equal(0);
+    should.not.exist(preferHelp.getMaxAffected('max-affected=5'));
+    should.not.exist(preferHelp.getMaxAffected('handling=lenient, max-affected=5'));
+    should.not.exist(preferHelp.getMaxAffected('handling=strict, max-affected=abc'));
+    done();
+  });
+
+  it('should read the resolution preference', function (done) {
+    preferHelp.getResolution('resolution=merge-duplicates, return=representation').should.equal('merge-duplicates');
+    should.not.exist(preferHelp.getResolution('return=minimal'));
+    done();
+  });
+
+  it('should split on_conflict and columns lists', function (done) {
+    preferHelp.parseColumnList('a, b').should.eql(['a', 'b']);
+    preferHelp.parseColumnList('"a","b"').should.eql(['a', 'b']);
+    should.not.exist(preferHelp.parseColumnList(undefined));
+    should.not.exist(preferHelp.parseColumnList(''));
+    done();
+  });
+
+});
@@ -0,0 +1,663 @@
+'use strict';
+
+var should = require('should');
+var QueryBuilderService = require('../lib/domain/services/QueryBuilderService.js');
+var RlsService = require('../lib/domain/services/RlsService.js');
+var ColumnGrantService = require('../lib/domain/services/ColumnGrantService.js');
+var Xsql = require('../lib/xsql.js');
+var tableScope = require('../lib/util/tableScope.helper.js');
+
+function column(name, dataType, columnKey) {
+  return { column_name: name, data_type: dataType || 'int', column_type: dataType || 'int', column_key: columnKey || '' };
+}
+
+function getMetaDb() {
+  return {
+    tables: {
+      clients: {
+        columns: [column('id', 'int', 'PRI'), column('name', 'varchar')],
+        primaryKeys: [column('id', 'int', 'PRI')],
+        foreignKeys: [],
+        indicies: []
+      },
+      projects: {
+        columns: [column('id', 'int', 'PRI'), column('client_id', 'int', 'MUL'), column('status', 'varchar'), column('created_at', 'datetime'), column('data', 'json')],
+        primaryKeys: [column('id', 'int', 'PRI')],
+        foreignKeys: [
+          { column_name: 'client_id', table_name: 'projects', referenced_table_name: 'clients', referenced_column_name: 'id', data_type: 'int' }
+        ],
+        indicies: []
+      },
+      tasks: {
+        columns: [column('id', 'int', 'PRI'), column('project_id', 'int', 'MUL'), column('done', 'tinyint')],
+        primaryKeys: [column('id', 'int', 'PRI')],
+        foreignKeys: [
+          { column_name: 'project_id', table_name: 'tasks', referenced_table_name: 'projects', referenced_column_name: 'id', data_type: 'int' }
+        ],
+        indicies: []
+      },
+      films: {
+        columns: [column('film_id', 'int', 'PRI'), column('title', 'varchar')],
+        primaryKeys: [column('film_id', 'int', 'PRI')],
+        foreignKeys: [],
+        indicies: []
+      },
+      actors: {
+        columns: [column('actor_id', 'int', 'PRI'), column('name', 'varchar')],
+        primaryKeys: [column('actor_id', 'int', 'PRI')],
+        foreignKeys: [],
+        indicies: []
+      },
+      film_actor: {
+        columns: [column('film_id', 'int', 'PRI'), column('actor_id', 'int', 'PRI'), column('role', 'varchar')],
+        primaryKeys: [column('film_id', 'int', 'PRI'), column('actor_id', 'int', 'PRI')],
+        foreignKeys: [
+          { column_name: 'film_id', table_name: 'film_actor', referenced_table_name: 'films', referenced_column_name: 'film_id', data_type: 'int' },
+          { column_name: 'actor_id', table_name: 'film_actor', referenced_table_name: 'actors', referenced_column_name: 'actor_id', data_type: 'int' }
+        ],
+        indicies: []
+      },
+      shipments: {
+        columns: [column('code', 'varchar', 'PRI'), column('shipment_no', 'int', 'PRI'), column('carrier', 'varchar')],
+        primaryKeys: [column('code', 'varchar', 'PRI'), column('shipment_no', 'int', 'PRI')],
+        foreignKeys: [],
+        indicies: []
+      },
+      parcels: {
+        columns: [column('parcel_id', 'int', 'PRI'), column('warehouse_code', 'varchar', 'MUL'), column('shipment_no', 'int')],
+        primaryKeys: [column('parcel_id', 'int', 'PRI')],
+        foreignKeys: [{
+          constraint_name: 'fk_parcels_shipments',
+          table_name: 'parcels',
+          referenced_table_name: 'shipments',
+          column_name: 'warehouse_code',
+          referenced_column_name: 'code',
+          data_type: 'varchar',
+          columns: [
+            { column_name: 'warehouse_code', referenced_column_name: 'code', data_type: 'varchar' },
+            { column_name: 'shipment_no', referenced_column_name: 'shipment_no', data_type: 'int' }
+          ]
+        }],
+        indicies: []
+      }
+    },
+    routines: {}
+  };
+}
+
+describe(__filename + ':: QueryBuilderService Unit Tests', function () {
+
+  var queryBuilder;
+
+  beforeEach(function () {
+    queryBuilder = new QueryBuilderService(getMetaDb());
+  });
+
+  describe('embedded resources', function () {
+
+    it('should embed 1:N rows without filters', function (done) {
+      var sql = queryBuilder.getNestedQuery('clients', 'projects', 'id,status', undefined, {});
+      sql.should.be.equal("(SELECT CAST(COALESCE(JSON_ARRAYAGG(JSON_OBJECT('id', projects.id, 'status', projects.status)), '[]') AS JSON) " +
+        'FROM projects WHERE projects.client_id = clients.id)');
+      done();
+    });
+
+    it('should apply path.column filters to embedded rows', function (done) {
+      var sql = queryBuilder.getNestedQuery('clients', 'projects', 'id', undefined, { 'projects.status': 'eq.open', status: 'eq.ignored' });
+      sql.should.containEql("WHERE projects.client_id = clients.id AND `projects`.`status` = 'open')");
+      sql.should.not.containEql('ignored');
+      done();
+    });
+
+    it('should apply path.or logic trees to embedded rows', function (done) {
+      var sql = queryBuilder.getNestedQuery('clients', 'projects', 'id', undefined, { 'projects.or': '(status.eq.open,status.is.null)' });
+      sql.should.containEql("AND (`projects`.`status` = 'open' OR `projects`.`status` IS NULL))");
+      done();
+    });
+
+    it('should order and limit embedded rows through a derived table', function (done) {
+      var sql = queryBuilder.getNestedQuery('clients', 'projects', 'id', undefined, {
+        'projects.order': 'created_at.desc,id',
+        'projects.limit': '5',
+        'projects.offset': '10'
+      });
+      sql.should.containEql('FROM (SELECT projects.* FROM projects WHERE projects.client_id = clients.id ' +
+        'ORDER BY `projects`.`created_at` DESC, `projects`.`id` ASC LIMIT 10, 5) AS projects ');
+      done();
+    });
+
+    it('should aggregate ordered embedded rows in order through a window', function (done) {
+      var sql = queryBuilder.getNestedQuery('clients', 'projects', 'id', undefined, { 'projects.order': 'created_at.desc' });
+      sql.should.be.equal("(SELECT CAST(COALESCE((SELECT _embed_json FROM (SELECT JSON_ARRAYAGG(JSON_OBJECT('id', projects.id)) OVER w AS _embed_json, " +
+        'ROW_NUMBER() OVER w AS _embed_row FROM (SELECT projects.* FROM projects WHERE projects.client_id = clients.id ' +
+        'ORDER BY `projects`.`created_at` DESC) AS projects WINDOW w AS (ORDER BY `projects`.`created_at` DESC ROWS UNBOUNDED PRECEDING)) ' +
+        "AS _embed_ordered ORDER BY _embed_row DESC LIMIT 1), '[]') AS JSON))");
+      queryBuilder.getNestedQuery('clients', 'projects', 'id', undefined, { 'projects.limit': '5' })
+        .should.containEql("(SELECT CAST(COALESCE(JSON_ARRAYAGG(JSON_OBJECT('id', projects.id)), '[]') AS JSON) FROM (SELECT projects.* FROM projects");
+      done();
+    });
+
+    it('should reject unknown order columns and invalid limits on embedded rows', function (done) {
+      (function () {
+        queryBuilder.getNestedQuery('clients', 'projects', 'id', undefined, { 'projects.order': 'nope.desc' });
+      }).should.throw({ statusCode: 400 });
+      (function () {
+        queryBuilder.getNestedQuery('clients', 'projects', 'id', undefined, { 'projects.limit': '5;drop' });
+      }).should.throw({ statusCode: 400 });
+      done();
+    });
+
+    it('should use the nested path for filters of nested embeds', function (done) {
+      var cols = queryBuilder.resolveSelectColumns('clients', 'id,projects(id,tasks(id))', { 'projects.tasks.done': 'eq.true' });
+      cols.should.containEql('WHERE tasks.project_id = projects.id AND `tasks`.`done` = 1');
+      done();
+    });
+
+    it('should build EXISTS conditions for !inner embeds', function (done) {
+      var where = queryBuilder.getInnerJoinWhereClause('clients', 'id,projects!inner(id)', { 'projects.status': 'eq.open' });
+      where.should.be.equal("EXISTS (SELECT 1 FROM projects WHERE projects.client_id = clients.id AND `projects`.`status` = 'open')");
+
+      queryBuilder.getInnerJoinWhereClause('clients', 'id,projects(id)', {}).should.be.equal('');
+      done();
+    });
+
+    it('should not count !inner embeds as a client filter', function (done) {
+      var xsql = { metaDb: queryBuilder.metaDb, queryBuilder: queryBuilder };
+      var where = function (queryParams) {
+        var whereObj = { query: '', params: [] };
+        return { filtered: Xsql.prototype.getWhereClause.call(xsql, queryParams, 'clients', whereObj, ' WHERE '), whereObj: whereObj };
+      };
+
+      var inner = where({ select: 'id,projects!inner(*)' });
+      inner.filtered.should.be.false();
+      inner.whereObj.query.should.startWith(' WHERE EXISTS (SELECT 1 FROM projects');
+      where({ select: 'id,projects!inner(*)', name: 'eq.a' }).filtered.should.be.true();
+      where({ or: '(id.eq.1,name.eq.a)' }).filtered.should.be.true();
+      where({ _where: '(id,eq,1)' }).filtered.should.be.true();
+      done();
+    });
+
+    it('should drop embedded rows without matches of a nested !inner embed', function (done) {
+      var sql = queryBuilder.getNestedQuery('clients', 'projects', 'id,tasks!inner(id)', undefined, {}, 'projects');
+      sql.should.containEql('WHERE projects.client_id = clients.id AND EXISTS (SELECT 1 FROM tasks WHERE tasks.project_id = projects.id)');
+      done();
+    });
+
+  });
+
+  describe('many-to-many embedding', function () {
+
+    var junctionSql = 'actors.actor_id IN (SELECT film_actor.actor_id FROM film_actor WHERE film_actor.film_id = films.film_id)';
+
+    it('should embed through a junction table whose FKs are part of its primary key', function (done) {
+      var sql = queryBuilder.getNestedQuery('films', 'actors', 'name', undefined, {});
+      sql.should.be.equal("(SELECT CAST(COALESCE(JSON_ARRAYAGG(JSON_OBJECT('name', actors.name)), '[]') AS JSON) " +
+        'FROM actors WHERE ' + junctionSql + ')');
+      done();
+    });
+
+    it('should embed in the other direction and combine with filters', function (done) {
+      var sql = queryBuilder.getNestedQuery('actors', 'films', 'title', undefined, { 'films.title': 'like.A%' });
+      sql.should.containEql('WHERE films.film_id IN (SELECT film_actor.film_id FROM film_actor WHERE film_actor.actor_id = actors.actor_id)');
+      sql.should.containEql("AND `films`.`title` LIKE 'A%'");
+      done();
+    });
+
+    it('should not treat a table as junction when the FKs are not in its primary key', function (done) {
+      var metaDb = getMetaDb();
+      metaDb.tables.film_actor.primaryKeys = [column('id', 'int', 'PRI')];
+      new QueryBuilderService(metaDb).getNestedQuery('films', 'actors', '*', undefined, {}).should.be.equal('NULL');
+      done();
+    });
+
+    it('should reject ambiguous junctions unless a hint is given', function (done) {
+      var metaDb = getMetaDb();
+      metaDb.tables.film_director = {
+        columns: [column('film_id', 'int', 'PRI'), column('director_id', 'int', 'PRI')],
+        primaryKeys: [column('film_id', 'int', 'PRI'), column('director_id', 'int', 'PRI')],
+        foreignKeys: [
+          { column_name: 'film_id', table_name: 'film_director', referenced_table_name: 'films', referenced_column_name: 'film_id', data_type: 'int' },
+          { column_name: 'director_id', table_name: 'film_director', referenced_table_name: 'actors', referenced_column_name: 'actor_id', data_type: 'int' }
+        ],
+        indicies: []
+      };
+      queryBuilder = new QueryBuilderService(metaDb);
+
+      (function () {
+        queryBuilder.getNestedQuery('films', 'actors', '*', undefined, {});
+      }).should.throw({ statusCode: 400 });
+
+      queryBuilder.resolveSelectColumns('films', 'title,actors!film_director(name)', {})
+        .should.containEql('FROM film_director WHERE film_director.film_id = films.film_id');
+      queryBuilder.resolveSelectColumns('films', 'title,director_id:actors(name)', {})
+        .should.containEql('actors.actor_id IN (SELECT film_director.director_id');
+      done();
+    });
+
+    it('should support !inner on many-to-many embeds', function (done) {
+      queryBuilder.getInnerJoinWhereClause('films', 'actors!inner(name)', {})
+        .should.be.equal('EXISTS (SELECT 1 FROM actors WHERE ' + junctionSql + ')');
+      done();
+    });
+
+  });
+
+  describe('row level security', function () {
+
+    beforeEach(function () {
+      var rlsService = new RlsService(null);
+      ['projects', 'actors', 'film_actor'].forEach(function (table) {
+        rlsService.rlsPolicies[table] = { SELECT: [{ using_expression: 'tenant = @tenant' }], INSERT: [], UPDATE: [], DELETE: [] };
+      });
+      queryBuilder = new QueryBuilderService(getMetaDb(), rlsService);
+    });
+
+    it('should limit embedded rows by the SELECT policies of the embedded table', function (done) {
+      queryBuilder.getNestedQuery('clients', 'projects', 'id', undefined, {})
+        .should.containEql('FROM projects WHERE projects.client_id = clients.id AND ((tenant = @tenant)))');
+      queryBuilder.getNestedQuery('projects', 'clients', 'id', undefined, {})
+        .should.containEql('FROM clients WHERE clients.id = projects.client_id)');
+      done();
+    });
+
+    it('should apply policies to !inner conditions, junction tables and embedded ordering', function (done) {
+      queryBuilder.getInnerJoinWhereClause('clients', 'projects!inner(id)', {})
+        .should.be.equal('EXISTS (SELECT 1 FROM projects WHERE projects.client_id = clients.id AND ((tenant = @tenant)))');
+      queryBuilder.getNestedQuery('films', 'actors', 'name', undefined, {})
+        .should.containEql('FROM film_actor WHERE film_actor.film_id = films.film_id AND ((tenant = @tenant))) AND ((tenant = @tenant)))');
+      queryBuilder.getOrderByClause({ order: 'projects(status).desc' }, 'tasks')
+        .should.containEql('WHERE projects.id = tasks.project_id AND ((tenant = @tenant)))');
+      done();
+    });
+
+  });
+
+  describe('API key table scope', function () {
+
+    it('should refuse embedding, joining and ordering by tables outside the scope', function (done) {
+      queryBuilder = new QueryBuilderService(getMetaDb());
+      var context = tableScope.restrict({ role: 'service' }, ['clients', 'projects', 'films']);
+      var refused = { statusCode: 403, message: 'API key is not allowed to use table tasks', details: { code: '42501' } };
+
+      queryBuilder.getColumnsForSelectStmt('clients', { select: '*,projects(id)' }, context).should.containEql('FROM projects');
+      (function () { queryBuilder.getColumnsForSelectStmt('projects', { select: '*,tasks(*)' }, context); }).should.throw(refused);
+      (function () { queryBuilder.getColumnsForSelectStmt('clients', { select: 'projects(tasks(id))' }, context); }).should.throw(refused);
+      (function () { queryBuilder.getInnerJoinWhereClause('projects', 'id,tasks!inner(id)', {}, '', context); }).should.throw(refused);
+      (function () { queryBuilder.getOrderByClause({ order: 'clients(name)' }, 'projects', [], tableScope.restrict({}, ['projects'])); })
+        .should.throw({ statusCode: 403, message: 'API key is not allowed to use table clients' });
+      (function () { queryBuilder.getNestedQuery('films', 'actors', 'name', undefined, {}, 'actors', tableScope.restrict({}, ['films', 'actors'])); })
+        .should.throw({ statusCode: 403, message: 'API key is not allowed to use table film_actor' });
+      queryBuilder.getColumnsForSelectStmt('projects', { select: '*,tasks(*)' }, { role: 'service' }).should.containEql('FROM tasks');
+      done();
+    });
+
+  });
+
+  describe('column grants', function () {
+
+    var user = { role: 'user' };
+
+    beforeEach(function () {
+      var columnGrantService = new ColumnGrantService(null, new RlsService(null));
+      columnGrantService.columnGrants = {
+        projects: [
+          { role: '*', column_name: 'id', can_select: 1 },
+          { role: '*', column_name: 'client_id', can_select: 1 },
+          { role: 'user', column_name: 'status', can_select: 1 },
+          { role: 'admin', column_name: '*', can_select: 1 }
+        ]
+      };
+      queryBuilder = new QueryBuilderService(getMetaDb(), null, columnGrantService);
+    });
+
+    it('should only expand * to the columns granted to the role', function (done) {
+      queryBuilder.resolveSelectColumns('projects', '*', {}, user)
+        .should.be.equal('projects.id, projects.client_id, projects.status');
+      queryBuilder.resolveSelectColumns('projects', '*', {})
+        .should.be.equal('projects.id, projects.client_id');
+      queryBuilder.resolveSelectColumns('projects', '*', {}, { role: 'admin' }).should.containEql('projects.data');
+      queryBuilder.resolveSelectColumns('projects', '*', {}, { role: 'bypass_rls' }).should.containEql('projects.data');
+      done();
+    });
+
+    it('should refuse explicitly selected columns that are not granted', function (done) {
+      (function () {
+        queryBuilder.resolveSelectColumns('projects', 'id,data->>owner', {}, user);
+      }).should.throw({ statusCode: 403, details: { code: '42501' } });
+      (function () {
+        queryBuilder.resolveSelectColumns('clients', 'name,projects(created_at)', {}, user);
+      }).should.throw({ statusCode: 403 });
+      queryBuilder.resolveSelectColumns('projects', 'count()', {}, user).should.be.equal('COUNT(*) AS `count`');
+      done();
+    });
+
+    it('should leave ungranted columns out of embedded resources', function (done) {
+      queryBuilder.getNestedQuery('clients', 'projects', '*', undefined, {}, 'projects', user)
+        .should.containEql("JSON_OBJECT('id', projects.id, 'client_id', projects.client_id, 'status', projects.status)");
+      done();
+    });
+
+    it('should not fall back to * when no column is selectable', function (done) {
+      queryBuilder.resolveSelectColumns('projects', '-id,-client_id', {}).should.be.equal(' `id`, `client_id` ');
+      queryBuilder.columnGrantService.columnGrants.projects = [{ role: 'admin', column_name: '*', can_select: 1 }];
+      (function () {
+        queryBuilder.resolveSelectColumns('projects', '*', {}, user);
+      }).should.throw({ statusCode: 403 });
+      done();
+    });
+
+    it('should refuse filters on columns that are not granted', function (done) {
+      var xsql = { metaDb: queryBuilder.metaDb, queryBuilder: queryBuilder, columnGrantService: queryBuilder.columnGrantService };
+      var where = function (queryParams, context) {
+        var whereObj = { query: '', params: [] };
+        Xsql.prototype.getWhereClause.call(xsql, queryParams, 'projects', whereObj, ' WHERE ', context);
+        return whereObj;
+      };
+
+      where({ status: 'eq.open' }, user).query.should.be.equal(' WHERE ?? = ?');
+      (function () {
+        where({ created_at: 'gt.2020-01-01' }, user);
+      }).should.throw({ statusCode: 403, details: { code: '42501' } });
+      (function () {
+        where({ or: '(id.eq.1,and(status.eq.open,created_at.gt.2020-01-01))' }, user);
+      }).should.throw({ statusCode: 403 });
+      (function () {
+        where({ _where: '(created_at,gt,2020-01-01)' }, user);
+      }).should.throw({ statusCode: 403 });
+      (function () {
+        queryBuilder.getNestedQuery('clients', 'projects', 'id', undefined, { 'projects.created_at': 'gt.2020-01-01' }, 'projects', user);
+      }).should.throw({ statusCode: 403 });
+      done();
+    });
+
+    it('should refuse ordering by columns that are not granted', function (done) {
+      queryBuilder.getOrderByClause({ order: 'status.desc' }, 'projects', [], user).should.be.equal(' ORDER BY `projects`.`status` DESC');
+      (function () {
+        queryBuilder.getOrderByClause({ order: 'created_at' }, 'projects', [], user);
+      }).should.throw({ statusCode: 403, details: { code: '42501' } });
+      (function () {
+        queryBuilder.getOrderByClause({ _sort: '-status' }, 'projects', [], {});
+      }).should.throw({ statusCode: 403 });
+      (function () {
+        queryBuilder.getOrderByClause({ order: 'projects(created_at)' }, 'tasks', [], user);
+      }).should.throw({ statusCode: 403 });
+      (function () {
+        queryBuilder.getNestedQuery('clients', 'projects', 'id', undefined, { 'projects.order': 'created_at' }, 'projects', user);
+      }).should.throw({ statusCode: 403 });
+      done();
+    });
+
+    it('should refuse cursors keyed on columns that are not granted', function (done) {
+      queryBuilder.getCursorPagination({ cursor: '', order: 'status' }, 'projects', user).keys
+        .map(key => key.column).should.eql(['status', 'id']);
+      (function () {
+        queryBuilder.getCursorPagination({ cursor: '', order: 'created_at' }, 'projects', user);
+      }).should.throw({ statusCode: 403, details: { code: '42501' } });
+      done();
+    });
+
+  });
+
+  describe('composite foreign keys', function () {
+
+    it('should join embedded rows on every column of the constraint', function (done) {
+      queryBuilder.getNestedQuery('shipments', 'parcels', 'parcel_id', undefined, {})
+        .should.containEql('WHERE parcels.warehouse_code = shipments.code AND parcels.shipment_no = shipments.shipment_no)');
+      queryBuilder.getNestedQuery('parcels', 'shipments', 'carrier', undefined, {})
+        .should.be.equal("(SELECT JSON_OBJECT('carrier', shipments.carrier) FROM shipments " +
+          'WHERE shipments.code = parcels.warehouse_code AND shipments.shipment_no = parcels.shipment_no)');
+      done();
+    });
+
+    it('should accept the constraint name as hint', function (done) {
+      queryBuilder.resolveSelectColumns('shipments', 'parcels!fk_parcels_shipments(parcel_id)', {})
+        .should.containEql('parcels.warehouse_code = shipments.code');
+      done();
+    });
+
+    it('should build relational WHERE clauses from ___ separated ids', function (done) {
+      queryBuilder.getForeignKeyWhereClause('shipments', 'BOS___42', 'parcels')
+        .should.be.equal("warehouse_code = 'BOS' and shipment_no = 42");
+      should.not.exist(queryBuilder.getForeignKeyWhereClause('shipments', 'BOS', 'parcels'));
+      queryBuilder.getForeignKeyWhereClause('clients', '7', 'projects').should.be.equal('client_id = 7');
+      done();
+    });
+
+  });
+
+  describe('select aliases, casts and JSON paths', function () {
+
+    it('should alias and cast selected columns', function (done) {
+      queryBuilder.resolveSelectColumns('projects', 'id,state:status,created:created_at::date,client_id::text', {})
+        .should.be.equal('projects.id, projects.status AS `state`, CAST(projects.created_at AS DATE) AS `created`, ' +
+          'CAST(projects.client_id AS CHAR) AS `client_id`');
+      done();
+    });
+
+    it('should map -> and ->> to JSON_EXTRACT and JSON_UNQUOTE', function (done) {
+      queryBuilder.resolveSelectColumns('projects', 'data->owner->name,budget:data->>budget::numeric,data->tags->>0', {})
+        .should.be.equal("JSON_EXTRACT(projects.data, '$.\"owner\".\"name\"') AS `name`, " +
+          "CAST(JSON_UNQUOTE(JSON_EXTRACT(projects.data, '$.\"budget\"')) AS DECIMAL(65,10)) AS `budget`, " +
+          "JSON_UNQUOTE(JSON_EXTRACT(projects.data, '$.\"tags\"[0]')) AS `0`");
+      done();
+    });
+
+    it('should use aliases as keys of embedded JSON objects', function (done) {
+      queryBuilder.getNestedQuery('clients', 'projects', 'state:status,data->>owner', undefined, {})
+        .should.containEql("JSON_OBJECT('state', projects.status, 'owner', JSON_UNQUOTE(JSON_EXTRACT(projects.data, '$.\"owner\"')))");
+      done();
+    });
+
+    it('should reject unsupported casts and JSON path keys, and skip unknown columns', function (done) {
+      (function () {
+        queryBuilder.resolveSelectColumns('projects', 'id::varchar(1)); drop table x', {});
+      }).should.throw({ statusCode: 400 });
+      (function () {
+        queryBuilder.resolveSelectColumns('projects', "data->>'x", {});
+      }).should.throw({ statusCode: 400 });
+      queryBuilder.resolveSelectColumns('projects', 'id,nope:missing::text,missing->x', {}).should.be.equal('projects.id');
+      done();
+    });
+
+  });
+
+  describe('aggregates in select', function () {
+
+    it('should aggregate and group by the non-aggregated columns', function (done) {
+      var queryParams = { select: 'status,id.count(),n:count(),latest:created_at.max()' };
+      queryBuilder.getColumnsForSelectStmt('projects', queryParams)
+        .should.be.equal('projects.status, COUNT(projects.id) AS `count`, COUNT(*) AS `n`, MAX(projects.created_at) AS `latest`');
+      queryBuilder.getGroupByClause('projects', queryParams).should.be.equal(' GROUP BY projects.status');
+      done();
+    });
+
+    it('should not group without aggregates or without grouped columns', function (done) {
+      queryBuilder.getGroupByClause('projects', { select: 'status,id' }).should.be.equal('');
+      queryBuilder.getGroupByClause('projects', {}).should.be.equal('');
+      queryBuilder.getGroupByClause('projects', { select: 'id.sum()::int' }).should.be.equal('');
+      queryBuilder.getColumnsForSelectStmt('projects', { select: 'id.sum()::int' })
+        .should.be.equal('CAST(SUM(projects.id) AS SIGNED) AS `sum`');
+      done();
+    });
+
+    it('should group by JSON paths and keep embedded resources', function (done) {
+      var queryParams = { select: 'owner:data->>owner,id.count(),clients(name)' };
+      queryBuilder.getGroupByClause('projects', queryParams)
+        .should.be.equal(" GROUP BY JSON_UNQUOTE(JSON_EXTRACT(projects.data, '$.\"owner\"'))");
+      queryBuilder.getColumnsForSelectStmt('projects', queryParams).should.containEql('AS clients');
+      done();
+    });
+
+    it('should reject aggregates without column and inside embedded resources', function (done) {
+      (function () {
+        queryBuilder.getColumnsForSelectStmt('projects', { select: 'sum()' });
+      }).should.throw({ statusCode: 400 });
+      (function () {
+        queryBuilder.getColumnsForSelectStmt('clients', { select: 'id,projects(id.count())' });
+      }).should.throw({ statusCode: 400 });
+      done();
+    });
+
+  });
+
+  describe('order by', function () {
+
+    it('should escape validated _sort and order columns', function (done) {
+      queryBuilder.getOrderByClause({ _sort: '-status,id' }, 'projects')
+        .should.be.equal(' ORDER BY `projects`.`status` DESC, `projects`.`id` ASC');
+      queryBuilder.getOrderByClause({ order: 'created_at.desc,id' }, 'projects')
+        .should.be.equal(' ORDER BY `projects`.`created_at` DESC, `projects`.`id` ASC');
+      queryBuilder.getOrderByClause({}, 'projects').should.be.equal('');
+      done();
+    });
+
+    it('should emulate nullsfirst and nullslast', function (done) {
+      queryBuilder.getOrderByClause({ order: 'status.desc.nullsfirst,created_at.nullslast' }, 'projects')
+        .should.be.equal(' ORDER BY `projects`.`status` IS NULL DESC, `projects`.`status` DESC, ' +
+          '`projects`.`created_at` IS NULL ASC, `projects`.`created_at` ASC');
+      queryBuilder.getNestedQuery('clients', 'projects', 'id', undefined, { 'projects.order': 'status.nullslast' })
+        .should.containEql('WINDOW w AS (ORDER BY `projects`.`status` IS NULL ASC, `projects`.`status` ASC ROWS UNBOUNDED PRECEDING)');
+      done();
+    });
+
+    it('should order by columns of to-one embedded resources', function (done) {
+      queryBuilder.getOrderByClause({ order: 'clients(name).desc,id' }, 'projects')
+        .should.be.equal(' ORDER BY (SELECT `clients`.`name` FROM `clients` WHERE clients.id = projects.client_id) DESC, `projects`.`id` ASC');
+      (function () {
+        queryBuilder.getOrderByClause({ order: 'projects(status)' }, 'clients');
+      }).should.throw({ statusCode: 400 });
+      done();
+    });
+
+    it('should accept select aliases and extra names', function (done) {
+      queryBuilder.getOrderByClause({ select: 'status,n:id.count()', order: 'n.desc' }, 'projects')
+        .should.be.equal(' ORDER BY `n` DESC');
+      queryBuilder.getOrderByClause({ _sort: '-count' }, 'projects', ['count'])
+        .should.be.equal(' ORDER BY `count` DESC');
+      done();
+    });
+
+    it('should reject unknown columns, injections and invalid modifiers with 400', function (done) {
+      [
+        { _sort: 'nope' },
+        { _sort: 'id; drop table projects' },
+        { order: 'id.desc;select 1' },
+        { order: 'id.sideways' },
+        { order: 'clients(secret).asc' }
+      ].forEach(function (queryParams) {
+        (function () {
+          queryBuilder.getOrderByClause(queryParams, 'projects');
+        }).should.throw({ statusCode: 400 });
+      });
+      done();
+    });
+
+  });
+
+  describe('pagination', function () {
+
+    it('should compute 0-based offsets for _p', function (done) {
+      queryBuilder.getLimitClause({ _p: '1' }).should.eql([0, 20]);
+      queryBuilder.getLimitClause({ _p: '3', _size: '10' }).should.eql([20, 10]);
+      done();
+    });
+
+    it('should use the Range header unless the query string paginates', function (done) {
+      queryBuilder.getLimitClause({}, { offset: 10, limit: 5 }).should.eql([10, 5]);
+      queryBuilder.getLimitClause({}, { offset: 10, limit: null }).should.eql([10, 20]);
+      queryBuilder.getLimitClause({ limit: '2' }, { offset: 10, limit: 5 }).should.eql([0, 2]);
+      done();
+    });
+
+    it('should not paginate by cursor without the cursor parameter', function (done) {
+      should.not.exist(queryBuilder.getCursorPagination({ order: 'status' }, 'projects'));
+      done();
+    });
+
+    it('should order by the requested columns plus the primary key on the first page', function (done) {
+      var cursor = queryBuilder.getCursorPagination({ order: 'status.desc', cursor: '', limit: '2' }, 'projects');
+      cursor.orderBy.should.be.equal(' ORDER BY `projects`.`status` DESC, `projects`.`id` ASC');
+      cursor.columns.should.be.equal(', `projects`.`status` AS `_cursor_0`, `projects`.`id` AS `_cursor_1`');
+      cursor.limit.should.be.equal(2);
+      should.not.exist(cursor.seek);
+      done();
+    });
+
+    it('should seek after the row encoded in the cursor', function (done) {
+      var first = queryBuilder.getCursorPagination({ _sort: 'created_at', cursor: '' }, 'projects');
+      var token = queryBuilder.encodeCursor(first, { _cursor_0: 'x', _cursor_1: 7 });
+
+      var next = queryBuilder.getCursorPagination({ _sort: 'created_at', cursor: token }, 'projects');
+      next.seek.should.eql({ query: '(`projects`.`created_at`, `projects`.`id`) > (?, ?)', params: ['x', 7] });
+      done();
+    });
+
+    it('should expand the seek condition for mixed directions', function (done) {
+      var first = queryBuilder.getCursorPagination({ order: 'status.desc', cursor: '' }, 'projects');
+      var token = queryBuilder.encodeCursor(first, { _cursor_0: 'open', _cursor_1: 7 });
+
+      queryBuilder.getCursorPagination({ order: 'status.desc', cursor: token }, 'projects').seek.should.eql({
+        query: '((`projects`.`status` < ?) OR (`projects`.`status` = ? AND `projects`.`id` > ?))',
+        params: ['open', 'open', 7]
+      });
+      done();
+    });
+
+    it('should place NULL sort values where the order puts them', function (done) {
+      queryBuilder.metaDb.tables.projects.columns.find(c => c.column_name === 'status').is_nullable = 'YES';
+      var seek = function (order, values) {
+        var first = queryBuilder.getCursorPagination({ order: order, cursor: '' }, 'projects');
+        var token = queryBuilder.encodeCursor(first, { _cursor_0: values[0], _cursor_1: values[1] });
+        return queryBuilder.getCursorPagination({ order: order, cursor: token }, 'projects').seek;
+      };
+
+      // Ascending puts NULLs first: after a NULL come the other NULLs by id, then every value
+      seek('status', [null, 7]).should.eql({
+        query: '((`projects`.`status` IS NOT NULL) OR (`projects`.`status` IS NULL AND `projects`.`id` > ?))',
+        params: [7]
+      });
+      seek('status', ['open', 7]).should.eql({
+        query: '((`projects`.`status` > ?) OR (`projects`.`status` = ? AND `projects`.`id` > ?))',
+        params: ['open', 'open', 7]
+      });
+      // Descending puts NULLs last: they follow every value, only NULLs follow a NULL
+      seek('status.desc', ['open', 7]).should.eql({
+        query: '(((`projects`.`status` < ? OR `projects`.`status` IS NULL)) OR (`projects`.`status` = ? AND `projects`.`id` > ?))',
+        params: ['open', 'open', 7]
+      });
+      seek('status.desc', [null, 7]).should.eql({
+        query: '((`projects`.`status` IS NULL AND `projects`.`id` > ?))',
+        params: [7]
+      });
+      seek('status.asc.nullslast', [null, 7]).query.should.be.equal('((`projects`.`status` IS NULL AND `projects`.`id` > ?))');
+
+      var cursor = queryBuilder.getCursorPagination({ order: 'status.nullslast', cursor: '' }, 'projects');
+      cursor.orderBy.should.be.equal(' ORDER BY `projects`.`status` IS NULL ASC, `projects`.`status` ASC, `projects`.`id` ASC');
+      done();
+    });
+
+    it('should reject malformed cursors, cursors of another order and unsupported orders', function (done) {
+      var first = queryBuilder.getCursorPagination({ order: 'status', cursor: '' }, 'projects');
+      var token = queryBuilder.encodeCursor(first, { _cursor_0: 'open', _cursor_1: 7 });
+      var forge = values => Buffer.from(JSON.stringify({ k: ['status.ASC', 'id.ASC'], v: values })).toString('base64url');
+
+      [
+        { cursor: 'not-a-cursor' },
+        { order: 'created_at', cursor: token },
+        { order: 'status.nullslast', cursor: token },
+        { order: 'clients(name)', cursor: '' },
+        { select: 'status,id.count()', cursor: '' },
+        { order: 'status', cursor: forge(['open', { toSqlString: 1 }]) },
+        { order: 'status', cursor: forge([['open'], 7]) },
+        { order: 'status', cursor: forge(['open']) }
+      ].forEach(function (queryParams) {
+        (function () {
+          queryBuilder.getCursorPagination(queryParams, 'projects');
+        }).should.throw({ statusCode: 400 });
+      });
+      done();
+    });
+
+  });
+
+});
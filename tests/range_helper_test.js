@@ -0,0 +1,40 @@
+'use strict';
+
+var should = require('should');
+var rangeHelp = require('../lib/util/range.helper.js');
+
+describe(__filename + ':: Range header unit tests', function () {
+
+  it('should parse closed and open ranges', function (done) {
+    rangeHelp.parseRangeHeader('0-24').should.eql({ offset: 0, limit: 25 });
+    rangeHelp.parseRangeHeader('items=10-19', 'items').should.eql({ offset: 10, limit: 10 });
+    rangeHelp.parseRangeHeader('10-').should.eql({ offset: 10, limit: 100 });
+    rangeHelp.parseRangeHeader('items=0-').should.eql({ offset: 0, limit: 100 });
+    done();
+  });
+
+  it('should ignore missing, malformed and non-item ranges', function (done) {
+    should.not.exist(rangeHelp.parseRangeHeader(undefined));
+    should.not.exist(rangeHelp.parseRangeHeader('-5'));
+    should.not.exist(rangeHelp.parseRangeHeader('bytes=0-10'));
+    should.not.exist(rangeHelp.parseRangeHeader('0-10', 'bytes'));
+    done();
+  });
+
+  it('should reject ranges ending before they start with 416', function (done) {
+    (function () {
+      rangeHelp.parseRangeHeader('5-2');
+    }).should.throw({ statusCode: 416 });
+    done();
+  });
+
+  it('should read the count method from the Prefer header', function (done) {
+    rangeHelp.getCountMethod('return=representation, count=exact').should.be.equal('exact');
+    rangeHelp.getCountMethod('count=planned').should.be.equal('planned');
+    rangeHelp.getCountMethod('count=estimated').should.be.equal('estimated');
+    should.not.exist(rangeHelp.getCountMethod('return=minimal'));
+    should.not.exist(rangeHelp.getCountMethod(undefined));
+    done();
+  });
+
+});
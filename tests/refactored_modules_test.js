@@ -2,11 +2,19 @@
 
 const should = require('should');
 const createJwtMiddleware = require('../lib/adapters/middleware/jwtMiddleware.js');
+const createAdminMiddleware = require('../lib/adapters/middleware/adminMiddleware.js');
 const urlMiddleware = require('../lib/adapters/middleware/urlMiddleware.js');
 const errorMiddleware = require('../lib/adapters/middleware/errorMiddleware.js');
 const asyncMiddleware = require('../lib/adapters/middleware/asyncMiddleware.js');
 const RlsService = require('../lib/domain/services/RlsService.js');
+const SchemaRepository = require('../lib/domain/repositories/SchemaRepository.js');
+const CrudService = require('../lib/domain/services/CrudService.js');
+const AggregationService = require('../lib/domain/services/AggregationService.js');
+const ColumnGrantService = require('../lib/domain/services/ColumnGrantService.js');
 const CONSTANTS = require('../lib/domain/constants.js');
+const whereHelp = require('../lib/util/whereClause.helper.js');
+const tableScope = require('../lib/util/tableScope.helper.js');
+const { BadRequestError } = require('../lib/domain/errors');
 
 describe('Refactored Modules Tests', function() {
 
@@ -149,6 +157,25 @@ describe('Refactored Modules Tests', function() {
 
       errorMiddleware(err, req, res, next);
     });
+
+    it('should expose PostgREST code and hint of custom errors', function() {
+      const err = new BadRequestError('Unknown operator', { code: 'PGRST100', hint: 'Use eq' });
+      const req = {};
+      const res = {
+        status: function(code) {
+          code.should.equal(400);
+          return this;
+        },
+        json: function(body) {
+          body.error.should.equal('BadRequestError');
+          body.code.should.equal('PGRST100');
+          body.hint.should.equal('Use eq');
+        }
+      };
+      const next = function() {};
+
+      errorMiddleware(err, req, res, next);
+    });
   });
 
   describe('JWT Middleware', function() {
@@ -201,6 +228,43 @@ describe('Refactored Modules Tests', function() {
     });
   });
 
+  describe('Admin Middleware', function() {
+    it('should throw error if no admin roles are configured', function() {
+      (function() {
+        createAdminMiddleware({ adminRoles: ' , ' });
+      }).should.throw();
+    });
+
+    it('should only let admin roles through', function() {
+      const middleware = createAdminMiddleware({ adminRoles: 'admin, ops' });
+      const errors = [];
+      const next = err => errors.push(err);
+
+      middleware({}, {}, next);
+      middleware({ user: { role: 'user' } }, {}, next);
+      middleware({ user: { role: 'ops' } }, {}, next);
+
+      errors[0].statusCode.should.equal(401);
+      errors[1].statusCode.should.equal(403);
+      errors[1].details.code.should.equal('42501');
+      should.not.exist(errors[2]);
+    });
+
+    it('should read the configured role claim and refuse anonymous requests', function() {
+      const middleware = createAdminMiddleware({ adminRoles: 'admin', roleClaim: 'app_metadata.role' });
+      const errors = [];
+      const next = err => errors.push(err);
+
+      middleware({ user: {} }, {}, next);
+      middleware({ user: { role: 'admin' } }, {}, next);
+      middleware({ user: { app_metadata: { role: 'admin' } } }, {}, next);
+
+      errors[0].statusCode.should.equal(401);
+      errors[1].statusCode.should.equal(403);
+      should.not.exist(errors[2]);
+    });
+  });
+
   describe('RLS Service', function() {
     let rlsService;
     let mockPool;
@@ -242,12 +306,31 @@ describe('Refactored Modules Tests', function() {
       clause.should.equal('(user_id = @request_jwt_claim_sub)');
     });
 
-    it('should combine multiple policies with AND', function() {
+    it('should build WITH CHECK clauses falling back to the USING expression', function() {
+      rlsService.rlsPolicies = {
+        users: {
+          SELECT: [],
+          INSERT: [
+            { using_expression: 'true', check_expression: 'tenant_id = @request_jwt_claim_tenant' },
+            { using_expression: 'user_id = @request_jwt_claim_sub', check_expression: null, permissive: 'RESTRICTIVE' }
+          ],
+          UPDATE: [],
+          DELETE: []
+        }
+      };
+
+      rlsService.getPolicyCheckClause('users', 'INSERT')
+        .should.equal('(tenant_id = @request_jwt_claim_tenant) AND (user_id = @request_jwt_claim_sub)');
+      should.not.exist(rlsService.getPolicyCheckClause('users', 'UPDATE'));
+    });
+
+    it('should combine permissive policies with OR and restrictive policies with AND', function() {
       rlsService.rlsPolicies = {
         users: {
           SELECT: [
-            { using_expression: 'user_id = @request_jwt_claim_sub' },
-            { using_expression: 'active = TRUE' }
+            { using_expression: 'user_id = @request_jwt_claim_sub', permissive: 'PERMISSIVE' },
+            { using_expression: 'public = TRUE', permissive: 'PERMISSIVE' },
+            { using_expression: 'active = TRUE', permissive: 'RESTRICTIVE' }
           ],
           INSERT: [],
           UPDATE: [],
@@ -256,7 +339,60 @@ describe('Refactored Modules Tests', function() {
       };
 
       const clause = rlsService.getPolicyWhereClause('users', 'SELECT');
-      clause.should.equal('(user_id = @request_jwt_claim_sub) AND (active = TRUE)');
+      clause.should.equal('((user_id = @request_jwt_claim_sub) OR (public = TRUE)) AND (active = TRUE)');
+    });
+
+    it('should only apply policies of the requesting role', function() {
+      rlsService.rlsPolicies = {
+        users: {
+          SELECT: [
+            { using_expression: 'TRUE', roles: ['admin'] },
+            { using_expression: 'user_id = @request_jwt_claim_sub', roles: ['user', 'guest'] },
+            { using_expression: 'active = TRUE', roles: null, permissive: 'RESTRICTIVE' }
+          ],
+          INSERT: [],
+          UPDATE: [],
+          DELETE: []
+        }
+      };
+
+      rlsService.getPolicyWhereClause('users', 'SELECT', { role: 'admin' }).should.equal('(TRUE) AND (active = TRUE)');
+      rlsService.getPolicyWhereClause('users', 'SELECT', { role: 'guest' })
+        .should.equal('(user_id = @request_jwt_claim_sub) AND (active = TRUE)');
+      // Policies exist for the operation but none grants access
+      rlsService.getPolicyWhereClause('users', 'SELECT', { role: 'other' }).should.equal('FALSE');
+      rlsService.getPolicyWhereClause('users', 'SELECT').should.equal('FALSE');
+      should.not.exist(rlsService.getPolicyWhereClause('users', 'INSERT', { role: 'other' }));
+    });
+
+    it('should not restrict bypass roles', function() {
+      rlsService.rlsPolicies = {
+        users: { SELECT: [{ using_expression: 'FALSE' }], INSERT: [], UPDATE: [], DELETE: [] }
+      };
+
+      should.not.exist(rlsService.getPolicyWhereClause('users', 'SELECT', { role: 'bypass_rls' }));
+      rlsService.hasPolicies({ role: 'bypass_rls' }).should.be.false();
+      rlsService.hasPolicies({ role: 'user' }).should.be.true();
+
+      const custom = new RlsService(mockPool, 'admin, service');
+      custom.rlsPolicies = rlsService.rlsPolicies;
+      should.not.exist(custom.getPolicyWhereClause('users', 'SELECT', { role: 'service' }));
+      custom.getPolicyWhereClause('users', 'SELECT', { role: 'bypass_rls' }).should.equal('(FALSE)');
+    });
+
+    it('should add missing columns to an existing policies table', async function() {
+      const executed = [];
+      const service = new RlsService({
+        executeQuery(query) {
+          executed.push(query);
+          return Promise.resolve(query.includes('information_schema') ? [{ name: 'id' }, { name: 'roles' }] : []);
+        }
+      });
+
+      await service.ensureRlsPoliciesTable();
+      executed.should.containEql(CONSTANTS.RLS_TABLE.MIGRATIONS.permissive);
+      executed.should.not.containEql(CONSTANTS.RLS_TABLE.MIGRATIONS.roles);
+      executed.should.containEql(CONSTANTS.RLS_AUDIT_TABLE.SCHEMA);
     });
 
     it('should inject policy into empty WHERE clause', function() {
@@ -293,8 +429,24 @@ describe('Refactored Modules Tests', function() {
       const whereObj = { query: ' where status = ?', params: ['active'] };
       rlsService.injectPolicyIntoWhere(whereObj, 'users', 'SELECT', ' where ');
       
-      // The regex replace wraps the RLS clause in additional parens for grouping
-      whereObj.query.should.equal(' where ((user_id = @request_jwt_claim_sub)) AND status = ?');
+      // The RLS clause and the existing condition are each wrapped in parens for grouping
+      whereObj.query.should.equal(' where ((user_id = @request_jwt_claim_sub)) AND (status = ?)');
+    });
+
+    it('should keep an OR of a legacy _where inside the policy', function() {
+      rlsService.rlsPolicies = {
+        users: {
+          SELECT: [
+            { using_expression: 'user_id = @request_jwt_claim_sub' }
+          ]
+        }
+      };
+
+      const legacy = whereHelp.getWhereClause('(a,eq,1)~or(b,eq,2)');
+      const whereObj = { query: ' where ' + legacy.query, params: legacy.params };
+      rlsService.injectPolicyIntoWhere(whereObj, 'users', 'SELECT', ' where ');
+
+      whereObj.query.should.equal(' where ((user_id = @request_jwt_claim_sub)) AND ((??=?)or(??=?))');
     });
 
     it('should build WHERE with policy for single record operations', function() {
@@ -320,4 +472,542 @@ describe('Refactored Modules Tests', function() {
     });
   });
 
+  describe('Schema Repository', function() {
+    function fkRow(column, position, referencedColumn) {
+      return {
+        table_name: 'parcels',
+        column_name: column,
+        data_type: 'varchar',
+        constraint_name: 'fk_parcels_shipments',
+        constraint_ordinal_position: position,
+        referenced_table_name: 'shipments',
+        referenced_column_name: referencedColumn
+      };
+    }
+
+    it('should group composite foreign keys by constraint in column order', function() {
+      const repository = new SchemaRepository(null, 'test');
+      // Rows arrive in column order and repeat once per index on the column
+      const rows = [fkRow('shipment_no', 2, 'shipment_no'), fkRow('warehouse_code', 1, 'code'), fkRow('shipment_no', 2, 'shipment_no')];
+      repository._initializeTables(rows);
+      repository._loadForeignKeys(rows);
+
+      const fks = repository.getForeignKeys('parcels');
+      fks.length.should.equal(1);
+      fks[0].constraint_name.should.equal('fk_parcels_shipments');
+      fks[0].columns.map(col => col.column_name).should.eql(['warehouse_code', 'shipment_no']);
+      fks[0].columns.map(col => col.referenced_column_name).should.eql(['code', 'shipment_no']);
+      fks[0].column_name.should.equal('warehouse_code');
+    });
+  });
+
+  describe('Crud Service writes', function() {
+    function mockXsql(sqlConfig, affectedRows) {
+      const executed = [];
+      let lastInsertId = 100;
+      const xsql = {
+        sqlConfig,
+        executed,
+        params: [],
+        pool: { escapeId: id => '`' + id + '`' },
+        metaDb: {
+          tables: {
+            items: {
+              columns: ['id', 'sku', 'name', 'note'].map(column_name => ({ column_name, data_type: 'varchar' })),
+              primaryKeys: [{ column_name: 'id' }],
+              indicies: [
+                { index_name: 'PRIMARY', non_unique: false, columns: ['id'] },
+                { index_name: 'uq_sku', non_unique: false, columns: ['sku'] },
+                { index_name: 'idx_name', non_unique: true, columns: ['name'] }
+              ]
+            },
+            counters: {
+              columns: [{ column_name: 'id', extra: 'auto_increment' }, { column_name: 'label' }],
+              primaryKeys: [{ column_name: 'id' }],
+              foreignKeys: [],
+              indicies: [{ index_name: 'PRIMARY', non_unique: false, columns: ['id'] }]
+            },
+            counter_ticks: {
+              columns: [{ column_name: 'id', extra: 'auto_increment' }, { column_name: 'counter_id' }, { column_name: 'at' }],
+              primaryKeys: [{ column_name: 'id' }],
+              foreignKeys: [{ referenced_table_name: 'counters', column_name: 'counter_id', referenced_column_name: 'id' }],
+              indicies: [{ index_name: 'PRIMARY', non_unique: false, columns: ['id'] }]
+            },
+            tokens: {
+              columns: [{ column_name: 'token', column_default: 'uuid()' }, { column_name: 'label' }],
+              primaryKeys: [{ column_name: 'token' }],
+              indicies: [{ index_name: 'PRIMARY', non_unique: false, columns: ['token'] }]
+            },
+            logs: {
+              columns: [{ column_name: 'message' }],
+              primaryKeys: [],
+              indicies: []
+            }
+          }
+        },
+        getWhereClause(queryParams, tableName, whereObj, appendToWhere) {
+          if (queryParams.id) {
+            whereObj.query = appendToWhere + 'id = ?';
+            whereObj.params.push(queryParams.id);
+          }
+          return !!queryParams.id;
+        },
+        getPrimaryKeyWhereClause(tableName, pkValues) {
+          return 'id = ' + pkValues[0];
+        },
+        failedChecks: 0,
+        existingRows: [],
+        exec(query, params) {
+          executed.push(query);
+          this.params.push(params);
+          if (query.includes('AS failed')) {
+            return Promise.resolve([{ failed: this.failedChecks }]);
+          }
+          if (query.endsWith(' FOR UPDATE')) {
+            return Promise.resolve(this.existingRows);
+          }
+          if (query.startsWith('SELECT') && Array.isArray(params[2])) {
+            // Rows read back by key only carry the key column
+            return Promise.resolve(params[2].map(value => ({ [params[1]]: value })));
+          }
+          return Promise.resolve({ affectedRows });
+        },
+        resolveRelation(parentTable, childTable) {
+          const fk = this.metaDb.tables[childTable].foreignKeys.find(fk => fk.referenced_table_name === parentTable);
+          return fk ? { type: '1:N', fk } : null;
+        },
+        connectionManager: {
+          executeInTransaction(callback) {
+            const connection = {
+              query(query, params) {
+                if (query.startsWith('SELECT')) {
+                  return xsql.exec(query, params);
+                }
+                executed.push(query);
+                xsql.params.push(params);
+                return Promise.resolve({ affectedRows, insertId: ++lastInsertId });
+              }
+            };
+            return callback(connection).then(result => {
+              executed.push('COMMIT');
+              return result;
+            }, err => {
+              executed.push('ROLLBACK');
+              throw err;
+            });
+          }
+        }
+      };
+      return xsql;
+    }
+
+    function crudService(xsql, policies, grants) {
+      const rlsService = new RlsService(null);
+      if (policies) {
+        rlsService.rlsPolicies = { items: Object.assign({ SELECT: [], INSERT: [], UPDATE: [], DELETE: [] }, policies) };
+      }
+      const columnGrantService = new ColumnGrantService(null, rlsService);
+      if (grants) {
+        columnGrantService.columnGrants = { items: grants };
+      }
+      return new CrudService(xsql, rlsService, columnGrantService);
+    }
+
+    it('should refuse unfiltered PATCH and DELETE', async function() {
+      const xsql = mockXsql({}, 3);
+      const service = crudService(xsql);
+
+      await service.patch('items', {}, { name: 'x' }).should.be.rejectedWith({ statusCode: 400, details: { code: '21000' } });
+      await service.delete('items', null, { select: '*' }).should.be.rejectedWith({ statusCode: 400 });
+      xsql.executed.should.be.empty();
+    });
+
+    it('should allow unfiltered writes when configured', async function() {
+      const xsql = mockXsql({ allowUnfilteredWrites: true }, 3);
+      const result = await crudService(xsql).delete('items', null, {});
+
+      result.affectedRows.should.equal(3);
+      xsql.executed.should.eql(['DELETE FROM ?? ']);
+    });
+
+    it('should not require filters for single record deletes', async function() {
+      const xsql = mockXsql({}, 1);
+      const result = await crudService(xsql).delete('items', ['1'], {});
+      result.affectedRows.should.equal(1);
+    });
+
+    it('should roll back when max-affected is exceeded', async function() {
+      const xsql = mockXsql({}, 3);
+      const service = crudService(xsql);
+
+      await service.patch('items', { id: 'eq.1' }, { name: 'x' }, { maxAffected: 2 })
+        .should.be.rejectedWith({ statusCode: 400, details: { code: 'PGRST124' } });
+      xsql.executed.should.eql(['UPDATE ?? SET name = ? where id = ?', 'ROLLBACK']);
+    });
+
+    it('should commit when within max-affected', async function() {
+      const xsql = mockXsql({}, 2);
+      const result = await crudService(xsql).delete('items', null, { id: 'eq.1' }, { maxAffected: 2 });
+
+      result.affectedRows.should.equal(2);
+      xsql.executed.should.eql(['DELETE FROM ??  WHERE id = ?', 'COMMIT']);
+    });
+
+    it('should upsert on the primary key without updating it', async function() {
+      const xsql = mockXsql({}, 1);
+      await crudService(xsql).create('items', { id: 1, sku: 'A', name: 'x' }, { isUpsert: true });
+
+      xsql.executed.should.eql(['INSERT INTO ?? SET ? ON DUPLICATE KEY UPDATE `sku` = VALUES(`sku`), `name` = VALUES(`name`)']);
+    });
+
+    it('should upsert on the unique index named by on_conflict', async function() {
+      const xsql = mockXsql({}, 2);
+      await crudService(xsql).create('items', [{ sku: 'A', name: 'x' }, { sku: 'B', name: 'y' }], { isUpsert: true, onConflict: ['sku'] });
+
+      xsql.executed.should.eql(['INSERT INTO ?? (??) VALUES ? ON DUPLICATE KEY UPDATE `name` = VALUES(`name`)']);
+      xsql.params[0].should.eql(['items', ['sku', 'name'], [['A', 'x'], ['B', 'y']]]);
+    });
+
+    it('should keep the existing row when only conflict columns are sent', async function() {
+      const xsql = mockXsql({}, 0);
+      await crudService(xsql).create('items', { sku: 'A' }, { isUpsert: true, onConflict: ['sku'] });
+
+      xsql.executed.should.eql(['INSERT INTO ?? SET ? ON DUPLICATE KEY UPDATE `sku` = `sku`']);
+    });
+
+    it('should reject on_conflict columns without a unique index', async function() {
+      const xsql = mockXsql({}, 1);
+      await crudService(xsql).create('items', { name: 'x' }, { isUpsert: true, onConflict: ['name'] })
+        .should.be.rejectedWith({ statusCode: 400, details: { code: '42P10' } });
+      xsql.executed.should.be.empty();
+    });
+
+    it('should insert heterogeneous rows with the DEFAULT of missing columns', async function() {
+      const xsql = mockXsql({}, 2);
+      await crudService(xsql).create('items', [{ sku: 'A', name: 'x', extra: 1 }, { sku: 'B' }], { columns: ['sku', 'name'] });
+
+      xsql.executed.should.eql(['INSERT INTO ?? (??) VALUES (?, ?), (?, DEFAULT)']);
+      xsql.params[0].should.eql(['items', ['sku', 'name'], 'A', 'x', 'B']);
+    });
+
+    it('should reject unknown columns', async function() {
+      const xsql = mockXsql({}, 1);
+      await crudService(xsql).create('items', [{ sku: 'A' }], { columns: ['sku', 'nope'] })
+        .should.be.rejectedWith({ statusCode: 400, details: { code: '42703' } });
+    });
+
+    it('should read back bulk inserts by the keys sent in the payload', async function() {
+      const xsql = mockXsql({}, 2);
+      await crudService(xsql).create('items', [{ sku: 'A' }, { sku: 'B' }], { returnRepresentation: true });
+
+      xsql.executed[1].should.equal('SELECT * FROM ?? WHERE ?? IN (?)');
+      xsql.params[1].should.eql(['items', 'sku', ['A', 'B']]);
+    });
+
+    it('should only return the written rows the SELECT policies let the role see', async function() {
+      const xsql = mockXsql({}, 2);
+      const service = crudService(xsql, { SELECT: [{ using_expression: 'sku = @tenant', check_expression: null }] });
+      await service.create('items', [{ sku: 'A' }, { sku: 'B' }], { returnRepresentation: true });
+
+      xsql.executed[1].should.equal('SELECT * FROM ?? WHERE ((sku = @tenant)) AND ?? IN (?)');
+      xsql.params[1].should.eql(['items', 'sku', ['A', 'B']]);
+    });
+
+    it('should insert AUTO_INCREMENT rows one by one to collect their ids', async function() {
+      const xsql = mockXsql({}, 1);
+      const result = await crudService(xsql).create('counters', [{ label: 'a' }, { label: 'b' }], { returnRepresentation: true });
+
+      xsql.executed.should.eql(['INSERT INTO ?? SET ?', 'INSERT INTO ?? SET ?', 'COMMIT', 'SELECT * FROM ?? WHERE ?? IN (?)']);
+      xsql.params[2].should.eql(['counters', 'id', [101, 102]]);
+      result.insertId.should.equal(101);
+    });
+
+    it('should report the id of upserted AUTO_INCREMENT rows', async function() {
+      const xsql = mockXsql({}, 2);
+      await crudService(xsql).create('counters', { label: 'a' }, { isUpsert: true, returnRepresentation: true });
+
+      xsql.executed[0].should.equal('INSERT INTO ?? SET ? ON DUPLICATE KEY UPDATE `label` = VALUES(`label`), `id` = LAST_INSERT_ID(`id`)');
+    });
+
+    it('should generate UUID primary keys to read the rows back', async function() {
+      const xsql = mockXsql({}, 2);
+      await crudService(xsql).create('tokens', [{ label: 'a' }, { label: 'b' }], { returnHeadersOnly: true });
+
+      const insertParams = xsql.params[0];
+      insertParams[1].should.eql(['label', 'token']);
+      const tokens = insertParams[2].map(values => values[1]);
+      tokens[0].should.match(/^[0-9a-f-]{36}$/);
+      xsql.params[1].should.eql(['tokens', 'token', tokens]);
+    });
+
+    it('should return no rows when inserted rows cannot be identified', async function() {
+      const xsql = mockXsql({}, 1);
+      const result = await crudService(xsql).create('logs', [{ message: 'a' }], { returnRepresentation: true });
+
+      result.results.should.eql([]);
+      xsql.executed.length.should.equal(1);
+    });
+
+    it('should create embedded children with the foreign key of their parent', async function() {
+      const xsql = mockXsql({}, 1);
+      const result = await crudService(xsql).create('counters', { label: 'a', counter_ticks: [{ at: 1 }, { at: 2 }] });
+
+      xsql.executed.should.eql([
+        'INSERT INTO ?? SET ?',
+        'SELECT * FROM ?? WHERE ?? IN (?)',
+        'INSERT INTO ?? (??) VALUES ?',
+        'COMMIT'
+      ]);
+      xsql.params[0].should.eql(['counters', { label: 'a' }]);
+      xsql.params[2].should.eql(['counter_ticks', ['at', 'counter_id'], [[1, 101], [2, 101]]]);
+      result.affectedRows.should.equal(2);
+    });
+
+    it('should refuse embedded rows of tables outside the scope of an API key', async function() {
+      const xsql = mockXsql({}, 1);
+      await crudService(xsql).create('counters', { label: 'a', counter_ticks: [{ at: 1 }] }, {}, tableScope.restrict({}, ['counters']))
+        .should.be.rejectedWith({ statusCode: 403, message: 'API key is not allowed to use table counter_ticks' });
+      xsql.executed.should.be.empty();
+    });
+
+    it('should refuse embedded rows of tables that are not children', async function() {
+      const xsql = mockXsql({}, 1);
+      await crudService(xsql).create('counter_ticks', { at: 1, counters: { label: 'a' } })
+        .should.be.rejectedWith({ statusCode: 400 });
+    });
+
+    it('should check inserted rows against the RLS policies in the transaction', async function() {
+      const xsql = mockXsql({}, 2);
+      const policy = { using_expression: 'true', check_expression: 'sku = @tenant' };
+      await crudService(xsql, { INSERT: [policy] }).create('items', [{ sku: 'A' }, { sku: 'B', name: 'b' }]);
+
+      // The rows are read back as written, with their DEFAULTs and trigger changes
+      xsql.executed.should.eql([
+        'INSERT INTO ?? (??) VALUES ?',
+        'SELECT COUNT(*) AS failed FROM (SELECT * FROM ?? WHERE ?? IN (?)) AS ?? WHERE NOT COALESCE(((sku = @tenant)), FALSE)',
+        'COMMIT'
+      ]);
+      xsql.params[1].should.eql(['items', 'sku', ['A', 'B'], 'items']);
+    });
+
+    it('should check rows merged by an upsert against the UPDATE policies', async function() {
+      const xsql = mockXsql({}, 3);
+      xsql.existingRows = [{ id: 7, sku: 'B' }];
+      const service = crudService(xsql, {
+        INSERT: [{ using_expression: 'true', check_expression: 'sku = @tenant' }],
+        UPDATE: [{ using_expression: 'true', check_expression: 'name = @tenant' }]
+      });
+      await service.create('items', [{ sku: 'A', name: 'a' }, { sku: 'B', name: 'b' }], { isUpsert: true, onConflict: ['sku'] });
+
+      xsql.executed.should.eql([
+        'SELECT * FROM ?? WHERE ?? IN (?) FOR UPDATE',
+        'SELECT COUNT(*) AS failed FROM (SELECT * FROM ?? WHERE ?? IN (?)) AS ?? WHERE NOT COALESCE(((true)), FALSE)',
+        'INSERT INTO ?? (??) VALUES ? ON DUPLICATE KEY UPDATE `name` = VALUES(`name`)',
+        'SELECT COUNT(*) AS failed FROM (SELECT * FROM ?? WHERE ?? IN (?)) AS ?? WHERE NOT COALESCE(((sku = @tenant)), FALSE)',
+        'SELECT COUNT(*) AS failed FROM (SELECT * FROM ?? WHERE ?? IN (?)) AS ?? WHERE NOT COALESCE(((name = @tenant)), FALSE)',
+        'COMMIT'
+      ]);
+      xsql.params[1].should.eql(['items', 'sku', ['B'], 'items']);
+      xsql.params[3].should.eql(['items', 'sku', ['A'], 'items']);
+      xsql.params[4].should.eql(['items', 'sku', ['B'], 'items']);
+    });
+
+    it('should refuse upserts merging into a row of another tenant', async function() {
+      const xsql = mockXsql({}, 2);
+      xsql.existingRows = [{ id: 7, sku: 'theirs' }];
+      xsql.failedChecks = 1;
+      const policy = { using_expression: 'tenant_id = @tenant' };
+      const service = crudService(xsql, { INSERT: [policy], UPDATE: [policy] });
+
+      await service.create('items', { id: 7, sku: 'mine', name: 'x' }, { isUpsert: true })
+        .should.be.rejectedWith({ statusCode: 403, message: 'new row violates row-level security policy (USING expression) for table "items"' });
+      xsql.executed.should.eql([
+        'SELECT * FROM ?? WHERE ?? IN (?) FOR UPDATE',
+        'SELECT COUNT(*) AS failed FROM (SELECT * FROM ?? WHERE ?? IN (?)) AS ?? WHERE NOT COALESCE(((tenant_id = @tenant)), FALSE)',
+        'ROLLBACK'
+      ]);
+      xsql.params[1].should.eql(['items', 'id', [7], 'items']);
+    });
+
+    it('should refuse upserts colliding with another row on a unique key other than on_conflict', async function() {
+      const xsql = mockXsql({}, 2);
+      // Found by sku for the conflict key, and by id for the primary key
+      xsql.existingRows = [{ id: 7, sku: 'theirs' }];
+      const policy = { using_expression: 'true', check_expression: 'tenant_id = @tenant' };
+      const service = crudService(xsql, { INSERT: [policy], UPDATE: [policy] });
+
+      await service.create('items', { id: 7, sku: 'mine', name: 'x' }, { isUpsert: true, onConflict: ['sku'] })
+        .should.be.rejectedWith({ statusCode: 409, details: { code: '23505' } });
+      xsql.executed.should.eql([
+        'SELECT * FROM ?? WHERE ?? IN (?) FOR UPDATE',
+        'SELECT COUNT(*) AS failed FROM (SELECT * FROM ?? WHERE ?? IN (?)) AS ?? WHERE NOT COALESCE(((true)), FALSE)',
+        'SELECT * FROM ?? WHERE ?? IN (?) FOR UPDATE',
+        'ROLLBACK'
+      ]);
+      xsql.params[2].should.eql(['items', 'id', [7]]);
+    });
+
+    it('should refuse upsert payloads colliding with each other on another unique key', async function() {
+      const xsql = mockXsql({}, 2);
+      const service = crudService(xsql, { INSERT: [{ using_expression: 'true', check_expression: 'tenant_id = @tenant' }] });
+
+      await service.create('items', [{ id: 1, sku: 'A' }, { id: 2, sku: 'A' }], { isUpsert: true })
+        .should.be.rejectedWith({ statusCode: 409, message: 'duplicate key value violates unique constraint "uq_sku" of table "items", the upsert conflicts on (id)' });
+    });
+
+    it('should merge upserts matching the same row on every unique key', async function() {
+      const xsql = mockXsql({}, 2);
+      xsql.existingRows = [{ id: 7, sku: 'mine' }];
+      const policy = { using_expression: 'true', check_expression: 'tenant_id = @tenant' };
+      await crudService(xsql, { INSERT: [policy], UPDATE: [policy] }).create('items', { id: 7, sku: 'mine', name: 'x' }, { isUpsert: true });
+
+      xsql.executed.should.eql([
+        'SELECT * FROM ?? WHERE ?? IN (?) FOR UPDATE',
+        'SELECT COUNT(*) AS failed FROM (SELECT * FROM ?? WHERE ?? IN (?)) AS ?? WHERE NOT COALESCE(((true)), FALSE)',
+        'SELECT * FROM ?? WHERE ?? IN (?) FOR UPDATE',
+        'INSERT INTO ?? SET ? ON DUPLICATE KEY UPDATE `sku` = VALUES(`sku`), `name` = VALUES(`name`)',
+        'SELECT COUNT(*) AS failed FROM (SELECT * FROM ?? WHERE ?? IN (?)) AS ?? WHERE NOT COALESCE(((tenant_id = @tenant)), FALSE)',
+        'COMMIT'
+      ]);
+      xsql.params[2].should.eql(['items', 'sku', ['mine']]);
+    });
+
+    it('should roll back inserts whose written rows fail the policy check', async function() {
+      const xsql = mockXsql({}, 1);
+      xsql.failedChecks = 1;
+      const service = crudService(xsql, { INSERT: [{ using_expression: 'sku = @tenant' }] });
+
+      await service.create('items', { id: 1, sku: 'A' }).should.be.rejectedWith({ statusCode: 403, details: { code: '42501' } });
+      xsql.executed.should.eql([
+        'INSERT INTO ?? SET ?',
+        'SELECT COUNT(*) AS failed FROM (SELECT * FROM ?? WHERE ?? IN (?)) AS ?? WHERE NOT COALESCE(((sku = @tenant)), FALSE)',
+        'ROLLBACK'
+      ]);
+      xsql.params[1].should.eql(['items', 'id', [1], 'items']);
+    });
+
+    it('should reject writes whose new rows fail the policy check with 403', async function() {
+      const xsql = mockXsql({}, 1);
+      xsql.failedChecks = 1;
+      const service = crudService(xsql, { UPDATE: [{ using_expression: 'sku = @tenant' }] });
+
+      await service.patch('items', { id: 'eq.1' }, { sku: 'other' })
+        .should.be.rejectedWith({ statusCode: 403, details: { code: '42501' } });
+      xsql.executed[0].should.equal('SELECT COUNT(*) AS failed FROM (SELECT ??, ? AS ??, ??, ?? FROM ??  where ((sku = @tenant)) AND (id = ?)) AS ?? WHERE NOT COALESCE(((sku = @tenant)), FALSE)');
+      xsql.params[0].should.eql(['id', 'other', 'sku', 'name', 'note', 'items', 'eq.1', 'items']);
+      xsql.executed[1].should.equal('ROLLBACK');
+    });
+
+    it('should refuse writes to columns that are not granted to the role', async function() {
+      const xsql = mockXsql({}, 1);
+      const service = crudService(xsql, null, [
+        { role: 'user', column_name: '*', can_select: 1 },
+        { role: 'user', column_name: 'sku', can_insert: 1 },
+        { role: 'user', column_name: 'name', can_insert: 1, can_update: 1 }
+      ]);
+      const user = { role: 'user' };
+
+      await service.create('items', [{ sku: 'A' }, { sku: 'B', note: 'n' }], {}, user)
+        .should.be.rejectedWith({ statusCode: 403, details: { code: '42501' }, message: 'permission denied to insert column "note" of table "items"' });
+      await service.create('items', { sku: 'A', name: 'x' }, { isUpsert: true, onConflict: ['sku'] }, user);
+      await service.create('items', { sku: 'A', name: 'x' }, { isUpsert: true }, user).should.be.rejectedWith({ statusCode: 403 });
+      await service.patch('items', { id: 'eq.1' }, { sku: 'B' }, {}, user).should.be.rejectedWith({ statusCode: 403 });
+      await service.update('items', ['1'], { name: 'y' }, user);
+      await service.create('items', { note: 'n' }, {}, { role: 'bypass_rls' });
+
+      xsql.executed.should.eql([
+        'INSERT INTO ?? SET ? ON DUPLICATE KEY UPDATE `name` = VALUES(`name`)',
+        'UPDATE ?? SET name = ? where id = 1',
+        'INSERT INTO ?? SET ?'
+      ]);
+    });
+
+    it('should only return granted columns of read and written rows', async function() {
+      const xsql = mockXsql({}, 1);
+      const service = crudService(xsql, null, [{ role: '*', column_name: 'id', can_select: 1, can_insert: 1 }, { role: '*', column_name: 'sku', can_select: 1 }]);
+
+      await service.read('items', ['1']);
+      await service.create('items', { id: 'A' }, { returnRepresentation: true });
+      await service.delete('items', ['1'], {}, { returnRepresentation: true });
+
+      xsql.executed.should.eql([
+        'select `id`, `sku` from ?? where id = 1 LIMIT 1',
+        'INSERT INTO ?? SET ?',
+        'SELECT `id`, `sku` FROM ?? WHERE ?? IN (?)',
+        'SELECT `id`, `sku` FROM ?? WHERE id = 1',
+        'DELETE FROM ?? WHERE id = 1'
+      ]);
+    });
+
+    it('should apply SELECT policies to counts', async function() {
+      const xsql = mockXsql({}, 0);
+      await crudService(xsql, { SELECT: [{ using_expression: 'sku = @tenant' }] }).count('items');
+      await crudService(xsql).count('items');
+
+      xsql.executed.should.eql([
+        'select count(1) as no_of_rows from ?? where (sku = @tenant)',
+        'select count(1) as no_of_rows from ??'
+      ]);
+    });
+  });
+
+  describe('Aggregation Service', function() {
+    function aggregationService(executed) {
+      const rlsService = new RlsService(null);
+      rlsService.rlsPolicies = { items: { SELECT: [{ using_expression: 'sku = @tenant' }], INSERT: [], UPDATE: [], DELETE: [] } };
+      const xsql = {
+        metaDb: { tables: { items: { columns: ['id', 'sku', 'name', 'price', 'salary'].map(column_name => ({ column_name })) } } },
+        getOrderByClause: () => '',
+        exec(query, params) {
+          executed.push({ query, params });
+          return Promise.resolve([{ distinct_count: 0 }]);
+        }
+      };
+      const columnGrantService = new ColumnGrantService(null, rlsService);
+      columnGrantService.columnGrants = { items: ['name', 'price'].map(column_name => ({ role: '*', column_name, can_select: 1 })) };
+      return new AggregationService(xsql, rlsService, columnGrantService);
+    }
+
+    it('should apply SELECT policies to group by and aggregates', async function() {
+      const executed = [];
+      const service = aggregationService(executed);
+      await service.groupBy('items', { _fields: 'name' });
+      await service.aggregate('items', { _fields: 'price' });
+
+      executed[0].query.should.equal('SELECT ??, COUNT(*) as count FROM ?? WHERE (sku = @tenant) GROUP BY ??');
+      executed[0].params.should.eql(['name', 'items', 'name']);
+      executed[1].query.should.endWith(' FROM ?? WHERE (sku = @tenant)');
+    });
+
+    it('should only group by columns of the table', async function() {
+      const executed = [];
+      const service = aggregationService(executed);
+
+      await service.groupBy('items', { _fields: '(SELECT SUM(amount) FROM invoices)' })
+        .should.be.rejectedWith({ statusCode: 400, details: { code: '42703' } });
+      await service.groupBy('items', { _fields: 'name,unknown' }).should.be.rejectedWith({ statusCode: 400 });
+      executed.should.be.empty();
+    });
+
+    it('should refuse to group or aggregate columns that are not granted', async function() {
+      const executed = [];
+      const service = aggregationService(executed);
+
+      await service.groupBy('items', { _fields: 'name,salary' }).should.be.rejectedWith({ statusCode: 403 });
+      await service.aggregate('items', { _fields: 'salary' }).should.be.rejectedWith({ statusCode: 403 });
+      await service.distinct('items', 'salary').should.be.rejectedWith({ statusCode: 403 });
+      executed.should.be.empty();
+    });
+
+    it('should combine SELECT policies with custom conditions', async function() {
+      const executed = [];
+      await aggregationService(executed).countDistinct('items', 'name', { where: { query: 'a = ? OR b = ?', params: [1, 2] } });
+      await aggregationService(executed).countDistinct('other', 'name');
+
+      executed[0].query.should.equal('SELECT COUNT(DISTINCT ??) as distinct_count FROM ?? WHERE ((sku = @tenant)) AND (a = ? OR b = ?)');
+      executed[0].params.should.eql(['name', 'items', 1, 2]);
+      executed[1].query.should.equal('SELECT COUNT(DISTINCT ??) as distinct_count FROM ??');
+    });
+  });
+
 });
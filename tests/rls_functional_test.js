@@ -375,10 +375,10 @@ describe( __filename + ':: RLS Functional Security Tests', function() {
           let initialCount = res.body.length;
           initialCount.should.be.above(0);
           
-          // Add a blocking policy
+          // Add a blocking policy, restrictive so it is ANDed with the role policy
           mysqlPool.query(
-            `INSERT INTO _rls_policies (table_name, policy_name, operation, using_expression)
-             VALUES ('rls_test_data', 'temp_block_policy', 'SELECT', '1=0')`,
+            `INSERT INTO _rls_policies (table_name, policy_name, operation, permissive, using_expression)
+             VALUES ('rls_test_data', 'temp_block_policy', 'SELECT', 'RESTRICTIVE', '1=0')`,
             function(err) {
               if (err) return done(err);
               
@@ -415,6 +415,44 @@ describe( __filename + ':: RLS Functional Security Tests', function() {
     });
   });
   
+  describe('Role scoped policies', function() {
+
+    before(async function() {
+      await mysqlPool.promise().query(
+        `INSERT INTO _rls_policies (table_name, policy_name, operation, roles, using_expression)
+         VALUES ('rls_test_data', 'admin_select', 'SELECT', 'ADMIN', 'TRUE')`
+      );
+      await api.mysql.reloadPolicies();
+    });
+
+    after(async function() {
+      await mysqlPool.promise().query(`DELETE FROM _rls_policies WHERE policy_name = 'admin_select'`);
+      await api.mysql.reloadPolicies();
+    });
+
+    it('should OR the policies of the role with policies for every role', async function() {
+      let res = await agent
+        .get('/api/rls_test_data?id=lte.4')
+        .set('Authorization', `Bearer ${createToken({ role: 'ADMIN' })}`)
+        .expect(200);
+      res.body.length.should.equal(4);
+
+      res = await agent
+        .get('/api/rls_test_data?id=lte.4')
+        .set('Authorization', `Bearer ${createToken({ role: 'READ_TABLE' })}`)
+        .expect(200);
+      res.body.every(row => row.owner_role === 'READ_TABLE').should.be.true();
+    });
+
+    it('should not apply policies to the bypass_rls role', async function() {
+      let res = await agent
+        .get('/api/rls_test_data/count')
+        .set('Authorization', `Bearer ${createToken({ role: 'bypass_rls' })}`)
+        .expect(200);
+      res.body[0].no_of_rows.should.be.aboveOrEqual(4);
+    });
+  });
+
   describe('Bulk operations with PATCH', function() {
     
     it('should only update records matching role policy', function(done) {
@@ -434,6 +472,22 @@ describe( __filename + ':: RLS Functional Security Tests', function() {
           done();
         });
     });
+
+    it('should refuse moving rows out of the policy with 403', function(done) {
+      let token = createToken({ role: 'WRITE_TABLE', sub: 'user123' });
+
+      // The UPDATE policy also checks the new row state, owner_role must stay WRITE_TABLE
+      agent
+        .patch('/api/rls_test_data?id=eq.1')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ owner_role: 'READ_TABLE' })
+        .expect(403)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.code.should.equal('42501');
+          done();
+        });
+    });
   });
 });
 
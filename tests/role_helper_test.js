@@ -0,0 +1,44 @@
+'use strict';
+
+var should = require('should');
+var roleHelp = require('../lib/util/role.helper.js');
+
+describe(__filename + ':: Role claim unit tests', function () {
+
+  it('should split claim paths, keeping quoted keys whole', function (done) {
+    roleHelp.parseClaimPath('role').should.eql(['role']);
+    roleHelp.parseClaimPath('app_metadata.role').should.eql(['app_metadata', 'role']);
+    roleHelp.parseClaimPath('"https://example.com/claims".role').should.eql(['https://example.com/claims', 'role']);
+    done();
+  });
+
+  it('should read nested claims and array items', function (done) {
+    var claims = { app_metadata: { role: 'editor', roles: ['a', 'b'] }, 'https://example.com/role': 'ns' };
+    roleHelp.getClaim(claims, 'app_metadata.role').should.equal('editor');
+    roleHelp.getClaim(claims, 'app_metadata.roles.1').should.equal('b');
+    roleHelp.getClaim(claims, '"https://example.com/role"').should.equal('ns');
+    should.not.exist(roleHelp.getClaim(claims, 'app_metadata.role.name'));
+    should.not.exist(roleHelp.getClaim(claims, 'user_metadata.role'));
+    done();
+  });
+
+  it('should set nested claims', function (done) {
+    var claims = roleHelp.setClaim({ sub: 1, app_metadata: 'x' }, 'app_metadata.tenant_id', 7);
+    roleHelp.setClaim(claims, 'app_metadata.role', 'editor').should.eql({ sub: 1, app_metadata: { tenant_id: 7, role: 'editor' } });
+    done();
+  });
+
+  it('should resolve the role claim and fall back to the anonymous role', function (done) {
+    var options = { roleClaim: 'app_metadata.role', anonRole: 'web_anon' };
+    roleHelp.getRole({ role: 'user' }).should.equal('user');
+    roleHelp.getRole({ role: 7 }).should.equal('7');
+    roleHelp.getRole({ app_metadata: { role: 'editor' } }, options).should.equal('editor');
+    roleHelp.getRole({ role: 'user' }, options).should.equal('web_anon');
+    roleHelp.getRole({ app_metadata: { role: '' } }, options).should.equal('web_anon');
+    roleHelp.getRole(undefined, options).should.equal('web_anon');
+    should.not.exist(roleHelp.getRole({}));
+    should.not.exist(roleHelp.getRole({ role: { name: 'x' } }));
+    done();
+  });
+
+});